@@ -0,0 +1,110 @@
+// build-queue.js - In-process build queue with a concurrency limit and priorities
+
+// Named priorities accepted from requests (numbers are accepted as-is, higher runs first)
+export const PRIORITIES = {
+  high: 10,
+  normal: 0,
+  low: -10
+};
+
+/**
+ * Build Queue
+ * Runs at most `maxConcurrent` tasks at a time. Waiting tasks are ordered by
+ * priority (highest first), then by arrival (FIFO within the same priority).
+ */
+export class BuildQueue {
+  constructor(maxConcurrent = 2) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.waiting = []; // { key, priority, seq, enqueuedAt, reject, waited, start }
+    this.running = new Map(); // seq -> { key, startedAt }
+    this.seq = 0;
+  }
+
+  /**
+   * Resolve a request priority ("high" | "normal" | "low" | number) to a number
+   */
+  static resolvePriority(priority) {
+    if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+    if (typeof priority === 'string' && priority in PRIORITIES) return PRIORITIES[priority];
+    return PRIORITIES.normal;
+  }
+
+  /**
+   * Queue a task; the returned promise settles with the task's result.
+   * The slot is held until the task's promise settles.
+   */
+  run(key, task, { priority } = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        key,
+        priority: BuildQueue.resolvePriority(priority),
+        seq: this.seq++,
+        enqueuedAt: Date.now(),
+        reject,
+        start: () => {
+          this.running.set(entry.seq, { key, startedAt: Date.now() });
+          Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+              this.running.delete(entry.seq);
+              this.drain();
+            });
+        }
+      };
+
+      // Insert after every entry with the same or higher priority
+      const index = this.waiting.findIndex((w) => w.priority < entry.priority);
+      if (index === -1) {
+        this.waiting.push(entry);
+      } else {
+        this.waiting.splice(index, 0, entry);
+      }
+
+      if (this.running.size >= this.maxConcurrent) {
+        entry.waited = true;
+        console.log(`[${key}] ⏳ Build queued at position ${this.waiting.indexOf(entry) + 1} (priority ${entry.priority}, ${this.running.size}/${this.maxConcurrent} slots busy)`);
+      }
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.running.size < this.maxConcurrent && this.waiting.length > 0) {
+      const next = this.waiting.shift();
+      if (next.waited) {
+        console.log(`[${next.key}] ▶️ Build started after ${Date.now() - next.enqueuedAt}ms in queue`);
+      }
+      next.start();
+    }
+  }
+
+  /**
+   * Drop the waiting tasks for `key` without running them; their promises reject with `error`.
+   * Returns whether anything was removed (running tasks are not affected).
+   */
+  cancel(key, error = new Error("Cancelled")) {
+    const removed = this.waiting.filter((w) => w.key === key);
+    this.waiting = this.waiting.filter((w) => w.key !== key);
+    for (const entry of removed) {
+      entry.reject(error);
+    }
+    return removed.length > 0;
+  }
+
+  /**
+   * 1-based position of the first waiting task for `key`, or null if it is not waiting
+   */
+  position(key) {
+    const index = this.waiting.findIndex((w) => w.key === key);
+    return index === -1 ? null : index + 1;
+  }
+
+  stats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      running: this.running.size,
+      queued: this.waiting.length
+    };
+  }
+}
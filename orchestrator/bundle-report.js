@@ -0,0 +1,203 @@
+// bundle-report.js - Per-route First Load JS from a Next.js build's manifests, checked against size budgets
+
+import { existsSync, promises as fs } from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+// kB (1000 bytes, gzipped - the unit of `next build`'s route table); a number is a warning threshold
+export const DEFAULT_BUNDLE_BUDGETS = {
+  firstLoadJs: { warning: 300 },
+  sharedJs: { warning: 200 },
+  sharedChunk: { warning: 150 },
+  routes: {}
+};
+
+const BUDGET_KEYS = ["firstLoadJs", "sharedJs", "sharedChunk"];
+const SEVERITIES = ["error", "warning"];
+const PAGE_EXTENSIONS = ["tsx", "ts", "jsx", "js"];
+
+const kB = (bytes) => `${(bytes / 1000).toFixed(1)} kB`;
+
+async function readJson(file) {
+  return existsSync(file) ? JSON.parse(await fs.readFile(file, "utf8")) : null;
+}
+
+/**
+ * Route of an app-build-manifest entry ("/(shop)/cart/page" -> "/cart"); null for layouts and other non-page entries
+ */
+export function appRoute(entry) {
+  if (!entry.endsWith("/page")) return null;
+  const segments = entry.slice(0, -"/page".length).split("/")
+    .filter((segment) => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith("@"));
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Sizes of a build: { routes: [{ route, router, entry, firstLoadJs, size }], shared: { size, chunks } }, or null without a build.
+ * Like `next build`, First Load JS is the gzipped JS of a route's manifest entry, `size`
+ * the part no other route loads, and shared the chunks every entry of a router loads.
+ */
+export async function readBundleReport(nextDir) {
+  const buildManifest = await readJson(path.join(nextDir, "build-manifest.json"));
+  if (!buildManifest) return null;
+  const appBuildManifest = await readJson(path.join(nextDir, "app-build-manifest.json"));
+
+  const routers = [
+    { router: "app", pages: appBuildManifest?.pages || {}, route: appRoute },
+    {
+      router: "pages",
+      pages: buildManifest.pages || {},
+      route: (entry) => (["/_app", "/_document", "/_error"].includes(entry) ? null : entry)
+    }
+  ];
+
+  const sizes = new Map();
+  const sizeOf = async (file) => {
+    if (!sizes.has(file)) {
+      try {
+        sizes.set(file, zlib.gzipSync(await fs.readFile(path.join(nextDir, file)), { level: 9 }).length);
+      } catch {
+        sizes.set(file, 0); // listed but not emitted (e.g. a dev-only chunk)
+      }
+    }
+    return sizes.get(file);
+  };
+  const total = async (files) => (await Promise.all(files.map(sizeOf))).reduce((sum, size) => sum + size, 0);
+
+  const routes = [];
+  const sharedFiles = new Set();
+  for (const { router, pages, route } of routers) {
+    const entries = Object.entries(pages).map(([entry, files]) => [entry, files.filter((file) => file.endsWith(".js"))]);
+    if (!entries.some(([entry]) => route(entry))) continue;
+
+    // How many entries load each file; the pages router's _app is loaded by every page
+    const counts = new Map();
+    for (const [entry, files] of entries) {
+      for (const file of new Set(files)) counts.set(file, entry === "/_app" ? Infinity : (counts.get(file) || 0) + 1);
+    }
+    const shared = (file) => counts.get(file) === Infinity || counts.get(file) === entries.length;
+    for (const [file] of counts) if (shared(file)) sharedFiles.add(file);
+
+    const appFiles = router === "pages" ? pages["/_app"]?.filter((file) => file.endsWith(".js")) || [] : [];
+    for (const [entry, files] of entries) {
+      const name = route(entry);
+      if (!name) continue;
+      routes.push({
+        route: name,
+        router,
+        entry,
+        firstLoadJs: await total([...new Set([...files, ...appFiles])]),
+        size: await total(files.filter((file) => counts.get(file) === 1))
+      });
+    }
+  }
+
+  const chunks = await Promise.all([...sharedFiles].map(async (file) => ({ file, size: await sizeOf(file) })));
+  chunks.sort((a, b) => b.size - a.size);
+
+  return {
+    routes: routes.sort((a, b) => a.route.localeCompare(b.route)),
+    shared: { size: chunks.reduce((sum, chunk) => sum + chunk.size, 0), chunks }
+  };
+}
+
+/**
+ * Thresholds of a budget setting: a number (warning), { warning, error }, or off/false; undefined when invalid
+ */
+function budgetLimits(setting) {
+  if (setting === "off" || setting === false || setting === null) return {};
+  if (typeof setting === "number" && setting > 0) return { warning: setting };
+  if (setting && typeof setting === "object" && Object.keys(setting).length > 0 &&
+      Object.entries(setting).every(([severity, limit]) => SEVERITIES.includes(severity) && typeof limit === "number" && limit > 0)) {
+    return setting;
+  }
+  return undefined;
+}
+
+/**
+ * Source file of a route's manifest entry among the submitted paths (src/app/cart/page.tsx for "/cart/page")
+ */
+function entryFile(entry, router, projectPaths) {
+  const base = router === "app" ? `app${entry}` : `pages${entry === "/" ? "/index" : entry}`;
+  const candidates = ["src/", ""].flatMap((root) => PAGE_EXTENSIONS.map((ext) => `${root}${base}.${ext}`));
+  return candidates.find((candidate) => projectPaths.has(candidate));
+}
+
+/**
+ * Compare a bundle report with budgets (validationConfig.bundleBudgets over the defaults): { errors, warnings }.
+ * `routes` sets a route's own First Load JS budget; `projectPaths` places route findings on the route's page file.
+ */
+export function checkBundleBudgets(report, budgets = {}, projectPaths = []) {
+  const results = { error: [], warning: [] };
+  const paths = new Set(projectPaths);
+  const settings = { ...DEFAULT_BUNDLE_BUDGETS, ...budgets, routes: { ...DEFAULT_BUNDLE_BUDGETS.routes, ...budgets?.routes } };
+  const layoutFile = entryFile("/layout", "app", paths) || "next-build";
+
+  const ignore = (name, setting) => {
+    results.warning.push({
+      file: "validation",
+      line: 1,
+      message: `Ignoring bundle budget ${name}: ${JSON.stringify(setting)}`,
+      severity: "warning",
+      category: "bundle-config",
+      source: "bundle-report",
+      suggestion: `Budgets are kB of gzipped JS: a number (warning) or { "warning": 200, "error": 300 }; known budgets: ${BUDGET_KEYS.join(", ")}, routes`
+    });
+  };
+  const limitsOf = (name, setting) => {
+    const limits = budgetLimits(setting);
+    if (!limits) ignore(name, setting);
+    return limits || {};
+  };
+
+  // The larger threshold a size exceeds decides the severity
+  const check = (limits, size, diagnostic) => {
+    const severity = SEVERITIES.find((level) => limits[level] && size > limits[level] * 1000);
+    if (!severity) return;
+    results[severity].push({
+      ...diagnostic(limits[severity]),
+      line: 1,
+      severity,
+      category: "bundle-size",
+      source: "bundle-report",
+      budget: limits[severity],
+      size
+    });
+  };
+
+  for (const key of Object.keys(budgets || {})) {
+    if (key !== "routes" && !BUDGET_KEYS.includes(key)) ignore(key, budgets[key]);
+  }
+  const firstLoadJs = limitsOf("firstLoadJs", settings.firstLoadJs);
+  const routeLimits = Object.fromEntries(Object.entries(settings.routes || {}).map(([route, setting]) => [route, limitsOf(`routes.${route}`, setting)]));
+
+  for (const route of report.routes) {
+    check(routeLimits[route.route] || firstLoadJs, route.firstLoadJs, (budget) => ({
+      file: entryFile(route.entry, route.router, paths) || "next-build",
+      message: `Route ${route.route} loads ${kB(route.firstLoadJs)} of JS (First Load JS), over its ${budget} kB budget`,
+      rule: "route-budget",
+      route: route.route,
+      suggestion: "Load heavy client components with next/dynamic, keep 'use client' to the leaves and import only the modules you use from large libraries"
+    }));
+  }
+
+  check(limitsOf("sharedJs", settings.sharedJs), report.shared.size, (budget) => ({
+    file: layoutFile,
+    message: `JS shared by all routes is ${kB(report.shared.size)}, over its ${budget} kB budget`,
+    rule: "shared-budget",
+    suggestion: "Every route pays for the shared JS - move providers and libraries that only some routes need out of the root layout"
+  }));
+
+  const sharedChunk = limitsOf("sharedChunk", settings.sharedChunk);
+  for (const chunk of report.shared.chunks) {
+    check(sharedChunk, chunk.size, (budget) => ({
+      file: layoutFile,
+      message: `Shared chunk ${chunk.file} is ${kB(chunk.size)}, over its ${budget} kB budget`,
+      rule: "chunk-budget",
+      chunk: chunk.file,
+      suggestion: "Find what the chunk bundles (e.g. with @next/bundle-analyzer) and split or lazy-load the largest dependency"
+    }));
+  }
+
+  return { errors: results.error, warnings: results.warning };
+}
@@ -0,0 +1,120 @@
+// code-frame.js - Source ranges and code frames for validation diagnostics
+
+// Lines of source shown above and below the flagged line
+const CONTEXT_LINES = 2;
+
+/**
+ * Map a diagnostic's file to a submitted project path, or null for
+ * pseudo-files ("build", "eslint-config", ...). Tools that report absolute
+ * temp-dir paths (ESLint) are matched by suffix.
+ */
+export function resolveProjectPath(file, projectPaths) {
+  if (!file) return null;
+  const normalized = String(file).replace(/\\/g, "/");
+  if (projectPaths.has(normalized)) return normalized;
+  for (const projectPath of projectPaths) {
+    if (normalized.endsWith(`/${projectPath}`)) return projectPath;
+  }
+  return null;
+}
+
+/**
+ * 1-based line and column of a character offset
+ */
+export function positionAt(content, index) {
+  const before = content.slice(0, Math.max(0, index));
+  const line = before.split("\n").length;
+  return { line, column: index - before.lastIndexOf("\n") };
+}
+
+/**
+ * Character offset of a 1-based line and column (clamped to the content)
+ */
+export function offsetAt(content, line, column) {
+  let offset = 0;
+  for (let n = 1; n < line; n++) {
+    const next = content.indexOf("\n", offset);
+    if (next === -1) return content.length;
+    offset = next + 1;
+  }
+  return Math.min(content.length, offset + column - 1);
+}
+
+/**
+ * End of the token that starts at `column` (an identifier, or the rest of
+ * the line when the column points at anything else)
+ */
+function tokenEnd(lineText, column) {
+  const rest = lineText.slice(column - 1);
+  const word = rest.match(/^[\w$]+/);
+  if (word) return column + word[0].length;
+  return Math.max(column + 1, lineText.trimEnd().length + 1);
+}
+
+/**
+ * Lines around the flagged range, with a `>` gutter mark and carets under the span:
+ *
+ *     2 | const a = 1;
+ *   > 3 | const b: string = a;
+ *       |       ^
+ */
+export function codeFrame(content, { line, column, endLine, endColumn }) {
+  const lines = content.split("\n");
+  const first = Math.max(1, line - CONTEXT_LINES);
+  const last = Math.min(lines.length, line + CONTEXT_LINES);
+  const gutterWidth = String(last).length;
+  const frame = [];
+
+  for (let n = first; n <= last; n++) {
+    const text = (lines[n - 1] ?? "").replace(/\r$/, "");
+    const gutter = String(n).padStart(gutterWidth);
+    frame.push(`${n === line ? ">" : " "} ${gutter} | ${text}`.trimEnd());
+
+    if (n === line) {
+      const spanEnd = endLine === line ? endColumn : text.length + 1;
+      // Keep tabs so the carets line up with the source
+      const indent = text.slice(0, column - 1).replace(/[^\t]/g, " ");
+      const carets = "^".repeat(Math.max(1, spanEnd - column));
+      frame.push(`  ${" ".repeat(gutterWidth)} | ${indent}${carets}`);
+    }
+  }
+
+  return frame.join("\n");
+}
+
+/**
+ * Give every diagnostic a project-relative file, an end position and a code
+ * frame taken from the submitted files. Diagnostics on pseudo-files get a
+ * zero-width range and `codeFrame: null`.
+ */
+export function addSourceContext(diagnostics, filesArray) {
+  const sources = new Map(filesArray.map((f) => [f.path.replace(/\\/g, "/"), f.content ?? ""]));
+  const projectPaths = new Set(sources.keys());
+
+  for (const diagnostic of diagnostics) {
+    const line = Math.max(1, diagnostic.line || 1);
+    const column = Math.max(1, diagnostic.column || 1);
+    const file = resolveProjectPath(diagnostic.file, projectPaths);
+    const content = file ? sources.get(file) : null;
+
+    diagnostic.line = line;
+    diagnostic.column = column;
+    if (content == null) {
+      diagnostic.endLine ??= line;
+      diagnostic.endColumn ??= column;
+      diagnostic.codeFrame = null;
+      continue;
+    }
+
+    diagnostic.file = file;
+    if (!diagnostic.endLine) {
+      const lineText = content.split("\n")[line - 1] ?? "";
+      diagnostic.endLine = line;
+      diagnostic.endColumn = tokenEnd(lineText, column);
+    }
+    diagnostic.endColumn ??= diagnostic.column;
+    diagnostic.codeFrame = codeFrame(content, diagnostic);
+  }
+
+  return diagnostics;
+}
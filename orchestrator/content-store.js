@@ -0,0 +1,81 @@
+// content-store.js - Content-addressed blob store for uploaded project files
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Content Store
+ * Keeps every uploaded file body once, as `<rootDir>/<hash[0..1]>/<hash>`,
+ * keyed by the sha256 of its content. Manifests (path -> sha256) are
+ * resolved against it so clients only upload blobs the store lacks.
+ */
+export class ContentStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  static isHash(hash) {
+    return typeof hash === "string" && HASH_PATTERN.test(hash);
+  }
+
+  blobPath(hash) {
+    if (!ContentStore.isHash(hash)) {
+      throw new Error(`Invalid content hash: ${hash}`);
+    }
+    // Shard by the first byte so no single directory grows unbounded
+    return path.join(this.rootDir, hash.slice(0, 2), hash);
+  }
+
+  has(hash) {
+    return ContentStore.isHash(hash) && existsSync(this.blobPath(hash));
+  }
+
+  /**
+   * Unique hashes referenced by a manifest that are not in the store yet
+   */
+  missing(manifest) {
+    const hashes = new Set(Object.values(manifest));
+    return [...hashes].filter((hash) => !this.has(hash));
+  }
+
+  /**
+   * Store a blob under its hash; the caller verifies that the hash matches the content
+   */
+  async put(hash, content) {
+    const target = this.blobPath(hash);
+    if (existsSync(target)) return false;
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const tmpPath = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, content, "utf8");
+    await fs.rename(tmpPath, target);
+    return true;
+  }
+
+  async get(hash) {
+    return fs.readFile(this.blobPath(hash), "utf8");
+  }
+
+  /**
+   * Resolve a manifest to a files array ({ path, content }[]).
+   * Throws with `missing` set if any blob has not been uploaded.
+   */
+  async resolve(manifest) {
+    const missing = this.missing(manifest);
+    if (missing.length > 0) {
+      const error = new Error(`${missing.length} blobs referenced by the manifest have not been uploaded`);
+      error.missing = missing;
+      throw error;
+    }
+
+    return Promise.all(
+      Object.entries(manifest).map(async ([filePath, hash]) => ({
+        path: filePath,
+        content: await this.get(hash)
+      }))
+    );
+  }
+}
@@ -0,0 +1,362 @@
+// contract-rules.js - Security lint over the solc AST of submitted contracts, run through a rule registry
+
+import { sourceRange } from "./solidity-compiler.js";
+
+const SEVERITIES = ["error", "warning", "info"];
+
+// Low-level address members whose success flag is the only sign of failure
+const LOW_LEVEL_CALLS = new Set(["call", "delegatecall", "staticcall", "send"]);
+
+// Public functions with these names usually change who controls the contract or its funds
+const PRIVILEGED_FUNCTION = /^(set|update|change|withdraw|mint|burn|pause|unpause|upgrade|transferOwnership|kill|destroy|emergency|sweep|rescue|configure|grant|revoke)/i;
+const PRIVILEGED_STATE = /owner|admin|operator|treasury|minter|oracle|implementation|paused|fee/i;
+const GUARD_MODIFIER = /only|auth|role|admin|owner|whitelist|allowlist/i;
+const GUARD_FUNCTIONS = new Set(["_checkOwner", "_checkRole", "_msgSender"]);
+
+/**
+ * Walk a solc AST depth-first; return false from the visitor to skip a node's children
+ */
+export function walk(node, visit, parent = null) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    for (const child of node) walk(child, visit, parent);
+    return;
+  }
+  if (node.nodeType) {
+    if (visit(node, parent) === false) return;
+    parent = node;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== "typeDescriptions" && value && typeof value === "object") walk(value, visit, parent);
+  }
+}
+
+/**
+ * [start, end) byte offsets of a "start:length:sourceIndex" location
+ */
+function span(src) {
+  const [start, length] = src.split(":").map(Number);
+  return [start, start + length];
+}
+
+function isMsgSender(node) {
+  return (node.nodeType === "MemberAccess" && node.memberName === "sender" && node.expression?.name === "msg") ||
+    (node.nodeType === "FunctionCall" && node.expression?.name === "_msgSender");
+}
+
+/**
+ * Member name of a low-level call (`to.call{value: v}("")` -> "call"), or null
+ */
+function lowLevelCall(node) {
+  if (node.nodeType !== "FunctionCall") return null;
+  const callee = node.expression?.nodeType === "FunctionCallOptions" ? node.expression.expression : node.expression;
+  if (callee?.nodeType !== "MemberAccess" || !LOW_LEVEL_CALLS.has(callee.memberName)) return null;
+  return callee.expression?.typeDescriptions?.typeString?.startsWith("address") ? callee.memberName : null;
+}
+
+/**
+ * Calls that hand control to another contract: low-level calls and non-view external functions
+ */
+function isExternalCall(node) {
+  const member = lowLevelCall(node);
+  if (member) return member === "call" || member === "delegatecall";
+  if (node.nodeType !== "FunctionCall") return false;
+  const callee = node.expression?.nodeType === "FunctionCallOptions" ? node.expression.expression : node.expression;
+  const type = callee?.typeDescriptions?.typeString || "";
+  return callee?.nodeType === "MemberAccess" && / external/.test(type) && !/ (view|pure)/.test(type);
+}
+
+function sendsEther(node) {
+  if (node.nodeType !== "FunctionCall") return false;
+  if (node.expression?.nodeType === "FunctionCallOptions" && node.expression.names?.includes("value")) return true;
+  return node.expression?.nodeType === "MemberAccess" && node.expression.memberName === "transfer" &&
+    node.expression.expression?.typeDescriptions?.typeString?.startsWith("address payable");
+}
+
+/**
+ * State variable written through an assignment target (`balances[a].amount` -> balances), or null
+ */
+function writtenStateVariable(expression, stateVariables) {
+  let node = expression;
+  while (node) {
+    if (node.nodeType === "Identifier") return stateVariables.get(node.referencedDeclaration) || null;
+    if (node.nodeType === "IndexAccess") node = node.baseExpression;
+    else if (node.nodeType === "MemberAccess") node = node.expression;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * State writes of a function body: assignments, ++/--/delete and push/pop
+ */
+function stateWrites(body, stateVariables) {
+  const writes = [];
+  walk(body, (node) => {
+    let target = null;
+    if (node.nodeType === "Assignment") target = node.leftHandSide;
+    else if (node.nodeType === "UnaryOperation" && ["++", "--", "delete"].includes(node.operator)) target = node.subExpression;
+    else if (node.nodeType === "FunctionCall" && node.expression?.nodeType === "MemberAccess" && ["push", "pop"].includes(node.expression.memberName)) {
+      target = node.expression.expression;
+    }
+    const variable = target && writtenStateVariable(target, stateVariables);
+    if (variable) writes.push({ node, variable });
+  });
+  return writes;
+}
+
+function functionsOf(unit) {
+  const functions = [];
+  walk(unit.ast, (node) => {
+    if (node.nodeType === "ContractDefinition" && node.contractKind !== "contract") return false;
+    if (node.nodeType === "FunctionDefinition" && node.body) functions.push(node);
+  });
+  return functions;
+}
+
+/**
+ * tx-origin: tx.origin is the EOA that started the transaction, not the caller
+ */
+const txOrigin = {
+  id: "tx-origin",
+  severity: "error",
+  description: "Authorization through tx.origin",
+  check(unit, report) {
+    walk(unit.ast, (node, parent) => {
+      if (node.nodeType !== "MemberAccess" || node.memberName !== "origin" || node.expression?.name !== "tx") return;
+      if (parent?.nodeType !== "BinaryOperation" || !["==", "!="].includes(parent.operator)) return;
+      report(parent, "tx.origin used for authorization - any contract the owner interacts with can act on their behalf",
+        "Compare msg.sender instead of tx.origin");
+    });
+  }
+};
+
+/**
+ * reentrancy: state written after an external call can be re-entered with the old state
+ */
+const reentrancy = {
+  id: "reentrancy",
+  severity: "error",
+  description: "External calls before state updates",
+  check(unit, report) {
+    for (const fn of functionsOf(unit)) {
+      if (["view", "pure"].includes(fn.stateMutability)) continue;
+      if (fn.modifiers?.some((m) => /nonReentrant/i.test(m.modifierName?.name))) continue;
+
+      const calls = [];
+      walk(fn.body, (node) => {
+        if (isExternalCall(node)) calls.push(node);
+      });
+      if (calls.length === 0) continue;
+
+      const writes = stateWrites(fn.body, unit.stateVariables);
+      for (const call of calls) {
+        const [, callEnd] = span(call.src);
+        const write = writes.find(({ node }) => span(node.src)[0] >= callEnd);
+        if (!write) continue;
+        report(call, `External call in ${fn.name || fn.kind}() before ${write.variable.name} is updated - the callee can re-enter and see the old value`,
+          `Update ${write.variable.name} before the external call (checks-effects-interactions), or add OpenZeppelin's nonReentrant modifier`);
+        break;
+      }
+    }
+  }
+};
+
+/**
+ * unchecked-low-level-call: call/send return false instead of reverting
+ */
+const uncheckedLowLevelCall = {
+  id: "unchecked-low-level-call",
+  severity: "error",
+  description: "Low-level calls whose success flag is ignored",
+  check(unit, report) {
+    walk(unit.ast, (node, parent) => {
+      const member = lowLevelCall(node);
+      if (!member) return;
+
+      let unchecked = parent?.nodeType === "ExpressionStatement";
+      if (parent?.nodeType === "VariableDeclarationStatement") {
+        const success = parent.declarations?.[0];
+        unchecked = !success || !unit.references.has(success.id);
+      }
+      if (!unchecked) return;
+
+      report(node, `Return value of .${member}() is not checked - a failed call is silently ignored`,
+        member === "send"
+          ? 'Use (bool success, ) = to.call{value: amount}(""); require(success, "Transfer failed");'
+          : `Capture the result and revert on failure: (bool success, ) = target.${member}(...); require(success);`);
+    });
+  }
+};
+
+/**
+ * missing-access-control: privileged public functions anyone can call
+ */
+const missingAccessControl = {
+  id: "missing-access-control",
+  severity: "warning",
+  description: "State-changing privileged functions without an access check",
+  check(unit, report) {
+    for (const fn of functionsOf(unit)) {
+      if (fn.kind !== "function" || !["public", "external"].includes(fn.visibility) || fn.stateMutability !== "nonpayable") continue;
+      if (fn.modifiers?.some((m) => GUARD_MODIFIER.test(m.modifierName?.name))) continue;
+
+      let guarded = false;
+      let privileged = PRIVILEGED_FUNCTION.test(fn.name);
+      walk(fn.body, (node) => {
+        if (node.nodeType === "EmitStatement") return false;
+        if (isMsgSender(node) || (node.nodeType === "FunctionCall" && GUARD_FUNCTIONS.has(node.expression?.name))) guarded = true;
+        if (sendsEther(node) || (node.nodeType === "FunctionCall" && node.expression?.name === "selfdestruct")) privileged = true;
+      });
+      if (!privileged) {
+        privileged = stateWrites(fn.body, unit.stateVariables).some(({ variable }) => PRIVILEGED_STATE.test(variable.name));
+      }
+      if (!privileged || guarded) continue;
+
+      report({ src: fn.nameLocation || fn.src }, `${fn.name}() changes privileged state but anyone can call it`,
+        "Restrict it with onlyOwner (OpenZeppelin Ownable) or onlyRole (AccessControl), or check msg.sender");
+    }
+  }
+};
+
+/**
+ * selfdestruct: deprecated, and no longer removes code since Cancun (EIP-6780)
+ */
+const selfdestruct = {
+  id: "selfdestruct",
+  severity: "warning",
+  description: "selfdestruct calls",
+  check(unit, report) {
+    walk(unit.ast, (node) => {
+      if (node.nodeType !== "FunctionCall" || !["selfdestruct", "suicide"].includes(node.expression?.name)) return;
+      report(node, "selfdestruct is deprecated and only sends the balance since EIP-6780 - the contract keeps running",
+        "Remove selfdestruct; use a paused flag or a withdraw function to retire the contract");
+    });
+  }
+};
+
+/**
+ * delegatecall: runs foreign code against this contract's storage
+ */
+const delegatecall = {
+  id: "delegatecall",
+  severity: "warning",
+  description: "delegatecall usage",
+  check(unit, report) {
+    walk(unit.ast, (node) => {
+      if (node.nodeType !== "MemberAccess" || node.memberName !== "delegatecall") return;
+      report(node, "delegatecall executes the target's code with this contract's storage and balance",
+        "Only delegatecall a fixed, trusted implementation - or use OpenZeppelin's proxy contracts instead of a hand-rolled one");
+    });
+  }
+};
+
+/**
+ * floating-pragma: deployed bytecode should come from the compiler it was tested with
+ */
+const floatingPragma = {
+  id: "floating-pragma",
+  severity: "warning",
+  description: "Solidity pragmas that allow several compiler versions",
+  check(unit, report) {
+    walk(unit.ast, (node) => {
+      if (node.nodeType !== "PragmaDirective" || node.literals?.[0] !== "solidity") return;
+      const range = node.literals.slice(1).join("");
+      if (/^=?\d+\.\d+\.\d+$/.test(range)) return;
+      report(node, `Floating pragma solidity ${range} - the contract may be deployed with a different compiler than it was checked with`,
+        unit.version ? `Pin the version: pragma solidity ${unit.version.split("+")[0]};` : "Pin an exact compiler version");
+    });
+  }
+};
+
+/**
+ * Contract Rule Registry
+ * Same shape as the runtime rule registry: rules have an ID, a default
+ * severity and a check(unit, report) over one source unit's AST, and
+ * severities can be overridden per request ({ "floating-pragma": "off" }).
+ * Units are { path, ast, content, version } from solc's standard-JSON output.
+ */
+export class ContractRuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  register(rule) {
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  list() {
+    return [...this.rules.values()].map(({ id, severity, description }) => ({ id, severity, description }));
+  }
+
+  /**
+   * Run the enabled rules over the source units; returns { errors, warnings, info }
+   */
+  run(units, overrides = {}) {
+    const results = { error: [], warning: [], info: [] };
+
+    for (const [id, setting] of Object.entries(overrides || {})) {
+      if (!this.rules.has(id) || (setting !== "off" && setting !== false && setting !== true && !SEVERITIES.includes(setting))) {
+        results.warning.push({
+          file: "validation",
+          line: 1,
+          message: `Ignoring contract rule setting ${id}: ${JSON.stringify(setting)}`,
+          severity: "warning",
+          category: "contract-analysis-config",
+          source: "contract-rules",
+          suggestion: `Known rules: ${[...this.rules.keys()].join(", ")}; severities: off, ${SEVERITIES.join(", ")}`
+        });
+      }
+    }
+
+    for (const unit of units) {
+      // Declarations and references every rule needs
+      unit.stateVariables = new Map();
+      unit.references = new Set();
+      walk(unit.ast, (node) => {
+        if (node.nodeType === "VariableDeclaration" && node.stateVariable) unit.stateVariables.set(node.id, node);
+        if (node.nodeType === "Identifier" && node.referencedDeclaration != null) unit.references.add(node.referencedDeclaration);
+      });
+    }
+
+    for (const rule of this.rules.values()) {
+      const setting = overrides?.[rule.id];
+      if (setting === "off" || setting === false) continue;
+      const severity = SEVERITIES.includes(setting) ? setting : rule.severity;
+
+      for (const unit of units) {
+        const report = (node, message, suggestion) => {
+          const [start, end] = span(node.src);
+          results[severity].push({
+            file: unit.path,
+            ...sourceRange(unit.content, start, end),
+            message,
+            severity,
+            category: "contract-analysis",
+            rule: rule.id,
+            source: "contract-rules",
+            suggestion
+          });
+        };
+
+        try {
+          rule.check(unit, report);
+        } catch (error) {
+          console.warn(`[contract-rules] ⚠️ Rule ${rule.id} failed on ${unit.path}:`, error.message);
+        }
+      }
+    }
+
+    return { errors: results.error, warnings: results.warning, info: results.info };
+  }
+}
+
+export const contractRules = new ContractRuleRegistry()
+  .register(txOrigin)
+  .register(reentrancy)
+  .register(uncheckedLowLevelCall)
+  .register(missingAccessControl)
+  .register(selfdestruct)
+  .register(delegatecall)
+  .register(floatingPragma);
@@ -0,0 +1,279 @@
+// dependency-check.js - Finds bare imports that no package.json declares and suggests dependency entries
+
+import { existsSync, readFileSync } from "node:fs";
+import { builtinModules } from "node:module";
+import path from "node:path";
+import * as ts from "typescript";
+import { walk } from "./runtime-rules.js";
+
+const SOURCE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js", ".mjs", ".cjs"];
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+const BUILTINS = new Set(builtinModules);
+
+const REGISTRY_URL = (process.env.NPM_REGISTRY_URL || "https://registry.npmjs.org").replace(/\/$/, "");
+const REGISTRY_TIMEOUT_MS = 5000;
+const REGISTRY_CONCURRENCY = 4;
+const REGISTRY_RETRY_MS = 60 * 1000;
+
+// Latest published version per package name (null: not on npm), shared across validations
+const registryVersions = new Map();
+// After a lookup fails to reach the registry, skip it until this time instead of waiting out every timeout
+let registryUnreachableUntil = 0;
+
+/**
+ * Package name of a bare specifier ("@scope/pkg/sub" -> "@scope/pkg", "lodash/fp" -> "lodash")
+ */
+export function packageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+function readJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dependency Checker
+ * Resolves every bare import of the submitted files against the nearest
+ * package.json (the submitted one, or the boilerplate's at the root) and
+ * the installed node_modules. Undeclared packages are reported with a
+ * suggested `"name": "^version"` entry taken from node_modules or the npm
+ * registry; packages the registry doesn't know are reported as such.
+ */
+export class DependencyChecker {
+  constructor({ boilerplateDir = null } = {}) {
+    this.boilerplateDir = boilerplateDir;
+  }
+
+  /**
+   * package.json contents by directory ("" is the project root)
+   */
+  packageManifests(filesArray) {
+    const manifests = new Map();
+    for (const file of filesArray) {
+      if (path.posix.basename(file.path) !== "package.json" || file.path.includes("node_modules/")) continue;
+      const manifest = readJson(file.content ?? "");
+      if (manifest) manifests.set(path.posix.dirname(file.path).replace(/^\.$/, ""), manifest);
+    }
+
+    const boilerplatePackage = this.boilerplateDir && path.join(this.boilerplateDir, "package.json");
+    if (!manifests.has("") && boilerplatePackage && existsSync(boilerplatePackage)) {
+      const manifest = readJson(readFileSync(boilerplatePackage, "utf8"));
+      if (manifest) manifests.set("", manifest);
+    }
+    return manifests;
+  }
+
+  /**
+   * Import prefixes mapped by tsconfig "paths" ("@/*" -> "@/"), which look bare but aren't packages
+   */
+  pathAliases(filesArray) {
+    const submitted = filesArray.find((f) => f.path === "tsconfig.json")?.content;
+    const boilerplateConfig = this.boilerplateDir && path.join(this.boilerplateDir, "tsconfig.json");
+    const text = submitted ?? (boilerplateConfig && existsSync(boilerplateConfig) ? readFileSync(boilerplateConfig, "utf8") : "{}");
+    const paths = ts.parseConfigFileTextToJson("tsconfig.json", text).config?.compilerOptions?.paths || {};
+    return ["@/", ...Object.keys(paths).map((key) => key.replace(/\*$/, ""))];
+  }
+
+  /**
+   * Bare import specifiers with their first location: import/export from, import(), require()
+   */
+  findImports(filesArray) {
+    const aliases = this.pathAliases(filesArray);
+    const imports = [];
+
+    for (const file of filesArray) {
+      if (!SOURCE_EXTENSIONS.includes(path.extname(file.path)) || file.path.includes("node_modules/")) continue;
+      const sourceFile = ts.createSourceFile(file.path, file.content ?? "", ts.ScriptTarget.Latest, true);
+
+      walk(sourceFile, (node) => {
+        let literal = null;
+        if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier) {
+          literal = node.moduleSpecifier;
+        } else if (ts.isCallExpression(node) && node.arguments.length === 1 &&
+          (node.expression.kind === ts.SyntaxKind.ImportKeyword || (ts.isIdentifier(node.expression) && node.expression.text === "require"))) {
+          literal = node.arguments[0];
+        }
+        if (!literal || !ts.isStringLiteralLike(literal)) return;
+
+        const specifier = literal.text;
+        if (/^[./#]/.test(specifier) || /^[a-z]+:/i.test(specifier) || aliases.some((alias) => alias && specifier.startsWith(alias))) return;
+        const name = packageName(specifier);
+        if (BUILTINS.has(name)) return;
+
+        const start = sourceFile.getLineAndCharacterOfPosition(literal.getStart(sourceFile) + 1);
+        imports.push({ name, specifier, file: file.path, line: start.line + 1, column: start.character + 1 });
+      });
+    }
+    return imports;
+  }
+
+  /**
+   * Installed version of a package, looking in node_modules from `dir` up to the project root
+   */
+  installedVersion(projectDir, dir, name) {
+    if (!projectDir) return null;
+    for (let current = dir; ; current = path.posix.dirname(current).replace(/^\.$/, "")) {
+      const manifest = path.join(projectDir, current, "node_modules", name, "package.json");
+      if (existsSync(manifest)) return readJson(readFileSync(manifest, "utf8"))?.version || null;
+      if (!current) return null;
+    }
+  }
+
+  async registryVersion(name) {
+    if (registryVersions.has(name)) return registryVersions.get(name);
+    if (Date.now() < registryUnreachableUntil) return undefined;
+    try {
+      const response = await fetch(`${REGISTRY_URL}/${name.replace("/", "%2f")}/latest`, {
+        signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS)
+      });
+      if (response.status === 404) {
+        registryVersions.set(name, null);
+        return null;
+      }
+      if (!response.ok) return undefined;
+      const { version } = await response.json();
+      registryVersions.set(name, version);
+      return version;
+    } catch {
+      registryUnreachableUntil = Date.now() + REGISTRY_RETRY_MS;
+      return undefined; // registry unreachable - unknown, not missing
+    }
+  }
+
+  /**
+   * Registry versions for several packages, at most REGISTRY_CONCURRENCY lookups at a time
+   */
+  async registryVersions(names) {
+    const queue = [...new Set(names)];
+    const versions = new Map();
+    const lookup = async () => {
+      for (let name = queue.shift(); name !== undefined; name = queue.shift()) {
+        versions.set(name, await this.registryVersion(name));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(REGISTRY_CONCURRENCY, queue.length) }, lookup));
+    return versions;
+  }
+
+  /**
+   * Undeclared packages: [{ name, packageDir, version, installed, published, imports }]
+   * `projectDir` is a directory with the project's node_modules, if any
+   */
+  async findMissing(filesArray, projectDir = null) {
+    const manifests = this.packageManifests(filesArray);
+    const missing = new Map();
+
+    for (const entry of this.findImports(filesArray)) {
+      // The nearest package.json above the importing file owns its dependencies
+      let packageDir = path.posix.dirname(entry.file).replace(/^\.$/, "");
+      while (packageDir && !manifests.has(packageDir)) packageDir = path.posix.dirname(packageDir).replace(/^\.$/, "");
+      const manifest = manifests.get(packageDir);
+      if (!manifest) continue;
+
+      if (manifest.name === entry.name || DEPENDENCY_FIELDS.some((field) => manifest[field]?.[entry.name])) continue;
+
+      const key = `${packageDir}:${entry.name}`;
+      if (!missing.has(key)) {
+        missing.set(key, { name: entry.name, packageDir, imports: [] });
+      }
+      missing.get(key).imports.push(entry);
+    }
+
+    // Packages that aren't installed are looked up on the registry, a few at a time
+    const installedVersions = new Map();
+    for (const [key, dependency] of missing) {
+      installedVersions.set(key, this.installedVersion(projectDir, dependency.packageDir, dependency.name));
+    }
+    const lookups = [...missing].filter(([key]) => !installedVersions.get(key)).map(([, dependency]) => dependency.name);
+    const registry = await this.registryVersions(lookups);
+
+    for (const [key, dependency] of missing) {
+      const installed = installedVersions.get(key);
+      const published = installed ? installed : registry.get(dependency.name);
+      dependency.installed = Boolean(installed);
+      dependency.published = published !== null; // undefined: registry unreachable, assume it exists
+      dependency.version = installed || published ? `^${installed || published}` : null;
+    }
+    return [...missing.values()];
+  }
+
+  /**
+   * Diagnostics for undeclared packages, reported at their first import
+   */
+  toDiagnostics(missing) {
+    const errors = [];
+    const warnings = [];
+
+    for (const dependency of missing) {
+      const [first] = dependency.imports;
+      const manifestPath = dependency.packageDir ? `${dependency.packageDir}/package.json` : "package.json";
+      const usedIn = [...new Set(dependency.imports.map((i) => i.file))];
+      const base = {
+        file: first.file,
+        line: first.line,
+        column: first.column,
+        endLine: first.line,
+        endColumn: first.column + first.specifier.length,
+        category: "dependencies",
+        source: "dependency-check",
+        dependency: { name: dependency.name, version: dependency.version, packageJson: manifestPath }
+      };
+
+      if (!dependency.published) {
+        errors.push({
+          ...base,
+          message: `'${dependency.name}' is imported but is not published on npm`,
+          severity: "error",
+          rule: "unknown-package",
+          suggestion: `Check the package name, or replace the import (used in ${usedIn.join(", ")})`
+        });
+        continue;
+      }
+
+      const entry = `"${dependency.name}": "${dependency.version || "latest"}"`;
+      (dependency.installed ? warnings : errors).push({
+        ...base,
+        message: dependency.installed
+          ? `'${dependency.name}' is imported but not declared in ${manifestPath} - it only resolves as a transitive dependency`
+          : `'${dependency.name}' is imported but not declared in ${manifestPath} - the build will fail with Module not found`,
+        severity: dependency.installed ? "warning" : "error",
+        rule: "undeclared-dependency",
+        suggestion: `Add ${entry} to dependencies in ${manifestPath}`
+      });
+    }
+    return { errors, warnings };
+  }
+
+  /**
+   * Add the missing packages with a known version to their package.json;
+   * returns the patched files array and the entries that were added
+   */
+  addMissing(filesArray, missing) {
+    const manifests = this.packageManifests(filesArray);
+    const added = [];
+    const patched = new Map();
+
+    for (const dependency of missing) {
+      if (!dependency.version || !dependency.published) continue;
+      const manifestPath = dependency.packageDir ? `${dependency.packageDir}/package.json` : "package.json";
+      const manifest = patched.get(manifestPath) || structuredClone(manifests.get(dependency.packageDir));
+      manifest.dependencies = { ...manifest.dependencies, [dependency.name]: dependency.version };
+      patched.set(manifestPath, manifest);
+      added.push({ name: dependency.name, version: dependency.version, packageJson: manifestPath });
+    }
+
+    if (patched.size === 0) return { files: filesArray, added };
+
+    const files = filesArray.filter((f) => !patched.has(f.path));
+    for (const [manifestPath, manifest] of patched) {
+      manifest.dependencies = Object.fromEntries(Object.entries(manifest.dependencies).sort(([a], [b]) => a.localeCompare(b)));
+      files.push({ path: manifestPath, content: `${JSON.stringify(manifest, null, 2)}\n` });
+    }
+    return { files, added };
+  }
+}
@@ -0,0 +1,592 @@
+// farcaster-validation.js - Farcaster miniapp checks: manifest schema, embed meta and sdk.actions.ready()
+
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import * as ts from "typescript";
+import { buildModuleGraph, walk } from "./runtime-rules.js";
+
+const MANIFEST_PATH = "public/.well-known/farcaster.json";
+const MANIFEST_ROUTE_PATTERN = /(^|\/)app\/\.well-known\/farcaster\.json\/route\.(ts|js)$/;
+const LAYOUT_PATTERN = /(^|\/)app\/(.*\/)?layout\.(tsx|ts|jsx|js)$/;
+const ROOT_LAYOUT_PATTERN = /^(src\/)?app\/layout\.(tsx|ts|jsx|js)$/;
+const SOURCE_PATTERN = /\.(tsx|ts|jsx|js)$/;
+// Boilerplate dirs whose sources a project keeps unless it submits its own version
+const SOURCE_DIRS = ["src", "app"];
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const TAG_PATTERN = /^[a-z0-9-]+$/;
+const PRIMARY_CATEGORIES = [
+  "games", "social", "finance", "utility", "productivity", "health-fitness", "news-media",
+  "music", "shopping", "education", "developer-tools", "entertainment", "art-creativity"
+];
+
+// Manifest string fields and their maximum lengths
+const MANIFEST_TEXT_LIMITS = {
+  name: 32,
+  homeUrl: 1024,
+  buttonTitle: 32,
+  subtitle: 30,
+  description: 170,
+  tagline: 30,
+  ogTitle: 30,
+  ogDescription: 100
+};
+
+// Image fields: expected width:height and the recommended size
+const IMAGE_SPECS = {
+  iconUrl: { ratio: 1, size: "1024x1024" },
+  splashImageUrl: { ratio: 1, size: "200x200" },
+  imageUrl: { ratio: 3 / 2, size: "1200x800" },
+  heroImageUrl: { ratio: 1.91, size: "1200x630" },
+  ogImageUrl: { ratio: 1.91, size: "1200x630" },
+  screenshotUrls: { ratio: 1284 / 2778, size: "1284x2778" }
+};
+const RATIO_TOLERANCE = 0.02;
+
+// Launch action type per embed meta tag
+const EMBED_TAGS = {
+  "fc:miniapp": { versions: ["1"], actionTypes: ["launch_miniapp", "view_token"] },
+  "fc:frame": { versions: ["1", "next"], actionTypes: ["launch_frame", "view_token"] }
+};
+
+/**
+ * Source files under a boilerplate's src/ and app/ dirs: [{ path, content }]
+ */
+function boilerplateSources(boilerplateDir) {
+  const sources = [];
+  const visit = (relativeDir) => {
+    for (const entry of readdirSync(path.join(boilerplateDir, relativeDir), { withFileTypes: true })) {
+      const relativePath = `${relativeDir}/${entry.name}`;
+      if (entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith(".")) visit(relativePath);
+      else if (entry.isFile() && SOURCE_PATTERN.test(entry.name)) {
+        sources.push({ path: relativePath, content: readFileSync(path.join(boilerplateDir, relativePath), "utf8") });
+      }
+    }
+  };
+  for (const dir of SOURCE_DIRS) {
+    if (existsSync(path.join(boilerplateDir, dir))) visit(dir);
+  }
+  return sources;
+}
+
+/**
+ * Width and height from a PNG, GIF, JPEG or SVG header, or null
+ */
+export function imageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      // SOF0..SOF15 carry the frame size (C4, C8 and CC are not frames)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  const text = buffer.toString("utf8", 0, Math.min(buffer.length, 4096));
+  const svg = text.match(/<svg\b[^>]*>/i)?.[0];
+  if (svg) {
+    const width = parseFloat(svg.match(/\bwidth="([\d.]+)(px)?"/)?.[1]);
+    const height = parseFloat(svg.match(/\bheight="([\d.]+)(px)?"/)?.[1]);
+    if (width && height) return { width, height };
+    const viewBox = svg.match(/\bviewBox="[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/);
+    if (viewBox) return { width: parseFloat(viewBox[1]), height: parseFloat(viewBox[2]) };
+  }
+  return null;
+}
+
+/**
+ * Static value of an expression: literals, object/array literals and
+ * consts declared in the same file. Anything else (env vars, calls) is
+ * `undefined` and skipped by the checks.
+ */
+function evaluate(node, sourceFile) {
+  if (!node) return undefined;
+  if (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isSatisfiesExpression?.(node)) {
+    return evaluate(node.expression, sourceFile);
+  }
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) return node.text;
+  if (ts.isNumericLiteral(node)) return Number(node.text);
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return false;
+  if (ts.isArrayLiteralExpression(node)) return node.elements.map((element) => evaluate(element, sourceFile));
+  if (ts.isObjectLiteralExpression(node)) {
+    const value = {};
+    for (const property of node.properties) {
+      if (ts.isPropertyAssignment(property)) {
+        value[property.name.text ?? property.name.getText(sourceFile)] = evaluate(property.initializer, sourceFile);
+      } else if (ts.isShorthandPropertyAssignment(property)) {
+        value[property.name.text] = evaluate(property.name, sourceFile);
+      }
+    }
+    return value;
+  }
+  if (ts.isIdentifier(node)) {
+    let initializer;
+    walk(sourceFile, (candidate) => {
+      if (initializer) return false;
+      if (ts.isVariableDeclaration(candidate) && ts.isIdentifier(candidate.name) && candidate.name.text === node.text) {
+        initializer = candidate.initializer;
+      }
+    });
+    return initializer && initializer !== node ? evaluate(initializer, sourceFile) : undefined;
+  }
+  // JSON.stringify({...}) is how embed meta is usually written; keep the object so
+  // keys with runtime values stay visible (as undefined) to the checks
+  if (ts.isCallExpression(node) && node.expression.getText(sourceFile) === "JSON.stringify") {
+    return evaluate(node.arguments[0], sourceFile);
+  }
+  return undefined;
+}
+
+/**
+ * Farcaster Validator
+ * Checks what a miniapp needs to launch inside Farcaster clients: the
+ * `public/.well-known/farcaster.json` manifest, the `fc:miniapp`/`fc:frame`
+ * embed meta in layout metadata, and an `sdk.actions.ready()` call in a
+ * client component (without it the app never leaves the splash screen).
+ * Images on the app's own domain are looked up in the submitted files and
+ * the boilerplate's public/ dir to check their aspect ratio. Like the
+ * manifest, the embed and ready() checks see the boilerplate's sources
+ * under the submitted files, since a project keeps whatever it doesn't override.
+ */
+export class FarcasterValidator {
+  constructor({ boilerplateDir = null } = {}) {
+    this.boilerplateDir = boilerplateDir;
+  }
+
+  validate(filesArray) {
+    const results = { errors: [], warnings: [], info: [] };
+    const files = new Map(filesArray.map((f) => [f.path, f.content ?? ""]));
+    const sources = this.projectSources(filesArray);
+
+    const homeOrigin = this.checkManifest(files, results);
+    this.checkEmbeds(new Map(sources.map((f) => [f.path, f.content ?? ""])), homeOrigin, results);
+    this.checkReadyCall(sources, results);
+    return results;
+  }
+
+  /**
+   * The project's sources: the boilerplate's, with the submitted files on top
+   */
+  projectSources(filesArray) {
+    if (!this.boilerplateDir || !existsSync(this.boilerplateDir)) return filesArray;
+    const submitted = new Set(filesArray.map((f) => f.path));
+    return [...boilerplateSources(this.boilerplateDir).filter((f) => !submitted.has(f.path)), ...filesArray];
+  }
+
+  push(results, severity, entry) {
+    const bucket = severity === "error" ? results.errors : severity === "warning" ? results.warnings : results.info;
+    bucket.push({ line: 1, column: 1, severity, category: "farcaster", source: "farcaster", ...entry });
+  }
+
+  /**
+   * Validate the manifest; returns the homeUrl origin for the embed checks
+   */
+  checkManifest(files, results) {
+    const file = MANIFEST_PATH;
+    let text = files.get(MANIFEST_PATH);
+    // Projects that don't override the manifest ship the boilerplate's
+    if (text === undefined && this.boilerplateDir && existsSync(path.join(this.boilerplateDir, MANIFEST_PATH))) {
+      text = readFileSync(path.join(this.boilerplateDir, MANIFEST_PATH), "utf8");
+    }
+
+    if (text === undefined) {
+      const route = [...files.keys()].find((filePath) => MANIFEST_ROUTE_PATTERN.test(filePath));
+      if (route) {
+        this.push(results, "info", {
+          file: route,
+          message: "The Farcaster manifest is served by a route handler and can't be checked statically",
+          rule: "manifest-dynamic"
+        });
+      } else {
+        this.push(results, "warning", {
+          file: MANIFEST_PATH,
+          message: `No Farcaster manifest at ${MANIFEST_PATH} - the miniapp can't be added or discovered in Farcaster clients`,
+          rule: "manifest-missing",
+          suggestion: "Add public/.well-known/farcaster.json with accountAssociation and a miniapp section"
+        });
+      }
+      return null;
+    }
+
+    const jsonFile = ts.parseJsonText(file, text);
+    const root = jsonFile.statements[0]?.expression;
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      const position = jsonFile.parseDiagnostics?.[0]?.start ?? 0;
+      const { line, character } = jsonFile.getLineAndCharacterOfPosition(position);
+      this.push(results, "error", {
+        file,
+        line: line + 1,
+        column: character + 1,
+        message: `Invalid JSON in the Farcaster manifest: ${error.message}`,
+        rule: "manifest-json"
+      });
+      return null;
+    }
+
+    // Location of a key path in the manifest (falls back to the nearest parent)
+    const locate = (...keys) => {
+      let node = root;
+      for (const key of keys) {
+        const object = node && ts.isPropertyAssignment(node) ? node.initializer : node;
+        const next = object && ts.isObjectLiteralExpression(object)
+          ? object.properties.find((p) => p.name && (p.name.text ?? p.name.getText(jsonFile)) === key)
+          : null;
+        if (!next) break;
+        node = next;
+      }
+      const start = jsonFile.getLineAndCharacterOfPosition(node ? node.getStart(jsonFile) : 0);
+      const end = jsonFile.getLineAndCharacterOfPosition(node ? node.getEnd() : 0);
+      return { file, line: start.line + 1, column: start.character + 1, endLine: end.line + 1, endColumn: end.character + 1 };
+    };
+
+    const sectionKey = manifest.miniapp ? "miniapp" : manifest.frame ? "frame" : null;
+    if (!sectionKey) {
+      this.push(results, "error", {
+        ...locate(),
+        message: 'The Farcaster manifest has no "miniapp" (or legacy "frame") section',
+        rule: "manifest-required-field"
+      });
+      return null;
+    }
+    const app = manifest[sectionKey];
+    const at = (...keys) => locate(sectionKey, ...keys);
+
+    for (const field of ["version", "name", "homeUrl", "iconUrl"]) {
+      if (app[field] === undefined || app[field] === "") {
+        this.push(results, "error", {
+          ...at(),
+          message: `The Farcaster manifest is missing the required field ${sectionKey}.${field}`,
+          rule: "manifest-required-field"
+        });
+      }
+    }
+    if (app.version !== undefined && String(app.version) !== "1") {
+      this.push(results, "error", { ...at("version"), message: `${sectionKey}.version must be "1"`, rule: "manifest-invalid-field" });
+    }
+
+    for (const [field, limit] of Object.entries(MANIFEST_TEXT_LIMITS)) {
+      if (typeof app[field] === "string" && app[field].length > limit) {
+        this.push(results, "error", {
+          ...at(field),
+          message: `${sectionKey}.${field} is ${app[field].length} characters, the limit is ${limit}`,
+          rule: "manifest-invalid-field"
+        });
+      }
+    }
+
+    if (app.splashBackgroundColor !== undefined && !HEX_COLOR.test(app.splashBackgroundColor)) {
+      this.push(results, "error", {
+        ...at("splashBackgroundColor"),
+        message: `${sectionKey}.splashBackgroundColor must be a hex color like "#f5f0ec"`,
+        rule: "manifest-invalid-field"
+      });
+    }
+    if (app.primaryCategory !== undefined && !PRIMARY_CATEGORIES.includes(app.primaryCategory)) {
+      this.push(results, "warning", {
+        ...at("primaryCategory"),
+        message: `${sectionKey}.primaryCategory "${app.primaryCategory}" is not a Farcaster category`,
+        rule: "manifest-invalid-field",
+        suggestion: `Use one of: ${PRIMARY_CATEGORIES.join(", ")}`
+      });
+    }
+    if (Array.isArray(app.tags) && (app.tags.length > 5 || app.tags.some((tag) => typeof tag !== "string" || tag.length > 20 || !TAG_PATTERN.test(tag)))) {
+      this.push(results, "warning", {
+        ...at("tags"),
+        message: `${sectionKey}.tags allows up to 5 lowercase tags of at most 20 characters (letters, digits, dashes)`,
+        rule: "manifest-invalid-field"
+      });
+    }
+    if (Array.isArray(app.screenshotUrls) && app.screenshotUrls.length > 3) {
+      this.push(results, "warning", { ...at("screenshotUrls"), message: `${sectionKey}.screenshotUrls allows at most 3 screenshots`, rule: "manifest-invalid-field" });
+    }
+
+    const homeOrigin = this.checkUrl(results, app.homeUrl, `${sectionKey}.homeUrl`, at("homeUrl"));
+    if (app.webhookUrl !== undefined) {
+      this.checkUrl(results, app.webhookUrl, `${sectionKey}.webhookUrl`, at("webhookUrl"));
+    }
+    if (app.canonicalDomain && homeOrigin && new URL(homeOrigin).hostname !== app.canonicalDomain) {
+      this.push(results, "warning", {
+        ...at("canonicalDomain"),
+        message: `${sectionKey}.canonicalDomain (${app.canonicalDomain}) does not match the homeUrl host (${new URL(homeOrigin).hostname})`,
+        rule: "manifest-home-url"
+      });
+    }
+
+    for (const [field, spec] of Object.entries(IMAGE_SPECS)) {
+      const urls = field === "screenshotUrls" ? (Array.isArray(app[field]) ? app[field] : []) : app[field] === undefined ? [] : [app[field]];
+      for (const url of urls) {
+        if (this.checkUrl(results, url, `${sectionKey}.${field}`, at(field))) {
+          this.checkImage(results, files, url, homeOrigin, spec, `${sectionKey}.${field}`, at(field));
+        }
+      }
+    }
+
+    this.checkAccountAssociation(results, manifest.accountAssociation, homeOrigin, locate);
+    return homeOrigin;
+  }
+
+  /**
+   * The signed accountAssociation must cover the domain the app is served from
+   */
+  checkAccountAssociation(results, association, homeOrigin, locate) {
+    if (!association || !["header", "payload", "signature"].every((key) => typeof association[key] === "string" && association[key])) {
+      this.push(results, "warning", {
+        ...locate("accountAssociation"),
+        message: "The Farcaster manifest has no signed accountAssociation (header, payload, signature) - the domain is not verified",
+        rule: "manifest-account-association",
+        suggestion: "Sign the manifest for the app's domain with the Farcaster manifest tool and paste the result"
+      });
+      return;
+    }
+
+    let domain;
+    try {
+      domain = JSON.parse(Buffer.from(association.payload, "base64url").toString("utf8")).domain;
+    } catch {
+      this.push(results, "error", {
+        ...locate("accountAssociation", "payload"),
+        message: "accountAssociation.payload is not base64url-encoded JSON",
+        rule: "manifest-account-association"
+      });
+      return;
+    }
+
+    if (homeOrigin && domain && new URL(homeOrigin).host !== domain) {
+      this.push(results, "error", {
+        ...locate("accountAssociation", "payload"),
+        message: `accountAssociation is signed for ${domain}, but homeUrl is on ${new URL(homeOrigin).host}`,
+        rule: "manifest-home-url",
+        suggestion: "Re-sign the manifest for the domain in homeUrl, or point homeUrl at the signed domain"
+      });
+    }
+  }
+
+  /**
+   * Absolute https URL check; returns the URL's origin when it is usable
+   */
+  checkUrl(results, value, field, location) {
+    if (value === undefined) return null;
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      this.push(results, "error", { ...location, message: `${field} must be an absolute URL, got ${JSON.stringify(value)}`, rule: "manifest-url" });
+      return null;
+    }
+    if (url.protocol !== "https:") {
+      this.push(results, "error", { ...location, message: `${field} must use https (${value})`, rule: "manifest-url" });
+      return null;
+    }
+    if (["localhost", "127.0.0.1", "0.0.0.0"].includes(url.hostname)) {
+      this.push(results, "warning", {
+        ...location,
+        message: `${field} points at ${url.hostname} - Farcaster clients can't reach it`,
+        rule: "manifest-url"
+      });
+    }
+    return url.origin;
+  }
+
+  /**
+   * Aspect ratio check for images served from the app's own public/ dir
+   */
+  checkImage(results, files, value, homeOrigin, spec, field, location) {
+    const url = new URL(value);
+    if (homeOrigin && url.origin !== homeOrigin) return;
+
+    const publicPath = `public${decodeURIComponent(url.pathname)}`;
+    let buffer = null;
+    if (files.has(publicPath)) {
+      buffer = Buffer.from(files.get(publicPath), "utf8"); // only text formats (SVG) survive the files array
+    } else if (this.boilerplateDir && existsSync(path.join(this.boilerplateDir, publicPath))) {
+      buffer = readFileSync(path.join(this.boilerplateDir, publicPath));
+    } else if (homeOrigin) {
+      this.push(results, "warning", {
+        ...location,
+        message: `${field} points at ${url.pathname}, which is not in public/`,
+        rule: "manifest-image"
+      });
+      return;
+    }
+
+    const size = buffer && imageSize(buffer);
+    if (!size) return;
+    const ratio = size.width / size.height;
+    if (Math.abs(ratio - spec.ratio) / spec.ratio > RATIO_TOLERANCE) {
+      this.push(results, "warning", {
+        ...location,
+        message: `${field} is ${size.width}x${size.height}, expected a ${spec.size} image (aspect ratio ${spec.ratio.toFixed(2)}:1)`,
+        rule: "manifest-image-aspect"
+      });
+    }
+  }
+
+  /**
+   * fc:miniapp / fc:frame embed meta in layout metadata (metadata.other) or a <meta> tag
+   */
+  checkEmbeds(files, homeOrigin, results) {
+    const embeds = [];
+    for (const [filePath, content] of files) {
+      if (!LAYOUT_PATTERN.test(filePath) && !/(^|\/)app\/(.*\/)?page\.(tsx|ts|jsx|js)$/.test(filePath)) continue;
+      const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, filePath.endsWith("x") ? ts.ScriptKind.TSX : ts.ScriptKind.TS);
+
+      walk(sourceFile, (node) => {
+        let tag;
+        let valueNode;
+        if (ts.isPropertyAssignment(node) && (ts.isStringLiteral(node.name) || ts.isIdentifier(node.name)) && EMBED_TAGS[node.name.text]) {
+          tag = node.name.text;
+          valueNode = node.initializer;
+        } else if (ts.isJsxAttributes(node)) {
+          const attribute = (name) => node.properties.find((p) => ts.isJsxAttribute(p) && p.name.getText(sourceFile) === name);
+          const name = attribute("name") || attribute("property");
+          const nameValue = name?.initializer && ts.isStringLiteral(name.initializer) ? name.initializer.text : null;
+          if (EMBED_TAGS[nameValue]) {
+            tag = nameValue;
+            const content = attribute("content")?.initializer;
+            valueNode = content && ts.isJsxExpression(content) ? content.expression : content;
+          }
+        }
+        if (!tag) return;
+
+        const start = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+        embeds.push({ tag, file: filePath, line: start.line + 1, column: start.character + 1, value: evaluate(valueNode, sourceFile) });
+      });
+    }
+
+    const layoutEmbeds = embeds.filter((embed) => LAYOUT_PATTERN.test(embed.file));
+    if (embeds.length === 0) {
+      // Without the root layout (not submitted, no boilerplate to fall back on) the embed may well be there
+      const layout = [...files.keys()].find((filePath) => ROOT_LAYOUT_PATTERN.test(filePath));
+      this.push(results, layout ? "warning" : "info", {
+        file: layout || "src/app/layout.tsx",
+        message: layout
+          ? "No fc:miniapp embed meta - casts with the app's URL won't show a launch card"
+          : "No fc:miniapp embed meta in the checked files - the root layout wasn't submitted, so it couldn't be checked",
+        rule: "embed-missing",
+        suggestion: 'Add other: { "fc:miniapp": JSON.stringify({ version: "1", imageUrl, button: { title, action: { type: "launch_miniapp", name, url } } }) } to the layout metadata'
+      });
+      return;
+    }
+    if (!embeds.some((embed) => embed.tag === "fc:miniapp")) {
+      this.push(results, "info", {
+        file: embeds[0].file,
+        line: embeds[0].line,
+        column: embeds[0].column,
+        message: "Only the legacy fc:frame embed is set - newer clients read fc:miniapp",
+        rule: "embed-legacy",
+        suggestion: "Add an fc:miniapp tag with the same content (action type launch_miniapp) and keep fc:frame for older clients"
+      });
+    }
+
+    for (const embed of layoutEmbeds.length > 0 ? layoutEmbeds : embeds) {
+      this.checkEmbed(results, embed, homeOrigin);
+    }
+  }
+
+  checkEmbed(results, { tag, file, line, column, value }, homeOrigin) {
+    const location = { file, line, column };
+    if (value === undefined) return; // built at runtime (env vars, helpers) - nothing to check statically
+
+    let embed;
+    try {
+      embed = typeof value === "string" ? JSON.parse(value) : value;
+    } catch {
+      this.push(results, "error", { ...location, message: `${tag} content is not valid JSON`, rule: "embed-invalid" });
+      return;
+    }
+
+    const spec = EMBED_TAGS[tag];
+    const problems = [];
+    if (embed.version !== undefined && !spec.versions.includes(String(embed.version))) {
+      problems.push(`version must be ${spec.versions.map((v) => `"${v}"`).join(" or ")}`);
+    }
+    // A key whose value is only known at runtime is present but undefined
+    if (!("imageUrl" in embed)) problems.push("imageUrl is required");
+    if (!("button" in embed)) problems.push("button is required");
+    else if (embed.button && !("title" in embed.button)) problems.push("button.title is required");
+    if (typeof embed.button?.title === "string" && embed.button.title.length > 32) {
+      problems.push(`button.title is ${embed.button.title.length} characters, the limit is 32`);
+    }
+    const action = embed.button?.action;
+    if (action?.type !== undefined && !spec.actionTypes.includes(action.type)) {
+      problems.push(`button.action.type must be ${spec.actionTypes.map((t) => `"${t}"`).join(" or ")}`);
+    }
+    if (action?.splashBackgroundColor !== undefined && !HEX_COLOR.test(action.splashBackgroundColor)) {
+      problems.push("button.action.splashBackgroundColor must be a hex color");
+    }
+
+    for (const problem of problems) {
+      this.push(results, "error", { ...location, message: `${tag} embed: ${problem}`, rule: "embed-invalid" });
+    }
+
+    for (const [field, url] of [["imageUrl", embed.imageUrl], ["button.action.url", action?.url], ["button.action.splashImageUrl", action?.splashImageUrl]]) {
+      if (typeof url !== "string") continue;
+      const origin = this.checkUrl(results, url, `${tag} ${field}`, location);
+      if (origin && homeOrigin && field === "button.action.url" && origin !== homeOrigin) {
+        this.push(results, "warning", {
+          ...location,
+          message: `${tag} button.action.url (${origin}) is not on the manifest's homeUrl origin (${homeOrigin})`,
+          rule: "manifest-home-url"
+        });
+      }
+    }
+  }
+
+  /**
+   * sdk.actions.ready() has to run in the browser, i.e. in a client module
+   */
+  checkReadyCall(filesArray, results) {
+    const calls = [];
+    for (const module of buildModuleGraph(filesArray).values()) {
+      walk(module.sourceFile, (node) => {
+        if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression) &&
+            node.expression.name.text === "ready" && ts.isPropertyAccessExpression(node.expression.expression) &&
+            node.expression.expression.name.text === "actions") {
+          const start = module.sourceFile.getLineAndCharacterOfPosition(node.getStart(module.sourceFile));
+          calls.push({ module, line: start.line + 1, column: start.character + 1 });
+        }
+      });
+    }
+
+    if (calls.length === 0) {
+      // Only the submitted part of the project is known when neither its root layout nor its root page is among them
+      const complete = filesArray.some((f) => ROOT_LAYOUT_PATTERN.test(f.path) || /^(src\/)?app\/page\.(tsx|ts|jsx|js)$/.test(f.path));
+      this.push(results, complete ? "error" : "warning", {
+        file: "src/app/page.tsx",
+        message: complete
+          ? "sdk.actions.ready() is never called - Farcaster clients keep showing the splash screen"
+          : "sdk.actions.ready() is not called in the checked files - the root layout and page weren't submitted, so the call may be elsewhere",
+        rule: "sdk-ready-missing",
+        suggestion: "Call sdk.actions.ready() in a useEffect of a 'use client' component once the app has rendered"
+      });
+      return;
+    }
+
+    if (calls.every((call) => call.module.isServer)) {
+      const { module, line, column } = calls[0];
+      this.push(results, "error", {
+        file: module.path,
+        line,
+        column,
+        message: `sdk.actions.ready() is only called in ${module.path}, which is rendered as a Server Component - it never runs in the browser`,
+        rule: "sdk-ready-server",
+        suggestion: "Move the call into a useEffect of a 'use client' component"
+      });
+    }
+  }
+}
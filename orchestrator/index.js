@@ -6,11 +6,20 @@ import bodyParser from "body-parser";
 import http from "node:http";
 import { spawn } from "node:child_process";
 import { promises as fs } from "node:fs";
-import { existsSync } from "node:fs";
+import { existsSync, readFileSync } from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
 import httpProxy from "http-proxy"; // CJS default import
 import { RailwayCompilationValidator } from "./validation.js";
+import { VALIDATION_REPORT_FORMATS, formatValidationReport } from "./validation-report.js";
+import { StateStore } from "./state-store.js";
+import { BuildQueue } from "./build-queue.js";
+import { SnapshotStore } from "./snapshot-store.js";
+import { ContentStore } from "./content-store.js";
+import { JobNotifier } from "./job-notifier.js";
+import { Outbox } from "./outbox.js";
+import { killProcessTree } from "./process-tree.js";
+import { ValidationProfiles, mergeValidationConfig } from "./validation-profiles.js";
 import Anthropic from "@anthropic-ai/sdk";
 
 
@@ -52,6 +61,12 @@ const AUTH_TOKEN = process.env.PREVIEW_AUTH_TOKEN || "";
 // Dev port base (only used for local deployments)
 const BASE_PORT = Number(process.env.BASE_PORT || 4000);
 
+// Max /deploy builds (copy + install + platform CLI) running at once; the rest wait in the build queue
+const MAX_CONCURRENT_BUILDS = Number(process.env.MAX_CONCURRENT_BUILDS || (IS_RAILWAY ? 2 : 4));
+
+// Deployments kept per project for GET /projects/:projectId/deployments
+const DEPLOYMENT_HISTORY_LIMIT = Number(process.env.DEPLOYMENT_HISTORY_LIMIT || 20);
+
 // Deployment feature flags
 const ENABLE_VERCEL_DEPLOYMENT = process.env.ENABLE_VERCEL_DEPLOYMENT === "true";
 const ENABLE_NETLIFY_DEPLOYMENT = process.env.ENABLE_NETLIFY_DEPLOYMENT === "true";
@@ -74,6 +89,13 @@ const FORCE_EXTERNAL_DEPLOYMENT = process.env.FORCE_EXTERNAL_DEPLOYMENT === "tru
 // Miniapp creator URL for callbacks (job status updates)
 const MINIAPP_CREATOR_URL = process.env.MINIAPP_CREATOR_URL || process.env.NEXT_PUBLIC_APP_URL || "http://localhost:3000";
 
+// Job lifecycle callbacks: comma-separated URLs that receive signed started/stage_changed/completed/failed events
+const JOB_CALLBACK_URLS = (process.env.JOB_CALLBACK_URLS || "").split(",").map((u) => u.trim()).filter(Boolean);
+const JOB_CALLBACK_SECRET = process.env.JOB_CALLBACK_SECRET || AUTH_TOKEN; // HMAC key for X-Orchestrator-Signature
+
+// Delivery attempts (exponential backoff) before an outbox callback is parked as dead until replayed
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+
 // AI Error Extraction
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "";
 const anthropic = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
@@ -99,15 +121,89 @@ function sha(s) {
   return crypto.createHash("sha256").update(s).digest("hex");
 }
 
+// Log ring buffer; every chunk is tagged with the current stage and fanned out to live subscribers (SSE)
 function makeRing(cap = 4000) {
-  const buf = [];
-  return {
+  const buf = []; // { stage, text, time }
+  const listeners = new Set();
+  const emit = (event, data) => {
+    for (const fn of listeners) {
+      try {
+        fn(event, data);
+      } catch {}
+    }
+  };
+  const controller = new AbortController();
+  const ring = {
+    stage: null,
+    finished: null,
+    cancelled: false,
+    signal: controller.signal, // aborted on cancel, for in-process work (validation workers)
+    abort: () => controller.abort(),
+    children: new Set(), // processes spawned for this deployment, killed if it is cancelled
+    track: (child) => {
+      ring.children.add(child);
+      child.once("exit", () => ring.children.delete(child));
+    },
     push: (s) => {
-      buf.push(s);
+      const entry = { stage: ring.stage, text: s, time: Date.now() };
+      buf.push(entry);
       if (buf.length > cap) buf.shift();
+      emit("log", entry);
+    },
+    text: () => buf.map((e) => e.text).join(""),
+    entries: () => buf.slice(),
+    setStage: (stage) => {
+      ring.stage = stage;
+      emit("stage", { stage, time: Date.now() });
+    },
+    finish: (info = {}) => {
+      ring.finished = { ...info, time: Date.now() };
+      emit("end", ring.finished);
+    },
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
     },
-    text: () => buf.join(""),
   };
+  return ring;
+}
+
+/**
+ * Stream a log ring as Server-Sent Events: replay the buffer, then push
+ * new chunks until the ring is finished or the client disconnects.
+ * Pass { follow: true } to ignore the finish marker (dev server logs keep coming).
+ */
+function streamLogs(req, res, logs, { follow = false } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (logs.stage) send("stage", { stage: logs.stage });
+  for (const entry of logs.entries()) send("log", entry);
+
+  if (logs.finished && !follow) {
+    send("end", logs.finished);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const unsubscribe = logs.subscribe((event, data) => {
+    if (event === "end" && follow) return;
+    send(event, data);
+    if (event === "end") {
+      cleanup();
+      res.end();
+    }
+  });
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on("close", cleanup);
 }
 
 /**
@@ -242,6 +338,28 @@ function extractErrorFromLogs(logs) {
   return null;
 }
 
+// Outbox handler for notifyJobFailure messages; throws so network errors and 5xx answers are retried.
+// A 4xx answer (unknown job, bad auth, invalid body) will not change on retry, so it is thrown as permanent.
+async function deliverJobFailure(message) {
+  const { jobId, body } = message.payload;
+  const response = await fetch(`${MINIAPP_CREATOR_URL}/api/jobs/${jobId}/fail`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${AUTH_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(30000)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    const error = new Error(`miniapp-creator answered ${response.status}: ${errorText.substring(0, 200)}`);
+    error.permanent = response.status >= 400 && response.status < 500;
+    throw error;
+  }
+}
+
 /**
  * Notify miniapp-creator that a job has failed due to background deployment failure
  */
@@ -290,25 +408,12 @@ async function notifyJobFailure(jobId, projectId, error, logs) {
     console.log(`[${projectId}] 📦 Sending payload (first 500 chars):`);
     console.log(JSON.stringify(payload, null, 2).substring(0, 500));
     
-    const response = await fetch(`${MINIAPP_CREATOR_URL}/api/jobs/${jobId}/fail`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${AUTH_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    console.log(`[${projectId}] 📡 Response status: ${response.status} ${response.statusText}`);
-
-    if (response.ok) {
-      const result = await response.json();
-      console.log(`[${projectId}] ✅ Job ${jobId} marked as failed in database`);
-      console.log(`[${projectId}] ✅ Response:`, JSON.stringify(result, null, 2));
+    // Delivered through the outbox: network errors and 5xx responses are retried, even across restarts
+    const message = await outbox.enqueue('job_failure', { jobId, projectId, body: payload }, { label: `[${projectId}]` });
+    if (message.lastError) {
+      console.error(`[${projectId}] ❌ Failed to notify job failure (kept in outbox as ${message.id}): ${message.lastError}`);
     } else {
-      const errorText = await response.text();
-      console.error(`[${projectId}] ❌ Failed to notify job failure: ${response.status}`);
-      console.error(`[${projectId}] ❌ Error response: ${errorText}`);
+      console.log(`[${projectId}] ✅ Job ${jobId} marked as failed in database`);
     }
     console.log(`${'='.repeat(80)}\n`);
   } catch (notifyError) {
@@ -492,7 +597,12 @@ async function assignCustomDomain(vercelProjectId, projectId, teamId = null) {
   }
 }
 
-async function deployToVercel(dir, projectId, logs) {
+/**
+ * Deploy a prepared project directory with the Vercel CLI
+ * @param {object} [meta] - Filled with { deploymentUrl } (the deployment-specific *.vercel.app URL) when found
+ * @returns {Promise<string>} - The stable production URL
+ */
+async function deployToVercel(dir, projectId, logs, meta = {}) {
   if (!ENABLE_VERCEL_DEPLOYMENT || !DEPLOYMENT_TOKEN_SECRET) {
     throw new Error("Vercel deployment is disabled or token not provided");
   }
@@ -535,6 +645,7 @@ async function deployToVercel(dir, projectId, logs) {
     
     if (productionUrlMatch && productionUrlMatch[1]) {
       console.log(`[${projectId}] 📋 Deployment-specific URL: ${productionUrlMatch[1]}`);
+      meta.deploymentUrl = productionUrlMatch[1];
     }
 
     // Get the actual stable domain from Vercel API
@@ -608,6 +719,30 @@ async function deployToVercel(dir, projectId, logs) {
   }
 }
 
+/**
+ * Point the project's production domains back at an earlier Vercel deployment
+ */
+async function promoteVercelDeployment(dir, projectId, deploymentUrl, logs) {
+  if (!ENABLE_VERCEL_DEPLOYMENT || !DEPLOYMENT_TOKEN_SECRET) {
+    throw new Error("Vercel deployment is disabled or token not provided");
+  }
+
+  console.log(`[${projectId}] 🔁 Promoting earlier Vercel deployment: ${deploymentUrl}`);
+  const vercelArgs = ["vercel", "promote", deploymentUrl, "--token", DEPLOYMENT_TOKEN_SECRET, "--yes"];
+  const vercelTeam = process.env.VERCEL_TEAM_ID || process.env.VERCEL_ORG_ID;
+  if (vercelTeam) {
+    vercelArgs.push("--scope", vercelTeam);
+  }
+
+  await run("npx", vercelArgs, {
+    id: projectId,
+    cwd: dir,
+    env: { ...process.env, CI: "1" },
+    logs
+  });
+  console.log(`[${projectId}] ✅ Vercel deployment promoted`);
+}
+
 async function deployToNetlify(dir, projectId, logs) {
   if (!ENABLE_NETLIFY_DEPLOYMENT || !NETLIFY_TOKEN) {
     throw new Error("Netlify deployment is disabled or token not provided");
@@ -812,12 +947,16 @@ async function deployContractsFromPath(contractsDir, projectId, logs) {
 function run(cmd, args, { id, cwd, env, logs } = {}) {
   return new Promise((resolve, reject) => {
     const label = id ? `[${id}]` : "";
+    // A cancelled deployment must not start its next step
+    if (logs?.cancelled) return reject(cancelledError());
+
     console.log(`${label} > ${cmd} ${args.join(" ")}`);
     const child = spawn(cmd, args, {
       cwd,
       env,
       stdio: ["ignore", "pipe", "pipe"],
     });
+    logs?.track?.(child);
 
     let stdout = "";
     let stderr = "";
@@ -851,6 +990,10 @@ function run(cmd, args, { id, cwd, env, logs } = {}) {
     });
 
     child.on("exit", (code) => {
+      if (logs?.cancelled) {
+        logs.push(`${label} ${cmd} killed (deployment cancelled)\n`);
+        return reject(cancelledError());
+      }
       if (code === 0) {
         // Return both stdout and stderr for successful commands
         resolve({ stdout, stderr, output });
@@ -869,6 +1012,13 @@ function run(cmd, args, { id, cwd, env, logs } = {}) {
   });
 }
 
+function cancelledError(deploymentId = null) {
+  const error = new Error("Deployment cancelled");
+  error.cancelled = true;
+  error.deploymentId = deploymentId;
+  return error;
+}
+
 /* ========= NPM install (robust) ========= */
 
 async function npmInstall(dir, { id, storeDir, logs }) {
@@ -940,9 +1090,408 @@ async function needInstall(dir) {
 /* ========= Preview registry & helpers ========= */
 
 const previews = new Map(); // id -> { port, proc, dir, lastHit, status, logs, lastError }
-const deploymentJobs = new Map(); // projectId -> { status, startTime, error, logs, deploymentUrl, platform }
+const deploymentJobs = new Map(); // deploymentId -> { deploymentId, projectId, status, startTime, finishedAt, error, logs, deploymentUrl, platform, manifestHash, ... }
+const latestDeployments = new Map(); // projectId -> deploymentId of the most recent /deploy call
+const deploymentLogStreams = new Map(); // deploymentId -> log ring (live, not persisted)
+const buildQueue = new BuildQueue(MAX_CONCURRENT_BUILDS);
+const stateStore = new StateStore(path.join(PREVIEWS_ROOT, ".orchestrator-state")); // journal for both maps
+const snapshotStore = new SnapshotStore(path.join(PREVIEWS_ROOT, ".orchestrator-state", "snapshots")); // deploymentId -> files
+const contentStore = new ContentStore(path.join(PREVIEWS_ROOT, ".content-store")); // sha256 -> uploaded file body
+const outbox = new Outbox(path.join(PREVIEWS_ROOT, ".orchestrator-state", "outbox"), { maxAttempts: OUTBOX_MAX_ATTEMPTS }); // undelivered callbacks
+outbox.register('job_failure', deliverJobFailure);
+const jobNotifier = new JobNotifier({ urls: JOB_CALLBACK_URLS, secret: JOB_CALLBACK_SECRET, outbox });
 const proxy = httpProxy.createProxyServer({ ws: true });
 
+// Registry writes go through these helpers so every status transition is journaled
+function setDeploymentJob(deploymentId, job) {
+  deploymentJobs.set(deploymentId, job);
+  stateStore.recordJob(deploymentId, job);
+}
+
+/**
+ * Mint a deployment record for a /deploy call and make it the project's latest.
+ * Older records beyond DEPLOYMENT_HISTORY_LIMIT are pruned (never unfinished ones).
+ */
+function createDeployment(projectId, fields = {}) {
+  const deploymentId = `dep_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`;
+  setDeploymentJob(deploymentId, {
+    deploymentId,
+    projectId,
+    status: 'queued',
+    startTime: Date.now(),
+    finishedAt: null,
+    platform: null,
+    error: null,
+    logs: '',
+    deploymentUrl: null,
+    ...fields
+  });
+  latestDeployments.set(projectId, deploymentId);
+
+  const history = listDeployments(projectId);
+  for (const old of history.slice(DEPLOYMENT_HISTORY_LIMIT)) {
+    if (old.status === 'queued' || old.status === 'in_progress') continue;
+    deploymentJobs.delete(old.deploymentId);
+    deploymentLogStreams.delete(old.deploymentId);
+    stateStore.removeJob(old.deploymentId);
+    snapshotStore.remove(old.deploymentId).catch(() => {});
+  }
+
+  return deploymentId;
+}
+
+function updateDeployment(deploymentId, changes) {
+  const job = deploymentJobs.get(deploymentId);
+  if (!job) return;
+  // A cancelled deployment stays cancelled, even if a step that was already running reports back
+  if (job.status === 'cancelled' && changes.status) return;
+  const finished = changes.status && changes.status !== 'queued' && changes.status !== 'in_progress';
+  const updated = {
+    ...job,
+    ...changes,
+    ...(finished ? { finishedAt: Date.now() } : {})
+  };
+  setDeploymentJob(deploymentId, updated);
+
+  if (changes.status && changes.status !== job.status && JOB_STATUS_EVENTS[changes.status]) {
+    emitJobEvent(JOB_STATUS_EVENTS[changes.status], updated);
+  }
+}
+
+// Status transitions that are reported to the job callback URLs
+const JOB_STATUS_EVENTS = {
+  in_progress: 'started',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+function emitJobEvent(event, job, extra = {}) {
+  jobNotifier.notify(event, {
+    deploymentId: job.deploymentId,
+    projectId: job.projectId,
+    jobId: job.jobId || null,
+    status: job.status,
+    platform: job.platform,
+    stage: null,
+    deploymentUrl: job.deploymentUrl || null,
+    contractDeployment: job.contractDeployment || null,
+    error: job.error || null,
+    startTime: job.startTime,
+    finishedAt: job.finishedAt || null,
+    ...extra
+  });
+}
+
+// Expose a deployment's log ring to /deploy/:projectId/stream and report its stage changes
+function attachDeploymentLogs(deploymentId, logs) {
+  deploymentLogStreams.set(deploymentId, logs);
+  logs.subscribe((event, data) => {
+    if (event !== 'stage') return;
+    const job = deploymentJobs.get(deploymentId);
+    if (job) emitJobEvent('stage_changed', job, { stage: data.stage });
+  });
+}
+
+// The deployment's log ring, created on first use (the validation gate runs before the build steps)
+function deploymentLogs(deploymentId) {
+  if (!deploymentId) return makeRing();
+  let logs = deploymentLogStreams.get(deploymentId);
+  if (!logs) {
+    logs = makeRing();
+    attachDeploymentLogs(deploymentId, logs);
+  }
+  return logs;
+}
+
+/**
+ * Cancel a queued or running deployment: drop it from the build queue, or kill the
+ * process tree of every step it has running, then remove the half-built directory it
+ * created (a directory a registered preview still points at is left alone).
+ */
+async function cancelDeployment(job) {
+  const { deploymentId, projectId, platform } = job;
+  const wasQueued = job.status === 'queued';
+  updateDeployment(deploymentId, { status: 'cancelled', error: 'Deployment cancelled' });
+  console.log(`[${projectId}] 🛑 Cancelling ${wasQueued ? 'queued' : 'running'} deployment ${deploymentId}`);
+
+  if (wasQueued) {
+    buildQueue.cancel(deploymentId, cancelledError(deploymentId));
+    return { killedProcesses: 0 };
+  }
+
+  const logs = deploymentLogStreams.get(deploymentId);
+  const children = logs ? [...logs.children] : [];
+  if (logs) {
+    logs.cancelled = true;
+    logs.abort();
+    logs.push(`[${projectId}] 🛑 Deployment cancelled\n`);
+    await Promise.all(children.map((child) => killProcessTree(child.pid)));
+    setDeploymentJob(deploymentId, { ...deploymentJobs.get(deploymentId), logs: logs.text() });
+    logs.finish({ status: 'cancelled' });
+  }
+
+  if (platform && platform !== 'local') {
+    // Redeploys and rollbacks build in the live preview's directory, which later rollbacks still need
+    const buildDir = deploymentJobs.get(deploymentId)?.buildDir;
+    if (buildDir && ![...previews.values()].some((preview) => preview.dir === buildDir)) {
+      await fs.rm(buildDir, { recursive: true, force: true, maxRetries: 5, retryDelay: 1000 });
+    }
+  } else {
+    // Only tear down the local preview if it is the one this deployment was starting
+    const preview = previews.get(projectId);
+    if (!preview || (logs && preview.logs === logs)) {
+      if (preview) forgetPreview(projectId);
+      await fs.rm(path.join(PREVIEWS_ROOT, projectId), { recursive: true, force: true, maxRetries: 5, retryDelay: 1000 });
+    }
+  }
+
+  return { killedProcesses: children.length };
+}
+
+// Newest first
+function listDeployments(projectId) {
+  return [...deploymentJobs.values()]
+    .filter((job) => job.projectId === projectId)
+    .sort((a, b) => b.startTime - a.startTime);
+}
+
+// Resolve ?deploymentId=... (scoped to the project) or fall back to the project's latest deployment
+function findDeployment(projectId, deploymentId) {
+  const id = deploymentId || latestDeployments.get(projectId);
+  const job = id ? deploymentJobs.get(id) : null;
+  return job && job.projectId === projectId ? job : null;
+}
+
+/**
+ * Snapshot the files of a successful deployment so the preview can be rolled back to it.
+ * Patch deploys (files written into a running preview) are layered on the previous snapshot.
+ */
+async function recordSnapshot(projectId, deploymentId, filesArray, { patch = false } = {}) {
+  if (!deploymentId) return;
+  try {
+    const base = patch ? latestSnapshotDeployment(projectId, deploymentId) : null;
+    const baseFiles = base ? await snapshotStore.load(base.deploymentId) : null;
+    await snapshotStore.save(deploymentId, filesArray, baseFiles);
+    updateDeployment(deploymentId, { hasSnapshot: true });
+  } catch (error) {
+    console.warn(`[${projectId}] ⚠️ Failed to snapshot deployment ${deploymentId}:`, error.message);
+  }
+}
+
+/**
+ * Record a successful /previews update as a completed deployment with a snapshot, so it can be
+ * rolled back to and later patches are validated against it. Patches are layered on the last snapshot.
+ */
+async function recordPreviewUpdate(projectId, filesArray, { platform, appType, deploymentUrl, patch = false }) {
+  if (!Array.isArray(filesArray)) return null;
+  const deploymentId = createDeployment(projectId, {
+    platform,
+    appType,
+    manifestHash: manifestHash(filesArray),
+    fileCount: filesArray.length,
+    status: 'completed',
+    finishedAt: Date.now(),
+    deploymentUrl,
+    ...(patch ? { patched: true } : {})
+  });
+  await recordSnapshot(projectId, deploymentId, filesArray, { patch });
+  return deploymentId;
+}
+
+// Most recent successful deployment that has a snapshot (optionally skipping one)
+function latestSnapshotDeployment(projectId, excludeId = null) {
+  return listDeployments(projectId).find(
+    (job) => job.status === 'completed' && job.hasSnapshot && job.deploymentId !== excludeId
+  ) || null;
+}
+
+// Stable hash of a file set: sha256 over the sorted path -> content-hash manifest
+function manifestHash(filesArray) {
+  const manifest = filesArray
+    .map((f) => [f.path, sha(f.content ?? "")])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return sha(JSON.stringify(manifest));
+}
+
+// Check a client manifest (path -> sha256) and return an error message, or null if it is usable
+function invalidManifestReason(manifest) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return "manifest must be an object mapping file paths to sha256 hashes";
+  }
+  const badPaths = Object.entries(manifest)
+    .filter(([, hash]) => !ContentStore.isHash(hash))
+    .map(([filePath]) => filePath);
+  if (badPaths.length > 0) {
+    return `manifest has invalid sha256 hashes for: ${badPaths.slice(0, 10).join(", ")}`;
+  }
+  return null;
+}
+
+// Resolve the files of a /deploy or /previews request: inline `files`, or a `manifest` of uploaded blobs.
+// Responds (400/409) and returns null when the manifest cannot be resolved.
+async function resolveRequestFiles(req, res, id) {
+  const { files, manifest } = req.body;
+  if (files || !manifest) return files;
+
+  const reason = invalidManifestReason(manifest);
+  if (reason) {
+    res.status(400).json({ error: reason });
+    return null;
+  }
+
+  try {
+    const filesArray = await contentStore.resolve(manifest);
+    console.log(`[${id}] 📦 Resolved manifest with ${filesArray.length} files from the content store`);
+    return filesArray;
+  } catch (error) {
+    if (error.missing) {
+      console.warn(`[${id}] ⚠️ Manifest references ${error.missing.length} blobs that were never uploaded`);
+      res.status(409).json({ error: error.message, missing: error.missing });
+    } else {
+      console.error(`[${id}] ❌ Failed to read uploaded blobs:`, error.message);
+      res.status(500).json({ error: `Failed to read uploaded blobs: ${error.message}` });
+    }
+    return null;
+  }
+}
+
+// Named validation profiles (quick, standard, release) for /validate and the opt-in `validate` gate on /deploy and /previews
+const validationProfiles = ValidationProfiles.load(process.env.VALIDATION_PROFILES_FILE || undefined);
+
+// Map a request's `validate` flag to a profile name; null when the gate is off, undefined when the value is invalid
+function resolveValidationMode(validate) {
+  if (validate === undefined || validate === null || validate === false) return null;
+  if (validate === true) return 'quick';
+  return validationProfiles.has(validate) ? validate : undefined;
+}
+
+// Files of the project's last snapshot with this request's files on top (what a patched preview ends up with)
+async function mergeWithLatestSnapshot(projectId, filesArray) {
+  const base = latestSnapshotDeployment(projectId);
+  const baseFiles = base ? await snapshotStore.load(base.deploymentId) : null;
+  if (!baseFiles) return filesArray;
+
+  const merged = { ...baseFiles };
+  for (const f of filesArray) {
+    merged[f.path] = f.content;
+  }
+  return Object.entries(merged).map(([filePath, content]) => ({ path: filePath, content }));
+}
+
+/**
+ * Validation gate: run validateProject on the file set about to be deployed.
+ * Answers the request with the structured errors and returns false when it fails.
+ */
+async function passesValidationGate(projectId, filesArray, { mode, appType, patch = false, deploymentId = null }, res) {
+  if (!mode) return true;
+
+  const validationFiles = patch ? await mergeWithLatestSnapshot(projectId, filesArray) : filesArray;
+  console.log(`[${projectId}] 🚦 Validation gate (${mode}) on ${validationFiles.length} files...`);
+  updateDeployment(deploymentId, { status: 'in_progress', buildStartedAt: Date.now() });
+
+  // Cancelling the deployment kills the validation's processes and stops its workers
+  const logs = deploymentLogs(deploymentId);
+  logs.setStage('validate');
+  const validator = new RailwayCompilationValidator(process.cwd(), getBoilerplatePath(appType), PREVIEWS_ROOT, npmInstall);
+  const { config } = validationProfiles.resolve(mode, appType);
+  const result = await validator.validateProject(projectId, validationFiles, config, run, { signal: logs.signal, logs });
+  updateDeployment(deploymentId, {
+    validation: { mode, success: result.success, errors: result.errors.length, warnings: result.warnings.length }
+  });
+
+  if (deploymentJobs.get(deploymentId)?.status === 'cancelled') {
+    res.status(409).json({ status: 'cancelled', error: 'Deployment cancelled', deploymentId });
+    return false;
+  }
+
+  if (result.success) {
+    console.log(`[${projectId}] ✅ Validation gate passed in ${result.compilationTime}ms`);
+    return true;
+  }
+
+  console.error(`[${projectId}] ❌ Validation gate failed - blocking deployment (${result.errors.length} errors)`);
+  updateDeployment(deploymentId, { status: 'failed', error: `Validation failed with ${result.errors.length} errors` });
+  logs.finish({ status: 'failed', error: `Validation failed with ${result.errors.length} errors` });
+  res.status(400).json({
+    error: "Validation failed - cannot deploy files with compilation errors",
+    validationErrors: result.errors,
+    validationWarnings: result.warnings,
+    validationSummary: result.validationSummary,
+    validationMode: mode,
+    deploymentId,
+    success: false
+  });
+  return false;
+}
+
+function registerPreview(id, rec) {
+  previews.set(id, rec);
+  stateStore.recordPreview(id, rec);
+}
+
+function savePreview(id) {
+  const p = previews.get(id);
+  if (p) stateStore.recordPreview(id, p);
+}
+
+function forgetPreview(id) {
+  previews.delete(id);
+  stateStore.removePreview(id);
+}
+
+/**
+ * Rebuild deploymentJobs and previews from the journal after a restart.
+ * Jobs that were mid-flight are marked failed (their processes died with us);
+ * previews are kept only if their directory survived, local ones as "stopped".
+ */
+async function restoreState() {
+  const { jobs, previews: savedPreviews } = await stateStore.load();
+
+  for (const [key, saved] of jobs) {
+    // Journals written before per-deployment IDs were keyed by projectId
+    const job = { deploymentId: key, projectId: key, ...saved };
+
+    if (job.status === 'in_progress' || job.status === 'queued') {
+      console.warn(`[${job.projectId}] ⚠️ Deployment ${job.deploymentId} was interrupted by an orchestrator restart`);
+      const interrupted = {
+        ...job,
+        status: 'failed',
+        error: 'Deployment interrupted by orchestrator restart',
+        interrupted: true,
+        finishedAt: Date.now()
+      };
+      setDeploymentJob(key, interrupted);
+      emitJobEvent('failed', interrupted);
+    } else {
+      deploymentJobs.set(key, job);
+    }
+
+    const latest = deploymentJobs.get(latestDeployments.get(job.projectId));
+    if (!latest || latest.startTime <= job.startTime) {
+      latestDeployments.set(job.projectId, key);
+    }
+  }
+
+  for (const [id, saved] of savedPreviews) {
+    if (!saved.dir || !existsSync(saved.dir)) {
+      console.log(`[${id}] Preview directory is gone, dropping from registry`);
+      stateStore.removePreview(id);
+      continue;
+    }
+
+    registerPreview(id, {
+      ...saved,
+      port: null,
+      proc: null,
+      logs: makeRing(),
+      status: saved.externalPlatform ? "deployed" : "stopped",
+    });
+  }
+
+  console.log(`Restored ${deploymentJobs.size} deployment jobs and ${previews.size} previews`);
+}
+
 // prevent crashes on target errors
 proxy.on("error", (err, req, res) => {
   console.error("proxy error:", err?.message || err);
@@ -991,7 +1540,7 @@ function killProjectProcesses(projectId) {
   return Promise.resolve();
 }
 
-async function copyBoilerplate(dst, boilerplateSrc = null) {
+async function copyBoilerplate(dst, boilerplateSrc = null, logs = null) {
   const startTime = Date.now();
   // Use provided source or default to Farcaster boilerplate for backward compatibility
   const BOILERPLATE = boilerplateSrc || FARCASTER_BOILERPLATE;
@@ -1006,7 +1555,7 @@ async function copyBoilerplate(dst, boilerplateSrc = null) {
       `tar -C ${BOILERPLATE} \
         --exclude=.git --exclude=node_modules --exclude=.next --exclude=.turbo --exclude=dist --exclude=build \
         -cf - . | tar -C ${dst} -xpf -`,
-    ]);
+    ], { logs });
     
     // safety: ensure none of these exist post-copy
     for (const d of ["node_modules", ".next", ".turbo", "dist", "build"]) {
@@ -1079,6 +1628,8 @@ function startDev(id, dir, port, logs) {
     ASSET_PREFIX: `/p/${id}`,
   };
 
+  logs?.setStage?.("dev");
+
   // Use npx to call next dev directly
   const proc = spawn(
     "npx",
@@ -1099,7 +1650,7 @@ function startDev(id, dir, port, logs) {
     if (!p) return;
     p.status = "crashed";
     p.lastError = `dev exited code=${code} signal=${signal}`;
-    previews.delete(id);
+    forgetPreview(id);
   });
 
   return proc;
@@ -1112,7 +1663,7 @@ function requireAuth(req, res, next) {
   res.status(401).json({ error: "unauthorized" });
 }
 
-function waitForReady(port, timeoutMs = 1000000) {
+function waitForReady(port, timeoutMs = 1000000, isCancelled = () => false) {
   const start = Date.now();
   return new Promise((resolve) => {
     const tryOnce = () => {
@@ -1124,7 +1675,7 @@ function waitForReady(port, timeoutMs = 1000000) {
         }
       );
       req.on("error", () => {
-        if (Date.now() - start > timeoutMs) return resolve(false);
+        if (Date.now() - start > timeoutMs || isCancelled()) return resolve(false);
         setTimeout(tryOnce, 300);
       });
       req.on("timeout", () => {
@@ -1150,22 +1701,34 @@ app.post("/validate", requireAuth, async (req, res) => {
   const projectId = req.body.projectId || req.body.hash;
   const files = req.body.files;
   const isWeb3 = req.body.isWeb3 || false; // Get app type from request
+  const appType = req.body.appType || (isWeb3 ? 'web3' : 'farcaster');
+
+  // A named profile (validationConfig on top), a hand-assembled validationConfig, or the app type's default profile
+  const profileName = req.body.profile ?? (req.body.validationConfig ? null : validationProfiles.defaultFor(appType));
+  const profile = profileName == null ? null : validationProfiles.resolve(profileName, appType);
+  if (profileName != null && !profile) {
+    return res.status(400).json({ error: `profile must be one of: ${validationProfiles.names().join(", ")}` });
+  }
+  const validationConfig = profile ? mergeValidationConfig(profile.config, req.body.validationConfig) : req.body.validationConfig;
   
-  // Railway Pro: Enable full validation with ESLint disabled (ignored in next.config.ts builds)
-  const validationConfig = req.body.validationConfig || {
-    enableTypeScript: true,
-    enableSolidity: true,
-    enableESLint: false,     // Disabled - ESLint is ignored in production builds (next.config.ts)
-    enableBuild: true,
-    enableRuntimeChecks: true
-  };
-  
+  // Report format: our JSON shape (default), SARIF 2.1.0 or JUnit XML
+  const format = req.query.format || "json";
+
   if (!projectId) return res.status(400).json({ error: "projectId required" });
   if (!files) return res.status(400).json({ error: "files required" });
+  if (!VALIDATION_REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${VALIDATION_REPORT_FORMATS.join(", ")}` });
+  }
+
+  const sendReport = (status, result) => {
+    if (format === "json") return res.status(status).json(result);
+    const report = formatValidationReport(result, format, { name: `validation-${projectId}` });
+    return res.status(status).type(report.contentType).send(report.body);
+  };
 
   console.log(`[${projectId}] Starting compilation validation... (Environment: ${IS_RAILWAY ? 'Railway' : 'Local'})`);
   console.log(`[${projectId}] App Type: ${isWeb3 ? 'Web3' : 'Farcaster'}`);
-  console.log(`[${projectId}] Validation config:`, validationConfig);
+  console.log(`[${projectId}] Validation profile: ${profile?.name ?? 'custom'}, config:`, validationConfig);
   
   try {
     // Convert files object to array format
@@ -1177,19 +1740,21 @@ app.post("/validate", requireAuth, async (req, res) => {
     console.log(`[${projectId}] Processing ${filesArray.length} files for validation`);
 
     // Run full compilation validation using Railway validator - use correct boilerplate
-    const boilerplatePath = getBoilerplatePath(isWeb3);
+    const boilerplatePath = getBoilerplatePath(appType);
     console.log(`[${projectId}] Using boilerplate for validation: ${boilerplatePath}`);
     const validator = new RailwayCompilationValidator(process.cwd(), boilerplatePath, PREVIEWS_ROOT, npmInstall);
     const validationResult = await validator.validateProject(projectId, filesArray, validationConfig, run);
+    validationResult.profile = profile?.name ?? null;
+    validationResult.stagesRun = (validationResult.stages || []).filter((s) => !s.skipped && s.stage !== 'install').map((s) => s.stage);
     
     console.log(`[${projectId}] Validation completed in ${Date.now() - validationStartTime}ms`);
     console.log(`[${projectId}] Success: ${validationResult.success}, Errors: ${validationResult.errors.length}, Warnings: ${validationResult.warnings.length}`);
     
-    return res.json(validationResult);
+    return sendReport(200, validationResult);
     
   } catch (e) {
     console.error(`[${projectId}] Validation failed after ${Date.now() - validationStartTime}ms:`, e);
-    return res.status(500).json({ 
+    return sendReport(500, { 
       success: false,
       error: String(e.message || e),
       errors: [],
@@ -1212,6 +1777,41 @@ app.post("/validate", requireAuth, async (req, res) => {
   }
 });
 
+// Apply the TypeScript compiler's safe quick fixes and return the patched files
+app.post("/validate/fix", requireAuth, async (req, res) => {
+  const fixStartTime = Date.now();
+  const projectId = req.body.projectId || req.body.hash;
+  const files = req.body.files;
+  const isWeb3 = req.body.isWeb3 || false;
+  const appType = req.body.appType || (isWeb3 ? 'web3' : 'farcaster');
+
+  if (!projectId) return res.status(400).json({ error: "projectId required" });
+  if (!files) return res.status(400).json({ error: "files required" });
+
+  console.log(`[${projectId}] 🩹 Applying TypeScript quick fixes...`);
+
+  try {
+    const filesArray = Object.entries(files).map(([path, content]) => ({ path, content }));
+    const validator = new RailwayCompilationValidator(process.cwd(), getBoilerplatePath(appType), PREVIEWS_ROOT, npmInstall);
+    const { files: fixedFiles, changedFiles, applied, result } = await validator.applyQuickFixes(projectId, filesArray, run);
+
+    console.log(`[${projectId}] Quick fixes completed in ${Date.now() - fixStartTime}ms: ${applied.length} applied, ${result.errors.length} errors left`);
+
+    return res.json({
+      success: result.success,
+      files: Object.fromEntries(fixedFiles.map((f) => [f.path, f.content])),
+      changedFiles,
+      applied,
+      errors: result.errors,
+      warnings: result.warnings,
+      compilationTime: Date.now() - fixStartTime
+    });
+  } catch (e) {
+    console.error(`[${projectId}] Quick fixes failed after ${Date.now() - fixStartTime}ms:`, e);
+    return res.status(500).json({ success: false, error: String(e.message || e) });
+  }
+});
+
 // Contract deployment endpoint - deploys contracts BEFORE app deployment
 app.post("/deploy-contracts", requireAuth, async (req, res) => {
   const deployStartTime = Date.now();
@@ -1356,20 +1956,74 @@ app.post("/deploy-contracts", requireAuth, async (req, res) => {
   }
 });
 
+// Upload negotiation: client sends { manifest: { path: sha256 } }, we answer with the hashes we lack
+app.post("/uploads/negotiate", requireAuth, (req, res) => {
+  const { manifest } = req.body;
+  const reason = invalidManifestReason(manifest);
+  if (reason) return res.status(400).json({ error: reason });
+
+  const missing = contentStore.missing(manifest);
+  const total = new Set(Object.values(manifest)).size;
+  console.log(`[uploads] 🔍 Manifest with ${Object.keys(manifest).length} files: ${missing.length}/${total} blobs missing`);
+
+  return res.json({ missing, total, files: Object.keys(manifest).length });
+});
+
+// Blob upload: { blobs: { sha256: content } } - each blob is verified against its hash
+app.post("/uploads/blobs", requireAuth, async (req, res) => {
+  const { blobs } = req.body;
+  if (!blobs || typeof blobs !== "object" || Array.isArray(blobs)) {
+    return res.status(400).json({ error: "blobs must be an object mapping sha256 hashes to file contents" });
+  }
+
+  const rejected = [];
+  let stored = 0;
+  let existing = 0;
+
+  try {
+    for (const [hash, content] of Object.entries(blobs)) {
+      if (typeof content !== "string" || !ContentStore.isHash(hash) || sha(content) !== hash) {
+        rejected.push(hash);
+        continue;
+      }
+      if (await contentStore.put(hash, content)) {
+        stored++;
+      } else {
+        existing++;
+      }
+    }
+  } catch (error) {
+    console.error(`[uploads] ❌ Failed to store blobs:`, error.message);
+    return res.status(500).json({ error: `Failed to store blobs: ${error.message}` });
+  }
+
+  console.log(`[uploads] 📥 Stored ${stored} blobs (${existing} already present, ${rejected.length} rejected)`);
+  if (rejected.length > 0) {
+    return res.status(400).json({ error: "Some blobs do not match their sha256 hash", rejected, stored, existing });
+  }
+  return res.json({ stored, existing });
+});
+
 // Deploy endpoint with external deployment feature flags
 app.post("/deploy", requireAuth, async (req, res) => {
   const deployStartTime = Date.now();
   const projectId = req.body.hash;
-  const files = req.body.files;
   const wait = req.body.wait ?? true; // default: wait for readiness
   const deployToExternal = req.body.deployToExternal; // platform: "vercel" | "netlify" | undefined
   const appType = req.body.appType || 'farcaster'; // 'farcaster' | 'web3' - which boilerplate to use
   const isWeb3 = req.body.isWeb3; // whether to deploy contracts (deprecated, use appType for boilerplate selection)
   const skipContracts = req.body.skipContracts ?? false; // default: false (deploy contracts if they exist)
   const jobId = req.body.jobId; // Job ID for background deployment error reporting
+  const priority = req.body.priority; // build queue priority: "high" | "normal" | "low" | number
+  const validationMode = resolveValidationMode(req.body.validate); // true (quick) or a profile name - gate before deploying
 
   if (!projectId) return res.status(400).json({ error: "hash required" });
-  if (!files) return res.status(400).json({ error: "files required" });
+  if (validationMode === undefined) return res.status(400).json({ error: `validate must be true or a validation profile: ${validationProfiles.names().join(', ')}` });
+  if (!req.body.files && !req.body.manifest) return res.status(400).json({ error: "files or manifest required" });
+
+  // Content-addressed uploads resolve to an array, inline files are a path -> content map
+  const files = await resolveRequestFiles(req, res, projectId);
+  if (!files) return;
 
   console.log(`[${projectId}] Starting deploy process... (Environment: ${IS_RAILWAY ? 'Railway' : 'Local'})`);
   console.log(`[${projectId}] ${'='.repeat(60)}`);
@@ -1383,7 +2037,7 @@ app.post("/deploy", requireAuth, async (req, res) => {
   
   try {
     // Convert files object to array format
-    const filesArray = Object.entries(files || {}).map(([path, content]) => ({
+    const filesArray = Array.isArray(files) ? files : Object.entries(files || {}).map(([path, content]) => ({
       path,
       content
     }));
@@ -1401,7 +2055,22 @@ app.post("/deploy", requireAuth, async (req, res) => {
         ((effectiveDeployToExternal === "vercel" && ENABLE_VERCEL_DEPLOYMENT) ||
          (effectiveDeployToExternal === "netlify" && ENABLE_NETLIFY_DEPLOYMENT))) {
       console.log(`[${projectId}] External deployment requested to ${effectiveDeployToExternal}`);
-      return await handleExternalDeployment(projectId, filesArray, effectiveDeployToExternal, skipContracts, res, deployStartTime, jobId, appType);
+      const deploymentId = createDeployment(projectId, {
+        platform: effectiveDeployToExternal,
+        jobId,
+        appType,
+        manifestHash: manifestHash(filesArray),
+        fileCount: filesArray.length
+      });
+      console.log(`[${projectId}] 🆔 Deployment ID: ${deploymentId}`);
+      return await buildQueue.run(
+        deploymentId,
+        async () => {
+          if (!(await passesValidationGate(projectId, filesArray, { mode: validationMode, appType, deploymentId }, res))) return;
+          return handleExternalDeployment(projectId, filesArray, effectiveDeployToExternal, skipContracts, res, deployStartTime, jobId, appType, deploymentId);
+        },
+        { priority }
+      );
     }
 
     // Railway-specific: Return error if external deployment not available
@@ -1413,33 +2082,69 @@ app.post("/deploy", requireAuth, async (req, res) => {
     }
 
     // Default: Local deployment flow (only for local environment)
-    return await handleLocalDeployment(projectId, filesArray, wait, skipContracts, res, deployStartTime, appType);
+    const deploymentId = createDeployment(projectId, {
+      platform: 'local',
+      appType,
+      manifestHash: manifestHash(filesArray),
+      fileCount: filesArray.length
+    });
+    console.log(`[${projectId}] 🆔 Deployment ID: ${deploymentId}`);
+
+    // Patching an already running preview only writes files, so it skips the build queue
+    if (previews.has(projectId)) {
+      if (!(await passesValidationGate(projectId, filesArray, { mode: validationMode, appType, patch: true, deploymentId }, res))) return;
+      return await handleLocalDeployment(projectId, filesArray, wait, skipContracts, res, deployStartTime, appType, deploymentId);
+    }
+    return await buildQueue.run(
+      deploymentId,
+      async () => {
+        if (!(await passesValidationGate(projectId, filesArray, { mode: validationMode, appType, deploymentId }, res))) return;
+        return handleLocalDeployment(projectId, filesArray, wait, skipContracts, res, deployStartTime, appType, deploymentId);
+      },
+      { priority }
+    );
     
   } catch (e) {
+    if (e.cancelled) {
+      // Cancelled while still waiting in the build queue
+      return res.status(409).json({ status: 'cancelled', error: e.message, deploymentId: e.deploymentId });
+    }
     console.error(`[${projectId}] Deploy failed after ${Date.now() - deployStartTime}ms:`, e);
     return res.status(500).json({ error: String(e.message || e) });
   }
 });
 
+// Register an external deployment in the previews map so /previews patches and rollbacks can find it
+function registerExternalPreview(projectId, dir, platform, deploymentUrl, logs) {
+  registerPreview(projectId, {
+    port: null,
+    proc: null,
+    dir,
+    lastHit: Date.now(),
+    status: "deployed",
+    logs,
+    lastError: null,
+    externalPlatform: platform,
+    deploymentUrl
+  });
+  console.log(`[${projectId}] Registered external deployment in previews map`);
+}
+
 // Handle external deployment logic
-async function handleExternalDeployment(projectId, filesArray, platform, skipContracts, res, deployStartTime, jobId, appType = 'farcaster') {
+async function handleExternalDeployment(projectId, filesArray, platform, skipContracts, res, deployStartTime, jobId, appType = 'farcaster', deploymentId = null) {
+  // Created up-front (or by the validation gate) so /deploy/:projectId/stream can attach from the very first stage
+  const logs = deploymentLogs(deploymentId);
+
   try {
     console.log(`[${projectId}] Starting external deployment to ${platform}...`);
     console.log(`[${projectId}] JobId: ${jobId || 'not provided'}`);
     console.log(`[${projectId}] App Type: ${appType}`);
     
-    // Initialize deployment job in tracking map
-    deploymentJobs.set(projectId, {
-      status: 'in_progress',
-      startTime: deployStartTime,
-      platform,
-      error: null,
-      logs: '',
-      deploymentUrl: null,
-      jobId // Store jobId for error reporting
-    });
+    // Mark the deployment as running (jobId was stored for error reporting when it was created)
+    updateDeployment(deploymentId, { status: 'in_progress', buildStartedAt: Date.now() });
 
     const dir = path.join(PREVIEWS_ROOT, `${projectId}-${platform}`);
+    updateDeployment(deploymentId, { buildDir: dir }); // cancelling may remove what this deployment builds
 
     // Clean existing directory
     if (existsSync(dir)) {
@@ -1472,7 +2177,8 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
     console.log(`[${projectId}] - appType: "${appType}"`);
     console.log(`[${projectId}] - Selected path: ${boilerplatePath}`);
     console.log(`[${projectId}] ${'='.repeat(60)}`);
-    await copyBoilerplate(dir, boilerplatePath);
+    logs.setStage("copy");
+    await copyBoilerplate(dir, boilerplatePath, logs);
     await writeFiles(dir, filesArray);
 
     // Remove pnpm-lock.yaml to force npm usage
@@ -1482,12 +2188,11 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       await fs.rm(pnpmLockPath, { force: true });
     }
 
-    const logs = makeRing();
-    
     // Railway-specific: Skip npm install for external deployments
     // Vercel/Netlify will handle dependency installation with more resources
     if (!IS_RAILWAY || !FORCE_EXTERNAL_DEPLOYMENT) {
       console.log(`[${projectId}] Installing dependencies locally...`);
+      logs.setStage("install");
       await npmInstall(dir, { id: projectId, storeDir: PNPM_STORE, logs });
     } else {
       console.log(`[${projectId}] Skipping npm install - ${platform} will handle it`);
@@ -1503,6 +2208,7 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       console.log(`[${projectId}] Contracts will be deployed separately if needed`);
     } else {
       try {
+        logs.setStage("contracts");
         contractDeploymentInfo = await deployContracts(dir, projectId, logs, skipContracts);
         if (contractDeploymentInfo) {
           console.log(`[${projectId}] 📄 Contract deployment info saved`);
@@ -1515,12 +2221,14 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
     // Deploy to platform with timeout for immediate response
     let deploymentUrl;
     let platformEnabled = false;
+    const vercelMeta = {}; // deployment-specific URL, kept so rollbacks can re-promote this deployment
     
     // Wrap deployment in a promise that we can race against a timeout
+    logs.setStage(platform);
     const deploymentPromise = (async () => {
       try {
         if (platform === "vercel" && ENABLE_VERCEL_DEPLOYMENT && DEPLOYMENT_TOKEN_SECRET) {
-          deploymentUrl = await deployToVercel(dir, projectId, logs);
+          deploymentUrl = await deployToVercel(dir, projectId, logs, vercelMeta);
         platformEnabled = true;
       } else if (platform === "netlify" && ENABLE_NETLIFY_DEPLOYMENT && NETLIFY_TOKEN) {
         deploymentUrl = await deployToNetlify(dir, projectId, logs);
@@ -1547,15 +2255,19 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       deploymentUrl = result.deploymentUrl;
       platformEnabled = result.platformEnabled;
       
-      // Update job status to completed
-      deploymentJobs.set(projectId, {
-        status: 'completed',
-        startTime: deployStartTime,
-        platform,
-        error: null,
-        logs: logs.text(),
-        deploymentUrl
-      });
+      // Update job status to completed (a disabled platform falls back to local below instead)
+      if (platformEnabled) {
+        updateDeployment(deploymentId, {
+          status: 'completed',
+          error: null,
+          logs: logs.text(),
+          deploymentUrl,
+          vercelDeploymentUrl: vercelMeta.deploymentUrl || null,
+          contractDeployment: contractDeploymentInfo
+        });
+        logs.finish({ status: 'completed', deploymentUrl });
+        await recordSnapshot(projectId, deploymentId, filesArray);
+      }
       
       console.log(`[${projectId}] Deployment completed within threshold (${Date.now() - deployStartTime}ms)`);
       // Fall through to success response below
@@ -1564,75 +2276,75 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       console.log(`[${projectId}] Deployment exceeded ${IMMEDIATE_RESPONSE_THRESHOLD}ms threshold, returning in_progress...`);
       
       // Continue deployment in background
-      deploymentPromise.then(bgResult => {
+      deploymentPromise.then(async (bgResult) => {
         deploymentUrl = bgResult.deploymentUrl;
         platformEnabled = bgResult.platformEnabled;
         
         // Update job status
-        deploymentJobs.set(projectId, {
+        updateDeployment(deploymentId, {
           status: 'completed',
-          startTime: deployStartTime,
-          platform,
           error: null,
           logs: logs.text(),
-          deploymentUrl
+          deploymentUrl,
+          vercelDeploymentUrl: vercelMeta.deploymentUrl || null,
+          contractDeployment: contractDeploymentInfo
         });
+        logs.finish({ status: 'completed', deploymentUrl });
+        if (platformEnabled) {
+          registerExternalPreview(projectId, dir, platform, deploymentUrl, logs);
+          await recordSnapshot(projectId, deploymentId, filesArray);
+        }
         
         console.log(`[${projectId}] Background deployment completed in ${Date.now() - deployStartTime}ms`);
       }).catch(async (bgError) => {
+        if (logs.cancelled) {
+          console.log(`[${projectId}] 🛑 Background deployment ${deploymentId} cancelled`);
+          return;
+        }
         const errorLogs = logs.text();
         
         // Update job with error
-        deploymentJobs.set(projectId, {
+        updateDeployment(deploymentId, {
           status: 'failed',
-          startTime: deployStartTime,
-          platform,
           error: bgError.message,
           logs: errorLogs,
-          deploymentUrl: null,
-          jobId
+          deploymentUrl: null
         });
+        logs.finish({ status: 'failed', error: bgError.message });
         
         console.error(`[${projectId}] Background deployment failed:`, bgError.message);
         
         // Notify miniapp-creator to update job status to failed
-        const deploymentJob = deploymentJobs.get(projectId);
+        const deploymentJob = deploymentJobs.get(deploymentId);
         if (deploymentJob && deploymentJob.jobId) {
           await notifyJobFailure(deploymentJob.jobId, projectId, bgError.message, errorLogs);
         }
       });
       
       // Return in_progress response immediately
-      return res.json({
+      res.json({
         success: true,
         status: 'in_progress',
         projectId,
+        deploymentId,
         platform,
-        message: 'Deployment in progress, poll /deploy/status/:projectId for updates',
+        message: 'Deployment in progress, poll /deploy/status/:projectId?deploymentId=... for updates',
         estimatedTime: '2-5 minutes'
       });
+
+      // Hold the build queue slot until the background deployment settles
+      return deploymentPromise.then(() => {}, () => {});
     }
     
     // For deployments that completed within threshold, check if platform was enabled
     if (!platformEnabled) {
       console.log(`[${projectId}] ${platform} deployment disabled or not configured, falling back to local`);
-      return handleLocalDeployment(projectId, filesArray, true, skipContracts, res, deployStartTime, isWeb3);
+      updateDeployment(deploymentId, { platform: 'local' });
+      return handleLocalDeployment(projectId, filesArray, true, skipContracts, res, deployStartTime, appType, deploymentId);
     }
 
     // Register external deployment in previews map for updates
-    const rec = {
-      port: null,
-      proc: null,
-      dir,
-      lastHit: Date.now(),
-      status: "deployed",
-      logs,
-      lastError: null,
-      externalPlatform: platform,
-      deploymentUrl
-    };
-    previews.set(projectId, rec);
-    console.log(`[${projectId}] Registered external deployment in previews map`);
+    registerExternalPreview(projectId, dir, platform, deploymentUrl, logs);
 
     console.log(`[${projectId}] External deployment completed in ${Date.now() - deployStartTime}ms`);
     return res.json({
@@ -1640,6 +2352,7 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       previewUrl: deploymentUrl,
       vercelUrl: deploymentUrl,
       externalDeployment: true,
+      deploymentId,
       platform,
       aliasSuccess: true,
       isNewDeployment: true,
@@ -1649,14 +2362,26 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
     });
 
   } catch (e) {
+    if (logs.cancelled) {
+      console.log(`[${projectId}] 🛑 External deployment ${deploymentId} cancelled`);
+      return res.status(409).json({ success: false, status: 'cancelled', error: 'Deployment cancelled', deploymentId });
+    }
     console.error(`[${projectId}] External deployment failed:`, e);
     console.error(`[${projectId}] Error message:`, e.message);
     console.error(`[${projectId}] Error stdout:`, e.stdout);
     console.error(`[${projectId}] Error stderr:`, e.stderr);
     console.error(`[${projectId}] Error output:`, e.output);
     
-    // Capture deployment logs for error analysis (logs may not be defined if error happens early)
-    const deploymentLogs = typeof logs !== 'undefined' && logs.text ? logs.text() : '';
+    // Capture deployment logs for error analysis
+    const deploymentLogs = logs.text();
+    
+    updateDeployment(deploymentId, {
+      status: 'failed',
+      error: e.message,
+      logs: deploymentLogs,
+      deploymentUrl: null
+    });
+    logs.finish({ status: 'failed', error: e.message });
     
     // Extract the REAL error from stdout/stderr, not just "npx exited null"
     const errorOutput = e.output || e.stdout || e.stderr || '';
@@ -1700,6 +2425,7 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
       success: false,
       error: finalError,  // Just the actual error, not "External deployment to X failed: ..."
       deploymentError: finalError,  // Also set this field for consistency
+      deploymentId,
       details: e.stack,
       logs: deploymentLogs,
       output: errorOutput,
@@ -1710,19 +2436,26 @@ async function handleExternalDeployment(projectId, filesArray, platform, skipCon
 }
 
 // Handle local deployment logic
-async function handleLocalDeployment(projectId, filesArray, wait, skipContracts, res, deployStartTime, appType = 'farcaster') {
+async function handleLocalDeployment(projectId, filesArray, wait, skipContracts, res, deployStartTime, appType = 'farcaster', deploymentId = null) {
+  let logs = null;
+  const previewUrl = `localhost:${PORT}/p/${projectId}`;
   try {
     console.log(`[${projectId}] Starting local deployment...`);
     console.log(`[${projectId}] App Type: ${appType}`);
+    updateDeployment(deploymentId, { status: 'in_progress', buildStartedAt: Date.now() });
     
     // If running, patch files and return
     if (previews.has(projectId)) {
       const running = previews.get(projectId);
       await writeFiles(running.dir, filesArray);
       running.lastHit = Date.now();
+      updateDeployment(deploymentId, { status: 'completed', deploymentUrl: previewUrl, patched: true });
+      await recordSnapshot(projectId, deploymentId, filesArray, { patch: true });
+      deploymentLogStreams.get(deploymentId)?.finish({ status: 'completed', deploymentUrl: previewUrl }); // the validation gate's ring
       return res.json({
-        previewUrl: `localhost:${PORT}/p/${projectId}`,
-        vercelUrl: `localhost:${PORT}/p/${projectId}`,
+        previewUrl,
+        vercelUrl: previewUrl,
+        deploymentId,
         aliasSuccess: true,
         isNewDeployment: false,
         hasPackageChanges: false,
@@ -1732,6 +2465,7 @@ async function handleLocalDeployment(projectId, filesArray, wait, skipContracts,
     }
 
     const dir = path.join(PREVIEWS_ROOT, projectId);
+    logs = deploymentLogs(deploymentId);
 
     // Kill any running processes first
     await killProjectProcesses(projectId);
@@ -1768,16 +2502,18 @@ async function handleLocalDeployment(projectId, filesArray, wait, skipContracts,
     console.log(`[${projectId}] - appType: "${appType}"`);
     console.log(`[${projectId}] - Selected path: ${boilerplatePath}`);
     console.log(`[${projectId}] ${'='.repeat(60)}`);
-    await copyBoilerplate(dir, boilerplatePath);
+    logs.setStage("copy");
+    await copyBoilerplate(dir, boilerplatePath, logs);
     await writeFiles(dir, filesArray);
 
     // Install (always on fresh create)
-    const logs = makeRing();
+    logs.setStage("install");
     await npmInstall(dir, { id: projectId, storeDir: PNPM_STORE, logs });
 
     // Deploy contracts to testnet if enabled
     let contractDeploymentInfo = null;
     try {
+      logs.setStage("contracts");
       contractDeploymentInfo = await deployContracts(dir, projectId, logs, skipContracts);
       if (contractDeploymentInfo) {
         console.log(`[${projectId}] 📄 Contract deployment info saved`);
@@ -1797,29 +2533,40 @@ async function handleLocalDeployment(projectId, filesArray, wait, skipContracts,
       logs,
       lastError: null,
     };
-    previews.set(projectId, rec);
+    if (logs.cancelled) throw cancelledError(deploymentId);
+    registerPreview(projectId, rec);
     const proc = startDev(projectId, dir, port, logs);
+    logs.track(proc);
     rec.proc = proc;
 
     if (wait) {
       console.log(`[${projectId}] Waiting for dev server to be ready...`);
       const waitStartTime = Date.now();
-      const ok = await waitForReady(port, 1000000);
+      const ok = await waitForReady(port, 1000000, () => logs.cancelled);
       console.log(`[${projectId}] Dev server ready check took ${Date.now() - waitStartTime}ms`);
       
+      if (logs.cancelled) throw cancelledError(deploymentId);
       if (!ok) {
-        previews.delete(projectId);
+        forgetPreview(projectId);
+        updateDeployment(deploymentId, { status: 'failed', error: "dev did not become ready in time", logs: logs.text() });
+        logs.finish({ status: 'failed', error: "dev did not become ready in time" });
         return res.status(500).json({
           error: "dev did not become ready in time",
+          deploymentId,
           status: "starting",
           logs: logs.text().slice(-4000),
         });
       }
       rec.status = "running";
+      savePreview(projectId);
+      updateDeployment(deploymentId, { status: 'completed', deploymentUrl: previewUrl, logs: logs.text(), contractDeployment: contractDeploymentInfo });
+      logs.finish({ status: 'running' });
+      await recordSnapshot(projectId, deploymentId, filesArray);
       console.log(`[${projectId}] Local deployment completed successfully in ${Date.now() - deployStartTime}ms`);
       return res.json({ 
-        previewUrl: `localhost:${PORT}/p/${projectId}`,
-        vercelUrl: `localhost:${PORT}/p/${projectId}`,
+        previewUrl,
+        vercelUrl: previewUrl,
+        deploymentId,
         aliasSuccess: true,
         isNewDeployment: true,
         hasPackageChanges: true,
@@ -1830,9 +2577,13 @@ async function handleLocalDeployment(projectId, filesArray, wait, skipContracts,
     }
 
     console.log(`[${projectId}] Local deploy completed (no wait) in ${Date.now() - deployStartTime}ms`);
+    updateDeployment(deploymentId, { status: 'completed', deploymentUrl: previewUrl, logs: logs.text(), contractDeployment: contractDeploymentInfo });
+    logs.finish({ status: 'starting' });
+    await recordSnapshot(projectId, deploymentId, filesArray);
     return res.json({ 
-      previewUrl: `localhost:${PORT}/p/${projectId}`,
-      vercelUrl: `localhost:${PORT}/p/${projectId}`,
+      previewUrl,
+      vercelUrl: previewUrl,
+      deploymentId,
       aliasSuccess: true,
       isNewDeployment: true,
       hasPackageChanges: true,
@@ -1840,19 +2591,29 @@ async function handleLocalDeployment(projectId, filesArray, wait, skipContracts,
       port 
     });
   } catch (e) {
+    if (logs?.cancelled) {
+      console.log(`[${projectId}] 🛑 Local deployment ${deploymentId} cancelled`);
+      return res.status(409).json({ status: 'cancelled', error: 'Deployment cancelled', deploymentId });
+    }
     console.error(`[${projectId}] Local deployment failed after ${Date.now() - deployStartTime}ms:`, e);
-    return res.status(500).json({ error: String(e.message || e) });
+    updateDeployment(deploymentId, { status: 'failed', error: String(e.message || e), logs: logs?.text() || '' });
+    logs?.finish({ status: 'failed', error: String(e.message || e) });
+    return res.status(500).json({ error: String(e.message || e), deploymentId });
   }
 }
 
 // Create/patch preview
 app.post("/previews", requireAuth, async (req, res) => {
   const id = req.body.id;
-  const files = req.body.files;
   const validationResult = req.body.validationResult; // NEW: Optional validation result
   const wait = req.body.wait ?? true; // default: wait for readiness
   const isWeb3 = req.body.isWeb3 || false; // Get app type from request
+  const validationMode = resolveValidationMode(req.body.validate); // true (quick) or a profile name - gate before deploying
   if (!id) return res.status(400).json({ error: "id required" });
+  if (validationMode === undefined) return res.status(400).json({ error: `validate must be true or a validation profile: ${validationProfiles.names().join(', ')}` });
+
+  const files = await resolveRequestFiles(req, res, id);
+  if (req.body.manifest && !files) return;
 
   // NEW: Check validation result before allowing deployment
   if (validationResult && !validationResult.success) {
@@ -1869,6 +2630,11 @@ app.post("/previews", requireAuth, async (req, res) => {
   }
 
   try {
+    const appType = isWeb3 ? 'web3' : 'farcaster';
+    if (validationMode && Array.isArray(files)) {
+      if (!(await passesValidationGate(id, files, { mode: validationMode, appType, patch: previews.has(id) }, res))) return;
+    }
+
     // If running, patch files and return
     if (previews.has(id)) {
       const running = previews.get(id);
@@ -1882,6 +2648,7 @@ app.post("/previews", requireAuth, async (req, res) => {
 
           // Trigger platform redeploy
           const logs = makeRing();
+          logs.setStage(running.externalPlatform);
           let deploymentUrl;
 
           if (running.externalPlatform === "vercel") {
@@ -1892,6 +2659,8 @@ app.post("/previews", requireAuth, async (req, res) => {
 
           running.lastHit = Date.now();
           running.deploymentUrl = deploymentUrl;
+          savePreview(id);
+          const deploymentId = await recordPreviewUpdate(id, files, { platform: running.externalPlatform, appType, deploymentUrl, patch: true });
 
           console.log(`[${id}] ✅ ${running.externalPlatform} deployment updated successfully: ${deploymentUrl}`);
 
@@ -1900,6 +2669,7 @@ app.post("/previews", requireAuth, async (req, res) => {
             status: "deployed",
             platform: running.externalPlatform,
             vercelUrl: deploymentUrl,
+            deploymentId,
             deploymentUpdated: true,
           });
         } catch (deploymentError) {
@@ -1914,9 +2684,11 @@ app.post("/previews", requireAuth, async (req, res) => {
       if (IS_LOCAL) {
         await writeFiles(running.dir, files);
         running.lastHit = Date.now();
+        const deploymentId = await recordPreviewUpdate(id, files, { platform: 'local', appType, deploymentUrl: `localhost:${PORT}/p/${id}`, patch: true });
 
         return res.json({
           url: `/p/${id}`,
+          deploymentId,
           status: running.status || "running",
           port: running.port,
         });
@@ -1967,11 +2739,13 @@ app.post("/previews", requireAuth, async (req, res) => {
     // Fresh: copy boilerplate, write deltas - use correct boilerplate based on app type
     const boilerplatePath = getBoilerplatePath(isWeb3);
     console.log(`[${id}] Using boilerplate: ${boilerplatePath}`);
-    await copyBoilerplate(dir, boilerplatePath);
+    const logs = makeRing();
+    logs.setStage("copy");
+    await copyBoilerplate(dir, boilerplatePath, logs);
     await writeFiles(dir, files);
 
     // Install (always on fresh create)
-    const logs = makeRing();
+    logs.setStage("install");
     await npmInstall(dir, { id, storeDir: PNPM_STORE, logs });
 
     // Start dev (record BEFORE spawn to avoid races)
@@ -1985,14 +2759,14 @@ app.post("/previews", requireAuth, async (req, res) => {
       logs,
       lastError: null,
     };
-    previews.set(id, rec);
+    registerPreview(id, rec);
     const proc = startDev(id, dir, port, logs);
     rec.proc = proc;
 
     if (wait) {
       const ok = await waitForReady(port, 1000000);
       if (!ok) {
-        previews.delete(id);
+        forgetPreview(id);
         return res.status(500).json({
           error: "dev did not become ready in time",
           status: "starting",
@@ -2000,16 +2774,149 @@ app.post("/previews", requireAuth, async (req, res) => {
         });
       }
       rec.status = "running";
-      return res.json({ url: `/p/${id}`, status: "running", port });
+      savePreview(id);
+      const deploymentId = await recordPreviewUpdate(id, files, { platform: 'local', appType, deploymentUrl: `localhost:${PORT}/p/${id}` });
+      return res.json({ url: `/p/${id}`, deploymentId, status: "running", port });
     }
 
-    return res.json({ url: `/p/${id}`, status: "starting", port });
+    const deploymentId = await recordPreviewUpdate(id, files, { platform: 'local', appType, deploymentUrl: `localhost:${PORT}/p/${id}` });
+    return res.json({ url: `/p/${id}`, deploymentId, status: "starting", port });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: String(e.message || e) });
   }
 });
 
+// Roll a preview back to the files of an earlier successful deployment
+// Body: { deploymentId? } - defaults to the last successful deployment before the current one
+app.post("/previews/:id/rollback", requireAuth, async (req, res) => {
+  const id = req.params.id;
+  const p = previews.get(id);
+  if (!p) return res.status(404).json({ error: "Preview not found" });
+
+  const current = latestSnapshotDeployment(id);
+  const target = req.body?.deploymentId
+    ? findDeployment(id, req.body.deploymentId)
+    : latestSnapshotDeployment(id, current?.deploymentId);
+
+  if (!target) {
+    return res.status(404).json({ error: "No earlier deployment to roll back to", projectId: id });
+  }
+  if (target.status !== 'completed' || !target.hasSnapshot) {
+    return res.status(400).json({
+      error: `Deployment ${target.deploymentId} has no snapshot to restore (status: ${target.status})`,
+      projectId: id
+    });
+  }
+
+  const platform = p.externalPlatform || 'local';
+  const deploymentId = createDeployment(id, {
+    platform,
+    appType: target.appType,
+    manifestHash: target.manifestHash,
+    fileCount: target.fileCount,
+    rollbackOf: target.deploymentId
+  });
+  console.log(`[${id}] ⏪ Rolling back to ${target.deploymentId} (new deployment ${deploymentId})`);
+
+  const rollback = async () => {
+    const logs = makeRing();
+    attachDeploymentLogs(deploymentId, logs);
+    updateDeployment(deploymentId, { status: 'in_progress', buildStartedAt: Date.now() });
+
+    try {
+      const targetFiles = await snapshotStore.load(target.deploymentId);
+      if (!targetFiles) throw new Error(`Snapshot for ${target.deploymentId} is missing`);
+      const currentFiles = current ? (await snapshotStore.load(current.deploymentId)) || {} : {};
+
+      // Files added after the target deployment: put the boilerplate version back, or remove them
+      logs.setStage("copy");
+      const boilerplatePath = getBoilerplatePath(target.appType);
+      const removedFiles = Object.keys(currentFiles).filter((file) => !(file in targetFiles));
+      for (const file of removedFiles) {
+        const original = path.join(boilerplatePath, file);
+        if (existsSync(original)) {
+          await fs.copyFile(original, path.join(p.dir, file));
+        } else {
+          await fs.rm(path.join(p.dir, file), { force: true });
+        }
+      }
+      const filesArray = Object.entries(targetFiles).map(([filePath, content]) => ({ path: filePath, content }));
+      await writeFiles(p.dir, filesArray);
+
+      let deploymentUrl = `localhost:${PORT}/p/${id}`; // local dev server hot-reloads the rewritten files
+      let vercelDeploymentUrl = null;
+      let method = 'rewrite';
+
+      if (p.externalPlatform) {
+        logs.setStage(p.externalPlatform);
+
+        // Vercel: re-promote the earlier deployment if we know its URL, otherwise redeploy the restored files
+        if (p.externalPlatform === "vercel" && target.vercelDeploymentUrl) {
+          try {
+            await promoteVercelDeployment(p.dir, id, target.vercelDeploymentUrl, logs);
+            deploymentUrl = p.deploymentUrl || target.deploymentUrl;
+            vercelDeploymentUrl = target.vercelDeploymentUrl;
+            method = 'promote';
+          } catch (promoteError) {
+            console.warn(`[${id}] ⚠️ Vercel promote failed, redeploying instead:`, promoteError.message);
+          }
+        }
+
+        if (method !== 'promote') {
+          method = 'redeploy';
+          if (p.externalPlatform === "vercel") {
+            const vercelMeta = {};
+            deploymentUrl = await deployToVercel(p.dir, id, logs, vercelMeta);
+            vercelDeploymentUrl = vercelMeta.deploymentUrl || null;
+          } else if (p.externalPlatform === "netlify") {
+            deploymentUrl = await deployToNetlify(p.dir, id, logs);
+          }
+        }
+
+        p.deploymentUrl = deploymentUrl;
+      }
+
+      p.lastHit = Date.now();
+      savePreview(id);
+      updateDeployment(deploymentId, { status: 'completed', deploymentUrl, vercelDeploymentUrl, logs: logs.text() });
+      logs.finish({ status: 'completed', deploymentUrl });
+      await snapshotStore.save(deploymentId, filesArray);
+      updateDeployment(deploymentId, { hasSnapshot: true });
+
+      console.log(`[${id}] ✅ Rolled back to ${target.deploymentId} via ${method}`);
+      return res.json({
+        success: true,
+        projectId: id,
+        deploymentId,
+        rolledBackTo: target.deploymentId,
+        method,
+        platform,
+        deploymentUrl,
+        restoredFiles: filesArray.length,
+        removedFiles
+      });
+    } catch (e) {
+      console.error(`[${id}] ❌ Rollback failed:`, e.message);
+      updateDeployment(deploymentId, { status: 'failed', error: e.message, logs: logs.text() });
+      logs.finish({ status: 'failed', error: e.message });
+      return res.status(500).json({ success: false, error: `Rollback failed: ${e.message}`, deploymentId });
+    }
+  };
+
+  // Redeploys are full platform builds, so they take a build queue slot
+  try {
+    return p.externalPlatform ? await buildQueue.run(deploymentId, rollback) : await rollback();
+  } catch (e) {
+    if (e.cancelled) {
+      // Cancelled while still waiting in the build queue
+      return res.status(409).json({ status: 'cancelled', error: e.message, deploymentId: e.deploymentId });
+    }
+    console.error(`[${id}] ❌ Rollback failed:`, e);
+    return res.status(500).json({ success: false, error: String(e.message || e), deploymentId });
+  }
+});
+
 // Stop & delete preview (kills process + wipes folder)
 app.delete("/previews/:id", requireAuth, async (req, res) => {
   const id = req.params.id;
@@ -2018,7 +2925,7 @@ app.delete("/previews/:id", requireAuth, async (req, res) => {
     try {
       p.proc.kill("SIGTERM");
     } catch {}
-    previews.delete(id);
+    forgetPreview(id);
   }
   await fs.rm(path.join(PREVIEWS_ROOT, id), { recursive: true, force: true });
   res.json({ ok: true });
@@ -2042,10 +2949,45 @@ app.get("/previews/:id/logs", (req, res) => {
   res.type("text/plain").send(p.logs?.text?.() || "");
 });
 
+// Live preview logs (SSE): replays the buffer, then follows the dev server output
+app.get("/previews/:id/logs/stream", (req, res) => {
+  const p = previews.get(req.params.id);
+  if (!p || !p.logs) return res.status(404).send("not_found");
+  streamLogs(req, res, p.logs, { follow: true });
+});
+
+// Live deployment logs (SSE) with stage tags (copy, install, contracts, vercel, ...)
+// ?deploymentId=... picks a specific deployment, otherwise the project's latest one
+app.get("/deploy/:projectId/stream", requireAuth, (req, res) => {
+  const projectId = req.params.projectId;
+  const job = findDeployment(projectId, req.query.deploymentId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Deployment job not found", projectId });
+  }
+
+  let logs = deploymentLogStreams.get(job.deploymentId);
+  if (!logs) {
+    // No live ring (queued, or after a restart) - replay what the job store kept
+    if (job.status === 'queued') {
+      return res.status(409).json({ error: "Deployment is still queued", projectId, deploymentId: job.deploymentId });
+    }
+    logs = makeRing();
+    if (job.logs) logs.push(job.logs);
+    if (job.status !== 'in_progress') {
+      logs.finish({ status: job.status, error: job.error || null, deploymentUrl: job.deploymentUrl || null });
+    }
+  }
+
+  console.log(`[${projectId}] 📡 Log stream client connected (${job.deploymentId})`);
+  streamLogs(req, res, logs);
+});
+
 // Deployment job status endpoint (for polling)
+// ?deploymentId=... picks a specific deployment, otherwise the project's latest one
 app.get("/deploy/status/:projectId", requireAuth, (req, res) => {
   const projectId = req.params.projectId;
-  const job = deploymentJobs.get(projectId);
+  const job = findDeployment(projectId, req.query.deploymentId);
   
   if (!job) {
     return res.status(404).json({ 
@@ -2056,26 +2998,120 @@ app.get("/deploy/status/:projectId", requireAuth, (req, res) => {
   
   const response = {
     projectId,
-    status: job.status, // 'in_progress', 'completed', 'failed'
+    deploymentId: job.deploymentId,
+    status: job.status, // 'queued', 'in_progress', 'completed', 'failed', 'cancelled'
     startTime: job.startTime,
-    duration: Date.now() - job.startTime,
+    duration: (job.finishedAt || Date.now()) - job.startTime,
     platform: job.platform
   };
   
   // Include result data based on status
-  if (job.status === 'completed') {
+  if (job.status === 'queued') {
+    const { running, queued, maxConcurrent } = buildQueue.stats();
+    response.queuePosition = buildQueue.position(job.deploymentId);
+    response.queueLength = queued;
+    response.runningBuilds = running;
+    response.maxConcurrentBuilds = maxConcurrent;
+  } else if (job.status === 'completed') {
     response.deploymentUrl = job.deploymentUrl;
     response.success = true;
   } else if (job.status === 'failed') {
     response.error = job.error;
     response.logs = job.logs;
     response.success = false;
+  } else if (job.status === 'cancelled') {
+    response.error = job.error;
+    response.success = false;
   }
   
-  console.log(`[${projectId}] Status check: ${job.status}`);
+  console.log(`[${projectId}] Status check: ${job.status} (${job.deploymentId})`);
   res.json(response);
 });
 
+// Cancel a queued or running deployment
+// ?deploymentId=... picks a specific deployment, otherwise the project's latest one
+app.delete("/deploy/:projectId", requireAuth, async (req, res) => {
+  const projectId = req.params.projectId;
+  const job = findDeployment(projectId, req.query.deploymentId || req.body?.deploymentId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Deployment job not found", projectId });
+  }
+  if (job.status !== 'queued' && job.status !== 'in_progress') {
+    return res.status(409).json({
+      error: `Deployment is already ${job.status}`,
+      projectId,
+      deploymentId: job.deploymentId,
+      status: job.status
+    });
+  }
+
+  try {
+    const { killedProcesses } = await cancelDeployment(job);
+    return res.json({ success: true, projectId, deploymentId: job.deploymentId, status: 'cancelled', killedProcesses });
+  } catch (e) {
+    console.error(`[${projectId}] ❌ Cancel failed:`, e.message);
+    return res.status(500).json({ error: `Cancel failed: ${e.message}`, deploymentId: job.deploymentId });
+  }
+});
+
+// Deployment history for a project (newest first, without logs)
+app.get("/projects/:projectId/deployments", requireAuth, (req, res) => {
+  const projectId = req.params.projectId;
+  const deployments = listDeployments(projectId).map((job) => ({
+    deploymentId: job.deploymentId,
+    status: job.status,
+    platform: job.platform,
+    deploymentUrl: job.deploymentUrl || null,
+    error: job.error || null,
+    manifestHash: job.manifestHash || null,
+    fileCount: job.fileCount ?? null,
+    createdAt: new Date(job.startTime).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    duration: job.finishedAt ? job.finishedAt - job.startTime : null,
+    latest: latestDeployments.get(projectId) === job.deploymentId
+  }));
+
+  res.json({ projectId, deployments });
+});
+
+// Undelivered callbacks (job events and job-failure notifications)
+// ?status=pending|dead narrows the list
+app.get("/admin/outbox", requireAuth, (req, res) => {
+  const status = req.query.status || null;
+  if (status && status !== 'pending' && status !== 'dead') {
+    return res.status(400).json({ error: "status must be 'pending' or 'dead'" });
+  }
+
+  const messages = outbox.list(status).map((message) => ({
+    id: message.id,
+    kind: message.kind,
+    status: message.status,
+    attempts: message.attempts,
+    lastError: message.lastError,
+    createdAt: new Date(message.createdAt).toISOString(),
+    lastAttemptAt: message.lastAttemptAt ? new Date(message.lastAttemptAt).toISOString() : null,
+    nextAttemptAt: message.nextAttemptAt ? new Date(message.nextAttemptAt).toISOString() : null,
+    payload: message.payload
+  }));
+
+  res.json({ count: messages.length, messages });
+});
+
+// Retry undelivered callbacks now - Body: { ids?: string[] } (default: all of them, dead ones included)
+app.post("/admin/outbox/replay", requireAuth, async (req, res) => {
+  const ids = req.body?.ids;
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: "ids must be an array of outbox message ids" });
+  }
+
+  const results = await outbox.replay(ids || null);
+  const delivered = results.filter((r) => r.delivered).length;
+  console.log(`[outbox] 🔁 Replayed ${results.length} messages, ${delivered} delivered`);
+
+  res.json({ replayed: results.length, delivered, failed: results.length - delivered, results });
+});
+
 // Health check endpoint (Railway-specific)
 app.get("/health", (req, res) => {
   res.json({ 
@@ -2084,6 +3120,7 @@ app.get("/health", (req, res) => {
     platform: IS_RAILWAY ? "railway" : "local",
     environment: IS_RAILWAY ? "production" : "development",
     externalDeployments: previews.size,
+    buildQueue: buildQueue.stats(),
     features: {
       vercelDeployment: ENABLE_VERCEL_DEPLOYMENT,
       netlifyDeployment: ENABLE_NETLIFY_DEPLOYMENT,
@@ -2107,7 +3144,10 @@ app.use("/p/:id", async (req, res) => {
   const id = req.params.id;
   let p = previews.get(id);
 
-  if (!p) {
+  // Previews restored after a restart are registered as "stopped" - restart them like unknown ones
+  if (!p || (p.status === "stopped" && !p.externalPlatform)) {
+    p = null;
+
     // Railway-specific: Redirect to external deployment if available
     if (IS_RAILWAY && FORCE_EXTERNAL_DEPLOYMENT) {
       return res.status(404).send("Preview not found. Use external deployment.");
@@ -2153,18 +3193,19 @@ app.use("/p/:id", async (req, res) => {
         logs,
         lastError: null,
       };
-      previews.set(id, p);
+      registerPreview(id, p);
       const proc = startDev(id, dir, port, logs);
       p.proc = proc;
 
       const ok = await waitForReady(port, 60000);
       if (!ok) {
-        previews.delete(id);
+        forgetPreview(id);
         return res
           .status(503)
           .send("Preview is starting. Please retry in a few seconds.");
       }
       p.status = "running";
+      savePreview(id);
       console.log(`[${id}] auto-restarted on ${port}`);
     }
   }
@@ -2198,7 +3239,7 @@ server.on("upgrade", (req, socket, head) => {
   if (!m) return socket.destroy();
   const id = m[1];
   const p = previews.get(id);
-  if (!p) return socket.destroy();
+  if (!p || !p.port) return socket.destroy();
   proxy.ws(req, socket, head, { target: `ws://127.0.0.1:${p.port}` });
 });
 
@@ -2303,11 +3344,12 @@ app.post("/previews/:id/execute", requireAuth, async (req, res) => {
 setInterval(() => {
   const now = Date.now();
   for (const [id, p] of previews.entries()) {
+    if (p.status === "stopped") continue; // nothing running, keep it registered
     if (now - p.lastHit > 30 * 60 * 1000) {
       try {
         p.proc.kill("SIGTERM");
       } catch {}
-      previews.delete(id);
+      forgetPreview(id);
       console.log(`[${id}] reaped (idle)`);
     }
   }
@@ -2318,6 +3360,8 @@ setInterval(() => {
 const appStart = async () => {
   await fs.mkdir(PREVIEWS_ROOT, { recursive: true });
   await fs.mkdir(PNPM_STORE, { recursive: true });
+  await outbox.load();
+  await restoreState();
   
   console.log(`Preview host starting on ${PORT}`);
   console.log(`Environment: ${IS_RAILWAY ? 'Railway' : 'Local'}`);
@@ -2328,6 +3372,7 @@ const appStart = async () => {
   console.log(`Farcaster boilerplate path: ${FARCASTER_BOILERPLATE}`);
   console.log(`Web3 boilerplate path: ${WEB3_BOILERPLATE}`);
   console.log(`Previews root: ${PREVIEWS_ROOT}`);
+  console.log(`Max concurrent builds: ${MAX_CONCURRENT_BUILDS}`);
   
   // Verify Farcaster boilerplate exists
   if (!(await exists(FARCASTER_BOILERPLATE))) {
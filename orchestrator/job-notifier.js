@@ -0,0 +1,102 @@
+// job-notifier.js - Signed job lifecycle callbacks (started, stage_changed, completed, failed, cancelled)
+
+import crypto from "node:crypto";
+
+// Give up on a callback receiver that does not answer within this window
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Sign a callback body. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to the
+ * X-Orchestrator-Signature header (and reject stale timestamps).
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Job Notifier
+ * POSTs every job event as JSON to each configured callback URL.
+ * With an outbox, deliveries are persisted and retried until they succeed.
+ */
+export class JobNotifier {
+  constructor({ urls = [], secret = "", outbox = null } = {}) {
+    this.urls = urls;
+    this.secret = secret;
+    this.outbox = outbox;
+    if (this.urls.length > 0 && !this.secret) {
+      console.warn(`[job-notifier] ⚠️ No callback secret configured - job events are sent unsigned`);
+    }
+    // Signed at delivery time, so every retry carries a fresh timestamp
+    this.outbox?.register("job_event", (message) => this.deliver(message.payload.url, message.payload.event));
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Build the event body once so every receiver gets (and can verify) the same bytes
+   */
+  createEvent(event, data) {
+    return {
+      id: `evt_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Deliver one event to one URL; throws on network errors and non-2xx responses.
+   * A 4xx answer will not change on retry, so it is thrown as permanent.
+   */
+  async deliver(url, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Date.now());
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Orchestrator-Event": payload.event,
+      "X-Orchestrator-Event-Id": payload.id,
+      "X-Orchestrator-Timestamp": timestamp
+    };
+    if (this.secret) {
+      headers["X-Orchestrator-Signature"] = `sha256=${signPayload(this.secret, timestamp, body)}`;
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      const error = new Error(`${url} answered ${response.status} ${text.substring(0, 200)}`.trim());
+      error.permanent = response.status >= 400 && response.status < 500;
+      throw error;
+    }
+  }
+
+  /**
+   * Send an event to every callback URL (fire-and-forget, failures are logged or retried by the outbox)
+   */
+  notify(event, data) {
+    if (!this.enabled) return null;
+    const payload = this.createEvent(event, data);
+    const label = data.projectId ? `[${data.projectId}]` : "[job-notifier]";
+
+    for (const url of this.urls) {
+      if (this.outbox) {
+        this.outbox.enqueue("job_event", { url, event: payload }, { label }).catch((error) => {
+          console.error(`${label} ❌ Failed to queue ${event} event for ${url}:`, error.message);
+        });
+        continue;
+      }
+      this.deliver(url, payload)
+        .then(() => console.log(`${label} 📨 Sent ${event} event to ${url}`))
+        .catch((error) => console.error(`${label} ❌ Failed to send ${event} event to ${url}:`, error.message));
+    }
+    return payload;
+  }
+}
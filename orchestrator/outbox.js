@@ -0,0 +1,202 @@
+// outbox.js - Durable outbox for outgoing callbacks (retries with exponential backoff, survives restarts)
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// First retry after BASE_DELAY_MS, doubling up to MAX_DELAY_MS (±20% jitter)
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Outbox
+ * Every message is written to `<rootDir>/<id>.json` before the first delivery
+ * attempt and removed once delivered. Failed attempts are retried with
+ * exponential backoff; after `maxAttempts`, or as soon as a handler throws an
+ * error marked `permanent`, the message is kept as `dead` until it is replayed.
+ *
+ * Delivery is done by handlers registered per message kind, so secrets
+ * (auth tokens, signatures) are added at send time and never hit the disk.
+ */
+export class Outbox {
+  constructor(rootDir, { maxAttempts = 10 } = {}) {
+    this.rootDir = rootDir;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.handlers = new Map(); // kind -> async (message) => void, throws on failure
+    this.messages = new Map(); // id -> message
+    this.inFlight = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Register the delivery function for a message kind
+   */
+  register(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  /**
+   * Reload undelivered messages from disk and schedule their retries
+   */
+  async load() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+
+    let skipped = 0;
+    for (const file of await fs.readdir(this.rootDir)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const message = JSON.parse(await fs.readFile(path.join(this.rootDir, file), "utf8"));
+        if (!this.messages.has(message.id)) this.messages.set(message.id, message);
+      } catch {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`[outbox] ⚠️ Skipped ${skipped} unreadable outbox entries`);
+    }
+    console.log(`[outbox] 📂 Loaded ${this.messages.size} undelivered messages`);
+    this.schedule();
+  }
+
+  /**
+   * Persist a message and try to deliver it right away
+   */
+  async enqueue(kind, payload, { label = "" } = {}) {
+    const message = {
+      id: `msg_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`,
+      kind,
+      label,
+      payload,
+      status: "pending",
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastAttemptAt: null,
+      lastError: null
+    };
+
+    this.messages.set(message.id, message);
+    try {
+      await this.save(message);
+    } catch (error) {
+      // Still deliver from memory - the message just won't survive a restart
+      console.error(`[outbox] ❌ Failed to persist ${message.id}:`, error.message);
+    }
+
+    await this.attempt(message);
+    return message;
+  }
+
+  /**
+   * Undelivered messages, oldest first (optionally only "pending" or "dead")
+   */
+  list(status = null) {
+    return [...this.messages.values()]
+      .filter((message) => !status || message.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Retry messages now, dead ones included (all undelivered messages if no ids are given)
+   */
+  async replay(ids = null) {
+    const targets = ids ? ids.map((id) => this.messages.get(id)).filter(Boolean) : this.list();
+    const results = [];
+
+    for (const message of targets) {
+      message.status = "pending";
+      message.attempts = 0;
+      message.nextAttemptAt = Date.now();
+      const delivered = await this.attempt(message);
+      results.push({ id: message.id, delivered, error: delivered ? null : message.lastError });
+    }
+
+    return results;
+  }
+
+  async attempt(message) {
+    if (this.inFlight.has(message.id)) return false;
+    const handler = this.handlers.get(message.kind);
+    if (!handler) {
+      console.error(`[outbox] ❌ No handler registered for ${message.kind} (${message.id})`);
+      return false;
+    }
+
+    this.inFlight.add(message.id);
+    message.attempts++;
+    message.lastAttemptAt = Date.now();
+
+    try {
+      await handler(message);
+      this.messages.delete(message.id);
+      await fs.rm(this.messagePath(message.id), { force: true });
+      console.log(`${message.label || "[outbox]"} 📨 Delivered ${message.kind} ${message.id} (attempt ${message.attempts})`);
+      return true;
+    } catch (error) {
+      message.lastError = error.message;
+
+      if (error.permanent) {
+        message.status = "dead";
+        message.nextAttemptAt = null;
+        console.error(`${message.label || "[outbox]"} ❌ ${message.kind} ${message.id} was rejected, not retrying:`, error.message);
+      } else if (message.attempts >= this.maxAttempts) {
+        message.status = "dead";
+        message.nextAttemptAt = null;
+        console.error(`${message.label || "[outbox]"} ❌ Giving up on ${message.kind} ${message.id} after ${message.attempts} attempts:`, error.message);
+      } else {
+        const delay = Outbox.backoff(message.attempts);
+        message.nextAttemptAt = Date.now() + delay;
+        console.warn(`${message.label || "[outbox]"} ⚠️ ${message.kind} ${message.id} failed (attempt ${message.attempts}/${this.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      }
+
+      await this.save(message).catch((saveError) => {
+        console.error(`[outbox] ❌ Failed to persist ${message.id}:`, saveError.message);
+      });
+      return false;
+    } finally {
+      this.inFlight.delete(message.id);
+      this.schedule();
+    }
+  }
+
+  static backoff(attempts) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Arm a single timer for the earliest pending retry
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    const due = this.list("pending").filter((m) => !this.inFlight.has(m.id));
+    if (due.length === 0) return;
+
+    const next = Math.min(...due.map((m) => m.nextAttemptAt));
+    this.timer = setTimeout(() => this.retryDue(), Math.max(0, next - Date.now()));
+    this.timer.unref?.();
+  }
+
+  async retryDue() {
+    const now = Date.now();
+    for (const message of this.list("pending")) {
+      if (message.nextAttemptAt <= now) {
+        await this.attempt(message);
+      }
+    }
+    this.schedule();
+  }
+
+  messagePath(id) {
+    return path.join(this.rootDir, `${path.basename(id)}.json`);
+  }
+
+  async save(message) {
+    if (!existsSync(this.rootDir)) await fs.mkdir(this.rootDir, { recursive: true });
+    const target = this.messagePath(message.id);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(message), "utf8");
+    await fs.rename(`${target}.tmp`, target);
+  }
+}
@@ -0,0 +1,69 @@
+// process-tree.js - Find and kill a process together with all of its descendants
+
+import { execFileSync } from "node:child_process";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+
+// pid -> parent pid for every process on the machine
+export function processTable() {
+  const table = new Map();
+  if (existsSync("/proc/self/stat")) {
+    for (const entry of readdirSync("/proc")) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        // "pid (comm) state ppid ..." - comm may contain spaces, so split after the closing paren
+        const stat = readFileSync(`/proc/${entry}/stat`, "utf8");
+        const ppid = Number(stat.slice(stat.lastIndexOf(")") + 2).split(" ")[1]);
+        table.set(Number(entry), ppid);
+      } catch {}
+    }
+    return table;
+  }
+
+  // No procfs (macOS dev machines)
+  const out = execFileSync("ps", ["-A", "-o", "pid=,ppid="], { encoding: "utf8" });
+  for (const line of out.trim().split("\n")) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    table.set(pid, ppid);
+  }
+  return table;
+}
+
+/**
+ * Kill a process and all of its descendants (npm/npx run their work in grandchildren).
+ * SIGTERM first, SIGKILL whatever is still alive after the grace period.
+ */
+export function killProcessTree(pid, graceMs = 5000) {
+  let pids = [pid];
+  try {
+    const table = processTable();
+    for (let i = 0; i < pids.length; i++) {
+      for (const [child, parent] of table) {
+        if (parent === pids[i]) pids.push(child);
+      }
+    }
+  } catch (error) {
+    console.warn(`[killProcessTree] Could not list descendants of ${pid}:`, error.message);
+  }
+
+  const signal = (sig) => pids.filter((target) => {
+    try {
+      process.kill(target, sig);
+      return true;
+    } catch {
+      return false; // already gone
+    }
+  });
+
+  pids = signal("SIGTERM");
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      const survivors = signal(0);
+      if (survivors.length > 0) {
+        console.warn(`[killProcessTree] ${survivors.length} processes ignored SIGTERM, sending SIGKILL`);
+        pids = survivors;
+        signal("SIGKILL");
+      }
+      resolve();
+    }, graceMs);
+  });
+}
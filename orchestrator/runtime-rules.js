@@ -0,0 +1,331 @@
+// runtime-rules.js - AST-based runtime checks for Next.js app code, run through a rule registry
+
+import path from "node:path";
+import * as ts from "typescript";
+
+const SOURCE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js"];
+const SEVERITIES = ["error", "warning", "info"];
+
+// Files the App Router renders on the server unless they opt into the client
+const APP_ENTRY_PATTERN = /(^|\/)app\/(.*\/)?(page|layout|template|loading|not-found|default)\.(tsx|ts|jsx|js)$/;
+
+// Browser globals that don't exist while a Server Component renders
+const BROWSER_GLOBALS = new Set(["window", "document", "localStorage", "sessionStorage", "navigator"]);
+
+// Calls inside an effect that keep something alive until it is torn down
+const LISTENER_METHODS = new Set(["addEventListener", "subscribe", "on"]);
+const LISTENER_FUNCTIONS = new Set(["setInterval", "addEventListener"]);
+
+function scriptKind(filePath) {
+  switch (path.extname(filePath)) {
+    case ".tsx": return ts.ScriptKind.TSX;
+    case ".jsx": return ts.ScriptKind.JSX;
+    case ".js": return ts.ScriptKind.JS;
+    default: return ts.ScriptKind.TS;
+  }
+}
+
+/**
+ * Directives of the prologue ("use client", "use server")
+ */
+function directives(sourceFile) {
+  const found = new Set();
+  for (const statement of sourceFile.statements) {
+    if (!ts.isExpressionStatement(statement) || !ts.isStringLiteral(statement.expression)) break;
+    found.add(statement.expression.text);
+  }
+  return found;
+}
+
+function calleeName(call) {
+  const callee = call.expression;
+  if (ts.isIdentifier(callee)) return callee.text;
+  if (ts.isPropertyAccessExpression(callee)) return callee.name.text;
+  return null;
+}
+
+function isFunctionNode(node) {
+  return ts.isArrowFunction(node) || ts.isFunctionExpression(node) || ts.isFunctionDeclaration(node) || ts.isMethodDeclaration(node);
+}
+
+/**
+ * Walk a subtree depth-first; return false from the visitor to skip a node's children
+ */
+export function walk(node, visit) {
+  if (visit(node) === false) return;
+  ts.forEachChild(node, (child) => walk(child, visit));
+}
+
+/**
+ * Resolve a relative or "@/" import to a submitted file
+ */
+function resolveImport(fromPath, specifier, paths) {
+  let base;
+  if (specifier.startsWith(".")) {
+    base = path.posix.join(path.posix.dirname(fromPath), specifier);
+  } else if (specifier.startsWith("@/")) {
+    base = `src/${specifier.slice(2)}`;
+  } else {
+    return null;
+  }
+
+  const candidates = [base, ...SOURCE_EXTENSIONS.map((ext) => base + ext), ...SOURCE_EXTENSIONS.map((ext) => `${base}/index${ext}`)];
+  // Projects without a src/ dir map "@/" to the root
+  if (specifier.startsWith("@/")) {
+    const rootBase = specifier.slice(2);
+    candidates.push(rootBase, ...SOURCE_EXTENSIONS.map((ext) => rootBase + ext), ...SOURCE_EXTENSIONS.map((ext) => `${rootBase}/index${ext}`));
+  }
+  return candidates.find((candidate) => paths.has(candidate)) || null;
+}
+
+/**
+ * Parse every source file and mark the Server Components: modules reachable
+ * from an App Router entry without crossing a "use client" boundary
+ */
+export function buildModuleGraph(filesArray) {
+  const modules = new Map();
+  for (const file of filesArray) {
+    if (!SOURCE_EXTENSIONS.includes(path.extname(file.path)) || file.path.includes("node_modules/")) continue;
+    const sourceFile = ts.createSourceFile(file.path, file.content ?? "", ts.ScriptTarget.Latest, true, scriptKind(file.path));
+    const fileDirectives = directives(sourceFile);
+    modules.set(file.path, {
+      path: file.path,
+      sourceFile,
+      isClient: fileDirectives.has("use client"),
+      isServerAction: fileDirectives.has("use server"),
+      isServer: false,
+      imports: []
+    });
+  }
+
+  const paths = new Set(modules.keys());
+  for (const module of modules.values()) {
+    for (const statement of module.sourceFile.statements) {
+      if ((ts.isImportDeclaration(statement) || ts.isExportDeclaration(statement)) &&
+          statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)) {
+        // Type-only imports are erased and never pull a module into the render
+        if (statement.importClause?.isTypeOnly || statement.isTypeOnly) continue;
+        const target = resolveImport(module.path, statement.moduleSpecifier.text, paths);
+        if (target) module.imports.push(target);
+      }
+    }
+  }
+
+  const queue = [...modules.values()].filter((m) => APP_ENTRY_PATTERN.test(m.path) && !m.isClient);
+  while (queue.length > 0) {
+    const module = queue.shift();
+    if (module.isServer || module.isClient || module.isServerAction) continue;
+    module.isServer = true;
+    for (const target of module.imports) queue.push(modules.get(target));
+  }
+
+  return modules;
+}
+
+/**
+ * client-only-hooks: React/Next hooks need the client runtime
+ */
+const clientOnlyHooks = {
+  id: "client-only-hooks",
+  severity: "error",
+  description: "Hooks called in a Server Component",
+  check(module, report) {
+    const reported = new Set();
+    walk(module.sourceFile, (node) => {
+      if (!ts.isCallExpression(node)) return;
+      const name = calleeName(node);
+      if (!name || !/^use[A-Z]/.test(name) || reported.has(name)) return;
+      reported.add(name);
+      report(node.expression, `${name} only works in Client Components, but ${module.path} is rendered as a Server Component`,
+        "Add 'use client'; at the top of the file, or move the stateful part into a client component");
+    });
+  }
+};
+
+/**
+ * server-event-handlers: functions can't be passed from the server to the browser
+ */
+const serverEventHandlers = {
+  id: "server-event-handlers",
+  severity: "error",
+  description: "Event handlers attached in a Server Component",
+  check(module, report) {
+    walk(module.sourceFile, (node) => {
+      if (!ts.isJsxAttribute(node) || !/^on[A-Z]/.test(node.name.getText())) return;
+      const value = node.initializer && ts.isJsxExpression(node.initializer) ? node.initializer.expression : null;
+      if (!value || ts.isStringLiteral(value)) return;
+      report(node, `${node.name.getText()} handler in ${module.path}, which is rendered as a Server Component`,
+        "Add 'use client'; at the top of the file, or move the interactive element into a client component");
+    });
+  }
+};
+
+/**
+ * window-in-server-component: browser globals are undefined during server rendering
+ */
+const windowInServerComponent = {
+  id: "window-in-server-component",
+  severity: "error",
+  description: "Browser globals used in a Server Component",
+  check(module, report) {
+    // A local binding with the same name shadows the global
+    const declared = new Set();
+    walk(module.sourceFile, (node) => {
+      if ((ts.isVariableDeclaration(node) || ts.isParameter(node) || ts.isBindingElement(node) || ts.isFunctionDeclaration(node)) &&
+          node.name && ts.isIdentifier(node.name)) {
+        declared.add(node.name.text);
+      }
+    });
+
+    const reported = new Set();
+    walk(module.sourceFile, (node) => {
+      // `typeof window !== "undefined"` is the guard, not an access
+      if (ts.isTypeOfExpression(node)) return false;
+      if (!ts.isIdentifier(node) || !BROWSER_GLOBALS.has(node.text) || declared.has(node.text) || reported.has(node.text)) return;
+
+      const parent = node.parent;
+      const isName = (ts.isPropertyAccessExpression(parent) && parent.name === node) ||
+        (ts.isPropertyAssignment(parent) && parent.name === node) || ts.isJsxAttribute(parent) || ts.isImportSpecifier(parent) ||
+        ts.isTypeReferenceNode(parent) || ts.isQualifiedName(parent);
+      if (isName) return;
+
+      reported.add(node.text);
+      report(node, `${node.text} is not defined while ${module.path} renders on the server`,
+        "Move browser-only code into a 'use client' component and access it inside useEffect");
+    });
+  }
+};
+
+/**
+ * effect-listener-cleanup: listeners and intervals registered in an effect must be removed again
+ */
+const effectListenerCleanup = {
+  id: "effect-listener-cleanup",
+  severity: "warning",
+  description: "Effects that register listeners without returning a cleanup",
+  appliesTo: "all",
+  check(module, report) {
+    walk(module.sourceFile, (node) => {
+      if (!ts.isCallExpression(node) || !["useEffect", "useLayoutEffect"].includes(calleeName(node))) return;
+      const callback = node.arguments[0];
+      if (!callback || !(ts.isArrowFunction(callback) || ts.isFunctionExpression(callback))) return;
+
+      let registration = null;
+      walk(callback.body, (inner) => {
+        if (registration) return false;
+        if (ts.isCallExpression(inner)) {
+          const name = calleeName(inner);
+          const isMethod = ts.isPropertyAccessExpression(inner.expression);
+          if ((isMethod && LISTENER_METHODS.has(name)) || (!isMethod && LISTENER_FUNCTIONS.has(name))) {
+            registration = inner;
+          }
+        }
+      });
+      if (!registration) return;
+
+      let hasCleanup = false;
+      if (ts.isBlock(callback.body)) {
+        walk(callback.body, (inner) => {
+          if (inner !== callback.body && isFunctionNode(inner)) return false; // returns of nested functions don't count
+          if (ts.isReturnStatement(inner) && inner.expression) hasCleanup = true;
+        });
+      } else {
+        hasCleanup = isFunctionNode(callback.body);
+      }
+      if (hasCleanup) return;
+
+      const name = calleeName(registration);
+      report(registration, `${name}() in an effect without a cleanup function - it keeps running after the component unmounts`,
+        name === "setInterval"
+          ? "Return () => clearInterval(id) from the effect"
+          : `Return a cleanup function from the effect that undoes ${name}()`);
+    });
+  }
+};
+
+/**
+ * Runtime Rule Registry
+ * Rules have an ID, a default severity and a check(module, report) that walks
+ * the module's AST. Rules apply to Server Components only unless they set
+ * `appliesTo: "all"`. Severities can be overridden per request:
+ * { "effect-listener-cleanup": "error", "client-only-hooks": "off" }.
+ */
+export class RuntimeRuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  register(rule) {
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  list() {
+    return [...this.rules.values()].map(({ id, severity, description, appliesTo = "server" }) => ({ id, severity, description, appliesTo }));
+  }
+
+  /**
+   * Run the enabled rules over a files array; returns { errors, warnings, info }
+   */
+  run(filesArray, overrides = {}) {
+    const results = { error: [], warning: [], info: [] };
+
+    for (const [id, setting] of Object.entries(overrides || {})) {
+      if (!this.rules.has(id) || (setting !== "off" && setting !== false && setting !== true && !SEVERITIES.includes(setting))) {
+        results.warning.push({
+          file: "validation",
+          line: 1,
+          message: `Ignoring runtime rule setting ${id}: ${JSON.stringify(setting)}`,
+          severity: "warning",
+          category: "runtime-config",
+          source: "runtime-rules",
+          suggestion: `Known rules: ${[...this.rules.keys()].join(", ")}; severities: off, ${SEVERITIES.join(", ")}`
+        });
+      }
+    }
+
+    const modules = buildModuleGraph(filesArray);
+    for (const rule of this.rules.values()) {
+      const setting = overrides?.[rule.id];
+      if (setting === "off" || setting === false) continue;
+      const severity = SEVERITIES.includes(setting) ? setting : rule.severity;
+
+      for (const module of modules.values()) {
+        if ((rule.appliesTo || "server") === "server" && !module.isServer) continue;
+
+        const report = (node, message, suggestion) => {
+          const sourceFile = module.sourceFile;
+          const start = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+          const end = sourceFile.getLineAndCharacterOfPosition(node.getEnd());
+          results[severity].push({
+            file: module.path,
+            line: start.line + 1,
+            column: start.character + 1,
+            endLine: end.line + 1,
+            endColumn: end.character + 1,
+            message,
+            severity,
+            category: "runtime",
+            rule: rule.id,
+            source: "runtime-rules",
+            suggestion
+          });
+        };
+
+        try {
+          rule.check(module, report);
+        } catch (error) {
+          console.warn(`[runtime-rules] ⚠️ Rule ${rule.id} failed on ${module.path}:`, error.message);
+        }
+      }
+    }
+
+    return { errors: results.error, warnings: results.warning, info: results.info };
+  }
+}
+
+export const runtimeRules = new RuntimeRuleRegistry()
+  .register(clientOnlyHooks)
+  .register(serverEventHandlers)
+  .register(windowInServerComponent)
+  .register(effectListenerCleanup);
@@ -0,0 +1,57 @@
+// snapshot-store.js - File snapshots of successful deployments (used for rollback)
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+
+/**
+ * Snapshot Store
+ * Keeps the full submitted file set (path -> content) of each successful
+ * deployment as `<rootDir>/<deploymentId>.json`.
+ */
+export class SnapshotStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  snapshotPath(deploymentId) {
+    // Deployment IDs are minted by us, but never let one escape the snapshot dir
+    return path.join(this.rootDir, `${path.basename(deploymentId)}.json`);
+  }
+
+  /**
+   * Save a snapshot from a files array ({ path, content }[]), optionally layered
+   * on top of an earlier snapshot (for deploys that only patch a running preview)
+   */
+  async save(deploymentId, filesArray, baseFiles = null) {
+    const files = { ...(baseFiles || {}) };
+    for (const f of filesArray) {
+      files[f.path] = f.content;
+    }
+
+    await fs.mkdir(this.rootDir, { recursive: true });
+    const target = this.snapshotPath(deploymentId);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify({ deploymentId, createdAt: Date.now(), files }), "utf8");
+    await fs.rename(`${target}.tmp`, target);
+
+    return files;
+  }
+
+  /**
+   * Load a snapshot's files map, or null if there is none
+   */
+  async load(deploymentId) {
+    const target = this.snapshotPath(deploymentId);
+    if (!existsSync(target)) return null;
+    const snapshot = JSON.parse(await fs.readFile(target, "utf8"));
+    return snapshot.files;
+  }
+
+  has(deploymentId) {
+    return existsSync(this.snapshotPath(deploymentId));
+  }
+
+  async remove(deploymentId) {
+    await fs.rm(this.snapshotPath(deploymentId), { force: true });
+  }
+}
@@ -0,0 +1,35 @@
+// solc-worker.js - Runs one solc standard-JSON compilation off the main thread (solc-js is synchronous WASM)
+
+import { existsSync, readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { parentPort, workerData } from "node:worker_threads";
+
+const require = createRequire(import.meta.url);
+const wrapper = require("solc/wrapper");
+
+const { soljsonPath, input, includeDirs } = workerData;
+const solc = wrapper(require(soljsonPath));
+
+// Source unit name -> file it was read from, so diagnostics in libraries can be located
+const resolved = {};
+
+/**
+ * Import callback: library sources (@openzeppelin/...) from the include dirs, in order
+ */
+function findImports(unitName) {
+  if (path.isAbsolute(unitName) || unitName.split("/").includes("..")) {
+    return { error: "imports must stay inside the project" };
+  }
+  for (const dir of includeDirs) {
+    const candidate = path.join(dir, unitName);
+    if (existsSync(candidate)) {
+      resolved[unitName] = candidate;
+      return { contents: readFileSync(candidate, "utf8") };
+    }
+  }
+  return { error: "not found in the project or node_modules" };
+}
+
+const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+parentPort.postMessage({ output, resolved, version: solc.version() });
@@ -0,0 +1,252 @@
+// solidity-compiler.js - solc standard-JSON compilation with a locally cached compiler, mapped to validation diagnostics
+
+import crypto from "node:crypto";
+import { existsSync, promises as fs, readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { Worker } from "node:worker_threads";
+import semver from "semver";
+import { positionAt } from "./code-frame.js";
+
+const require = createRequire(import.meta.url);
+
+// The compiler shipped with the solc package, used when it satisfies the pragmas or nothing else is available
+const BUNDLED_SOLJSON = require.resolve("solc/soljson.js");
+const BUNDLED_VERSION = require("solc/package.json").version;
+
+const SOLC_BINARIES_URL = (process.env.SOLC_BINARIES_URL || "https://binaries.soliditylang.org/wasm").replace(/\/$/, "");
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const RELEASE_LIST_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const PRAGMA_PATTERN = /^\s*pragma\s+solidity\s+([^;]+);/gm;
+const HARDHAT_CONFIGS = ["hardhat.config.ts", "hardhat.config.js", "hardhat.config.cjs", "hardhat.config.mjs"];
+
+// Downloads in flight, keyed by target file (concurrent validations wait for the same download)
+const downloads = new Map();
+
+/**
+ * Version ranges from the `pragma solidity` lines of the sources; ranges semver can't read are left to solc
+ */
+export function pragmaRanges(sources) {
+  const ranges = new Set();
+  for (const { content } of Object.values(sources)) {
+    for (const [, range] of content.matchAll(PRAGMA_PATTERN)) {
+      const normalized = range.trim().replace(/\s+/g, " ");
+      if (semver.validRange(normalized)) ranges.add(normalized);
+    }
+  }
+  return [...ranges];
+}
+
+/**
+ * Compiler settings from a Hardhat config: the (default profile's) version, viaIR and the optimizer
+ */
+export function hardhatSettings(configText) {
+  if (!configText) return {};
+  const version = configText.match(/version\s*:\s*["'](\d+\.\d+\.\d+)["']/)?.[1];
+  const optimizer = configText.match(/optimizer\s*:\s*\{[^}]*enabled\s*:\s*(true|false)[^}]*?(?:runs\s*:\s*(\d+))?[^}]*\}/);
+  return {
+    version,
+    viaIR: /viaIR\s*:\s*true/.test(configText),
+    optimizer: optimizer ? { enabled: optimizer[1] === "true", runs: Number(optimizer[2] || 200) } : undefined
+  };
+}
+
+export function findHardhatConfig(filesArray, boilerplateDir) {
+  for (const name of HARDHAT_CONFIGS) {
+    const submitted = filesArray.find((f) => f.path === `contracts/${name}` || f.path === name);
+    if (submitted) return submitted.content;
+  }
+  for (const name of HARDHAT_CONFIGS) {
+    const candidate = boilerplateDir && path.join(boilerplateDir, "contracts", name);
+    if (candidate && existsSync(candidate)) return readFileSync(candidate, "utf8");
+  }
+  return null;
+}
+
+/**
+ * Character offset of a solc byte offset (solc counts UTF-8 bytes)
+ */
+function charOffset(content, byteOffset) {
+  return Buffer.from(content, "utf8").subarray(0, byteOffset).toString("utf8").length;
+}
+
+/**
+ * 1-based range of a solc source location (byte offsets, end exclusive)
+ */
+export function sourceRange(content, start, end) {
+  const from = positionAt(content, charOffset(content, start));
+  const to = positionAt(content, charOffset(content, Math.max(start, end)));
+  return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+}
+
+/**
+ * Releases of a solc list.json, each with the sha256 of its build (throws when the list can't be read)
+ */
+export function parseReleaseList(text) {
+  const list = JSON.parse(text);
+  if (!list?.releases || typeof list.releases !== "object") throw new Error("list.json has no releases");
+  const hashes = new Map((list.builds || []).map((build) => [build.path, String(build.sha256 || "").replace(/^0x/, "").toLowerCase()]));
+  return Object.fromEntries(Object.entries(list.releases).map(([version, file]) => [version, { file, sha256: hashes.get(file) || null }]));
+}
+
+/**
+ * Solidity Compiler
+ * Compiles with solc's standard-JSON interface in a worker thread. The
+ * compiler version is the Hardhat config's (when the pragmas allow it), else
+ * the newest release matching every pragma; release builds are downloaded once
+ * into `cacheDir` and the bundled solc is the fallback when they can't be.
+ */
+export class SolidityCompiler {
+  constructor({ cacheDir }) {
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Released compiler builds: { "0.8.24": { file: "soljson-v0.8.24+commit.e11b9ed9.js", sha256 }, ... }, or null when unavailable
+   */
+  async releases() {
+    const listPath = path.join(this.cacheDir, "list.json");
+    const cached = existsSync(listPath) ? await fs.stat(listPath) : null;
+    if (!cached || Date.now() - cached.mtimeMs > RELEASE_LIST_MAX_AGE_MS) {
+      try {
+        const response = await fetch(`${SOLC_BINARIES_URL}/list.json`, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const text = await response.text();
+        parseReleaseList(text); // never cache a list we can't read
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        await fs.writeFile(listPath, text);
+      } catch (error) {
+        console.warn(`[solc] ⚠️ Could not fetch the compiler release list: ${error.message}`);
+      }
+    }
+    if (!existsSync(listPath)) return null;
+    try {
+      return parseReleaseList(await fs.readFile(listPath, "utf8"));
+    } catch (error) {
+      // Dropped so the next validation fetches it again
+      console.warn(`[solc] ⚠️ Ignoring the cached compiler release list: ${error.message}`);
+      await fs.rm(listPath, { force: true });
+      return null;
+    }
+  }
+
+  /**
+   * Path of a cached compiler build, downloaded first if needed. The file is only
+   * put in place (it runs as code in the solc worker) when it matches its sha256 from list.json.
+   */
+  async download({ file, sha256 }) {
+    const target = path.join(this.cacheDir, file);
+    if (existsSync(target)) return target;
+    if (!downloads.has(target)) {
+      downloads.set(target, (async () => {
+        if (!sha256) throw new Error(`the release list has no sha256 for ${file}`);
+        console.log(`[solc] ⬇️ Downloading ${file}...`);
+        const response = await fetch(`${SOLC_BINARIES_URL}/${file}`, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const body = Buffer.from(await response.arrayBuffer());
+        const actual = crypto.createHash("sha256").update(body).digest("hex");
+        if (actual !== sha256) throw new Error(`${file} does not match its sha256 (expected ${sha256}, got ${actual})`);
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        // Write then rename, so a half-written compiler is never picked up
+        const partial = `${target}.${process.pid}.partial`;
+        await fs.writeFile(partial, body);
+        await fs.rename(partial, target);
+        return target;
+      })().finally(() => downloads.delete(target)));
+    }
+    return downloads.get(target);
+  }
+
+  /**
+   * Pick and fetch the compiler for a set of pragma ranges: { version, soljsonPath, note? }
+   */
+  async resolveCompiler(ranges, preferredVersion) {
+    const wanted = ranges.join(" ") || "*";
+    const bundled = { version: BUNDLED_VERSION, soljsonPath: BUNDLED_SOLJSON };
+
+    if (!preferredVersion && semver.satisfies(BUNDLED_VERSION, wanted)) return bundled;
+    if (preferredVersion === BUNDLED_VERSION) return bundled;
+
+    const releases = await this.releases();
+    const version = preferredVersion && semver.satisfies(preferredVersion, wanted) && releases?.[preferredVersion]
+      ? preferredVersion
+      : semver.maxSatisfying(Object.keys(releases || {}), wanted);
+
+    if (version) {
+      try {
+        return { version, soljsonPath: await this.download(releases[version]) };
+      } catch (error) {
+        console.warn(`[solc] ⚠️ Could not download solc ${version}: ${error.message}`);
+      }
+    }
+    if (semver.satisfies(BUNDLED_VERSION, wanted)) return bundled;
+    return { ...bundled, note: `No solc build matching ${wanted} is available; compiled with the bundled solc ${BUNDLED_VERSION}` };
+  }
+
+  /**
+   * Compile a standard-JSON input; returns { output, resolved, version }.
+   * Aborting `signal` terminates the worker.
+   */
+  compile(soljsonPath, input, includeDirs, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error("solc compilation aborted"));
+      const worker = new Worker(new URL("./solc-worker.js", import.meta.url), {
+        workerData: { soljsonPath, input, includeDirs }
+      });
+      const onAbort = () => {
+        worker.terminate();
+        reject(new Error("solc compilation aborted"));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      worker.once("message", resolve);
+      worker.once("error", reject);
+      worker.once("exit", (code) => {
+        signal?.removeEventListener("abort", onAbort);
+        if (code !== 0) reject(new Error(`solc worker exited with code ${code}`));
+      });
+    });
+  }
+}
+
+/**
+ * Map solc's standard-JSON errors[] to diagnostics: { errors, warnings, info }.
+ * `readSource(file)` returns the text of a source unit so byte offsets can be
+ * turned into lines and columns; `projectPaths` tells project imports from packages.
+ */
+export function mapSolcErrors(solcErrors = [], readSource, projectPaths = []) {
+  const results = { error: [], warning: [], info: [] };
+  const projectDirs = new Set([...projectPaths].map((p) => p.split("/")[0]));
+
+  const locate = (location) => {
+    const content = location?.file ? readSource(location.file) : null;
+    if (content == null || location.start < 0) return { file: location?.file || "contracts", line: 1, column: 1 };
+    return { file: location.file, ...sourceRange(content, location.start, location.end) };
+  };
+
+  for (const entry of solcErrors) {
+    const severity = entry.severity === "error" ? "error" : entry.severity === "warning" ? "warning" : "info";
+    const diagnostic = {
+      ...locate(entry.sourceLocation),
+      message: entry.message,
+      severity,
+      category: "solidity",
+      rule: entry.type,
+      code: entry.errorCode,
+      source: "solc"
+    };
+
+    if (entry.secondarySourceLocations?.length) {
+      diagnostic.related = entry.secondarySourceLocations.map((location) => ({ ...locate(location), message: location.message }));
+    }
+
+    const missingSource = entry.message?.match(/^Source "((?:@[^/"]+\/)?[^/"]+)[^"]*" not found/);
+    if (missingSource && !projectDirs.has(missingSource[1])) {
+      diagnostic.suggestion = `Add "${missingSource[1]}" to the dependencies in contracts/package.json`;
+    }
+
+    results[severity].push(diagnostic);
+  }
+
+  return { errors: results.error, warnings: results.warning, info: results.info };
+}
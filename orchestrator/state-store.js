@@ -0,0 +1,137 @@
+// state-store.js - Durable deployment job & preview registry (append-only JSON journal)
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+
+// Rewrite the journal as a snapshot once this many entries were appended since the last compaction
+const COMPACT_AFTER_ENTRIES = 1000;
+
+// Preview fields that survive a restart (proc, logs and port belong to the old process)
+const DURABLE_PREVIEW_FIELDS = ["dir", "status", "lastHit", "lastError", "externalPlatform", "deploymentUrl"];
+
+/**
+ * State Store
+ * Journals every deployment job / preview change to `<rootDir>/journal.jsonl`
+ * so the orchestrator can rebuild its registries after a restart or crash.
+ */
+export class StateStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.journalPath = path.join(rootDir, "journal.jsonl");
+    this.jobs = new Map();
+    this.previews = new Map();
+    this.appendedSinceCompaction = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Replay the journal and return the last known state of every job and preview
+   */
+  async load() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+
+    if (existsSync(this.journalPath)) {
+      const content = await fs.readFile(this.journalPath, "utf8");
+      let skipped = 0;
+
+      for (const line of content.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch {
+          // A crash mid-append can leave a truncated last line
+          skipped++;
+        }
+      }
+
+      if (skipped > 0) {
+        console.warn(`[state-store] ⚠️ Skipped ${skipped} unreadable journal entries`);
+      }
+    }
+
+    await this.compact();
+    console.log(`[state-store] 📂 Loaded ${this.jobs.size} deployment jobs and ${this.previews.size} previews`);
+
+    return { jobs: new Map(this.jobs), previews: new Map(this.previews) };
+  }
+
+  /**
+   * Record the current state of a deployment job
+   */
+  recordJob(deploymentId, job) {
+    this.append({ type: "job", id: deploymentId, value: job });
+  }
+
+  removeJob(deploymentId) {
+    this.append({ type: "job", id: deploymentId, deleted: true });
+  }
+
+  /**
+   * Record the durable fields of a preview record
+   */
+  recordPreview(id, rec) {
+    const value = {};
+    for (const field of DURABLE_PREVIEW_FIELDS) {
+      if (rec[field] !== undefined) value[field] = rec[field];
+    }
+    this.append({ type: "preview", id, value });
+  }
+
+  removePreview(id) {
+    this.append({ type: "preview", id, deleted: true });
+  }
+
+  /**
+   * Wait until every queued journal write has hit the disk
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  apply(entry) {
+    const target = entry.type === "job" ? this.jobs : entry.type === "preview" ? this.previews : null;
+    if (!target || !entry.id) return;
+
+    if (entry.deleted) {
+      target.delete(entry.id);
+    } else {
+      target.set(entry.id, entry.value);
+    }
+  }
+
+  append(entry) {
+    this.apply(entry);
+    const line = JSON.stringify({ ...entry, at: Date.now() }) + "\n";
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.appendFile(this.journalPath, line, "utf8");
+        if (++this.appendedSinceCompaction >= COMPACT_AFTER_ENTRIES) {
+          await this.compact();
+        }
+      })
+      .catch((error) => {
+        // Persistence must never break a deployment - log and keep going
+        console.error(`[state-store] ❌ Failed to write journal entry:`, error.message);
+      });
+  }
+
+  /**
+   * Rewrite the journal as one entry per live job/preview (atomic rename)
+   */
+  async compact() {
+    const lines = [];
+    for (const [id, value] of this.jobs) {
+      lines.push(JSON.stringify({ type: "job", id, value }));
+    }
+    for (const [id, value] of this.previews) {
+      lines.push(JSON.stringify({ type: "preview", id, value }));
+    }
+
+    const tmpPath = `${this.journalPath}.tmp`;
+    await fs.writeFile(tmpPath, lines.length ? lines.join("\n") + "\n" : "", "utf8");
+    await fs.rename(tmpPath, this.journalPath);
+    this.appendedSinceCompaction = 0;
+  }
+}
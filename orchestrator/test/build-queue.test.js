@@ -0,0 +1,88 @@
+// build-queue.test.js - Concurrency limit, priority ordering and cancellation of queued builds
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BuildQueue, PRIORITIES } from "../build-queue.js";
+
+// A task that runs until released, recording when it started
+function gate(started, name) {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  const task = () => {
+    started.push(name);
+    return done.then(() => name);
+  };
+  return { task, release };
+}
+
+test("resolvePriority accepts names and finite numbers, anything else is normal", () => {
+  assert.equal(BuildQueue.resolvePriority("high"), PRIORITIES.high);
+  assert.equal(BuildQueue.resolvePriority("low"), PRIORITIES.low);
+  assert.equal(BuildQueue.resolvePriority(42), 42);
+  assert.equal(BuildQueue.resolvePriority(Infinity), PRIORITIES.normal);
+  assert.equal(BuildQueue.resolvePriority("urgent"), PRIORITIES.normal);
+  assert.equal(BuildQueue.resolvePriority(undefined), PRIORITIES.normal);
+});
+
+test("at most maxConcurrent tasks run, the rest wait by priority then arrival", async () => {
+  const queue = new BuildQueue(1);
+  const started = [];
+  const tasks = Object.fromEntries(["first", "low", "normal1", "normal2", "high"].map((name) => [name, gate(started, name)]));
+
+  const results = [
+    queue.run("first", tasks.first.task),
+    queue.run("low", tasks.low.task, { priority: "low" }),
+    queue.run("normal1", tasks.normal1.task),
+    queue.run("normal2", tasks.normal2.task, { priority: 0 }),
+    queue.run("high", tasks.high.task, { priority: "high" })
+  ];
+  await Promise.resolve();
+  assert.deepEqual(started, ["first"]);
+  assert.deepEqual(queue.stats(), { maxConcurrent: 1, running: 1, queued: 4 });
+  assert.deepEqual(["high", "normal1", "normal2", "low", "first"].map((key) => queue.position(key)), [1, 2, 3, 4, null]);
+
+  for (const name of ["first", "high", "normal1", "normal2", "low"]) {
+    tasks[name].release();
+    await results[Object.keys(tasks).indexOf(name)];
+  }
+  assert.deepEqual(started, ["first", "high", "normal1", "normal2", "low"]);
+  assert.deepEqual(await Promise.all(results), ["first", "low", "normal1", "normal2", "high"]);
+  assert.deepEqual(queue.stats(), { maxConcurrent: 1, running: 0, queued: 0 });
+});
+
+test("a failing task rejects its own promise and frees its slot", async () => {
+  const queue = new BuildQueue(1);
+  const failing = queue.run("a", () => {
+    throw new Error("build failed");
+  });
+  const next = queue.run("b", async () => "ok");
+
+  await assert.rejects(failing, /build failed/);
+  assert.equal(await next, "ok");
+});
+
+test("cancel drops the waiting tasks for a key without touching running ones", async () => {
+  const queue = new BuildQueue(1);
+  const started = [];
+  const running = gate(started, "a");
+  const first = queue.run("a", running.task);
+  const waiting = queue.run("b", gate(started, "b").task);
+  const other = queue.run("c", async () => "c");
+
+  const error = new Error("Deployment cancelled");
+  assert.equal(queue.cancel("b", error), true);
+  assert.equal(queue.cancel("a"), false);
+  await assert.rejects(waiting, (e) => e === error);
+  assert.equal(queue.position("b"), null);
+
+  running.release();
+  assert.equal(await first, "a");
+  assert.equal(await other, "c");
+  assert.deepEqual(started, ["a"]);
+});
+
+test("maxConcurrent is at least one", async () => {
+  const queue = new BuildQueue(0);
+  assert.equal(queue.maxConcurrent, 1);
+  assert.equal(await queue.run("a", async () => 1), 1);
+});
@@ -0,0 +1,134 @@
+// bundle-report.test.js - Route names, sizes read from build manifests and budget checks
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { appRoute, checkBundleBudgets, readBundleReport } from "../bundle-report.js";
+
+const kB = 1000;
+
+function report({ routes = [], chunks = [] } = {}) {
+  return {
+    routes: routes.map(([route, firstLoadJs, entry = `${route === "/" ? "" : route}/page`]) => ({ route, router: "app", entry, firstLoadJs, size: 0 })),
+    shared: { size: chunks.reduce((sum, [, size]) => sum + size, 0), chunks: chunks.map(([file, size]) => ({ file, size })) }
+  };
+}
+
+test("appRoute maps page entries to routes and skips everything else", () => {
+  assert.equal(appRoute("/page"), "/");
+  assert.equal(appRoute("/cart/page"), "/cart");
+  assert.equal(appRoute("/(shop)/cart/page"), "/cart");
+  assert.equal(appRoute("/@modal/(group)/photo/[id]/page"), "/photo/[id]");
+  assert.equal(appRoute("/layout"), null);
+  assert.equal(appRoute("/_not-found/page"), "/_not-found");
+  assert.equal(appRoute("/cart/route"), null);
+});
+
+test("routes within the default budgets pass", () => {
+  const result = checkBundleBudgets(report({ routes: [["/", 120 * kB]], chunks: [["static/chunks/main.js", 90 * kB]] }));
+  assert.deepEqual(result, { errors: [], warnings: [] });
+});
+
+test("a route over the First Load JS budget is reported on its page file", () => {
+  const { errors, warnings } = checkBundleBudgets(
+    report({ routes: [["/cart", 320 * kB], ["/", 100 * kB]] }),
+    {},
+    ["src/app/cart/page.tsx", "src/app/page.tsx"]
+  );
+  assert.equal(errors.length, 0);
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].file, "src/app/cart/page.tsx");
+  assert.equal(warnings[0].rule, "route-budget");
+  assert.equal(warnings[0].route, "/cart");
+  assert.equal(warnings[0].budget, 300);
+  assert.equal(warnings[0].size, 320 * kB);
+  assert.match(warnings[0].message, /Route \/cart loads 320\.0 kB of JS \(First Load JS\), over its 300 kB budget/);
+});
+
+test("the largest threshold a size exceeds decides the severity", () => {
+  const budgets = { firstLoadJs: { warning: 100, error: 200 } };
+  const { errors, warnings } = checkBundleBudgets(report({ routes: [["/a", 150 * kB], ["/b", 250 * kB]] }), budgets);
+  assert.deepEqual(warnings.map((w) => w.route), ["/a"]);
+  assert.deepEqual(errors.map((e) => e.route), ["/b"]);
+  assert.equal(errors[0].budget, 200);
+  assert.equal(errors[0].file, "next-build");
+});
+
+test("per-route budgets replace the First Load JS budget for that route", () => {
+  const budgets = { routes: { "/dashboard": { error: 400 } } };
+  const result = checkBundleBudgets(report({ routes: [["/dashboard", 350 * kB], ["/", 350 * kB]] }), budgets);
+  assert.deepEqual(result.warnings.map((w) => w.route), ["/"]);
+  assert.equal(result.errors.length, 0);
+});
+
+test("shared JS and shared chunk budgets are reported on the root layout", () => {
+  const { warnings } = checkBundleBudgets(
+    report({ chunks: [["static/chunks/big.js", 160 * kB], ["static/chunks/small.js", 50 * kB]] }),
+    {},
+    ["src/app/layout.tsx"]
+  );
+  assert.deepEqual(warnings.map((w) => w.rule), ["shared-budget", "chunk-budget"]);
+  assert.ok(warnings.every((w) => w.file === "src/app/layout.tsx"));
+  assert.equal(warnings[1].chunk, "static/chunks/big.js");
+});
+
+test("budgets can be switched off", () => {
+  const budgets = { firstLoadJs: "off", sharedJs: false, sharedChunk: null };
+  const result = checkBundleBudgets(report({ routes: [["/", 900 * kB]], chunks: [["static/chunks/big.js", 900 * kB]] }), budgets);
+  assert.deepEqual(result, { errors: [], warnings: [] });
+});
+
+test("invalid budget settings are ignored with a bundle-config warning", () => {
+  const budgets = { firstLoadJs: { fatal: 100 }, totalJs: 100, routes: { "/": -1 } };
+  const { warnings } = checkBundleBudgets(report({ routes: [["/", 900 * kB]] }), budgets);
+  const config = warnings.filter((w) => w.category === "bundle-config");
+  assert.deepEqual(config.map((w) => w.message), [
+    "Ignoring bundle budget totalJs: 100",
+    'Ignoring bundle budget firstLoadJs: {"fatal":100}',
+    "Ignoring bundle budget routes./: -1"
+  ]);
+  // The route has no usable budget left, so it is not checked
+  assert.equal(warnings.filter((w) => w.category === "bundle-size").length, 0);
+});
+
+test("readBundleReport sizes routes and shared chunks from the build manifests", async (t) => {
+  const nextDir = mkdtempSync(path.join(os.tmpdir(), "bundle-report-"));
+  t.after(() => rmSync(nextDir, { recursive: true, force: true }));
+
+  const files = {
+    "static/chunks/shared.js": "shared();".repeat(200),
+    "static/chunks/home.js": "home();",
+    "static/chunks/cart.js": "cart();".repeat(50)
+  };
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(nextDir, file)), { recursive: true });
+    writeFileSync(path.join(nextDir, file), content);
+  }
+  writeFileSync(path.join(nextDir, "build-manifest.json"), JSON.stringify({ pages: { "/_app": [] } }));
+  writeFileSync(path.join(nextDir, "app-build-manifest.json"), JSON.stringify({
+    pages: {
+      "/layout": ["static/chunks/shared.js"],
+      "/page": ["static/chunks/shared.js", "static/chunks/home.js", "static/css/app.css"],
+      "/(shop)/cart/page": ["static/chunks/shared.js", "static/chunks/cart.js", "static/chunks/missing.js"]
+    }
+  }));
+
+  const gzip = (file) => zlib.gzipSync(files[file], { level: 9 }).length;
+  const result = await readBundleReport(nextDir);
+
+  assert.deepEqual(result.routes, [
+    { route: "/", router: "app", entry: "/page", firstLoadJs: gzip("static/chunks/shared.js") + gzip("static/chunks/home.js"), size: gzip("static/chunks/home.js") },
+    { route: "/cart", router: "app", entry: "/(shop)/cart/page", firstLoadJs: gzip("static/chunks/shared.js") + gzip("static/chunks/cart.js"), size: gzip("static/chunks/cart.js") }
+  ]);
+  assert.deepEqual(result.shared, {
+    size: gzip("static/chunks/shared.js"),
+    chunks: [{ file: "static/chunks/shared.js", size: gzip("static/chunks/shared.js") }]
+  });
+});
+
+test("readBundleReport returns null without a build", async () => {
+  assert.equal(await readBundleReport(path.join(os.tmpdir(), "no-such-next-dir")), null);
+});
@@ -0,0 +1,83 @@
+// code-frame.test.js - Positions, code frames and the source context added to diagnostics
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addSourceContext, codeFrame, offsetAt, positionAt, resolveProjectPath } from "../code-frame.js";
+
+const source = [
+  "import { useState } from 'react';",
+  "",
+  "const a = 1;",
+  "const b: string = a;",
+  "export default b;"
+].join("\n");
+
+test("positionAt and offsetAt convert between offsets and 1-based positions", () => {
+  const offset = source.indexOf("b: string");
+  assert.deepEqual(positionAt(source, offset), { line: 4, column: 7 });
+  assert.equal(offsetAt(source, 4, 7), offset);
+  assert.deepEqual(positionAt(source, 0), { line: 1, column: 1 });
+  assert.equal(offsetAt(source, 99, 1), source.length);
+  assert.equal(offsetAt(source, 5, 999), source.length);
+});
+
+test("resolveProjectPath matches project paths exactly or by suffix", () => {
+  const paths = new Set(["src/app/page.tsx", "contracts/Token.sol"]);
+  assert.equal(resolveProjectPath("src/app/page.tsx", paths), "src/app/page.tsx");
+  assert.equal(resolveProjectPath("/tmp/validation-x/src/app/page.tsx", paths), "src/app/page.tsx");
+  assert.equal(resolveProjectPath("C:\\tmp\\x\\contracts\\Token.sol", paths), "contracts/Token.sol");
+  assert.equal(resolveProjectPath("build", paths), null);
+  assert.equal(resolveProjectPath(undefined, paths), null);
+});
+
+test("codeFrame shows the surrounding lines with carets under the span", () => {
+  assert.equal(codeFrame(source, { line: 4, column: 7, endLine: 4, endColumn: 8 }), [
+    "  2 |",
+    "  3 | const a = 1;",
+    "> 4 | const b: string = a;",
+    "    |       ^",
+    "  5 | export default b;"
+  ].join("\n"));
+});
+
+test("codeFrame underlines to the end of the line for multi-line spans", () => {
+  const frame = codeFrame(source, { line: 1, column: 10, endLine: 3, endColumn: 1 });
+  assert.equal(frame.split("\n")[1], "    |          ^^^^^^^^^^^^^^^^^^^^^^^^");
+});
+
+test("codeFrame keeps tabs in the caret indent and widens the gutter", () => {
+  const content = Array.from({ length: 9 }, (_, i) => `line${i + 1}`).concat("\tbad()").join("\n");
+  assert.equal(codeFrame(content, { line: 10, column: 2, endLine: 10, endColumn: 5 }), [
+    "   8 | line8",
+    "   9 | line9",
+    "> 10 | \tbad()",
+    "     | \t^^^"
+  ].join("\n"));
+});
+
+test("addSourceContext resolves files, fills in token ranges and adds code frames", () => {
+  const [diagnostic] = addSourceContext(
+    [{ file: "/tmp/validation-1/src/app/page.tsx", line: 4, column: 7, message: "Type 'number' is not assignable" }],
+    [{ path: "src/app/page.tsx", content: source }]
+  );
+  assert.equal(diagnostic.file, "src/app/page.tsx");
+  assert.deepEqual([diagnostic.line, diagnostic.column, diagnostic.endLine, diagnostic.endColumn], [4, 7, 4, 8]);
+  assert.match(diagnostic.codeFrame, /^> 4 \| const b: string = a;$/m);
+});
+
+test("addSourceContext keeps an existing range", () => {
+  const [diagnostic] = addSourceContext(
+    [{ file: "src/app/page.tsx", line: 4, column: 1, endLine: 4, endColumn: 21 }],
+    [{ path: "src/app/page.tsx", content: source }]
+  );
+  assert.equal(diagnostic.endColumn, 21);
+  assert.match(diagnostic.codeFrame, /\| \^{20}$/m);
+});
+
+test("addSourceContext gives pseudo-files a zero-width range and no code frame", () => {
+  const [diagnostic] = addSourceContext([{ file: "build", line: 0, message: "Build failed" }], [{ path: "src/app/page.tsx", content: source }]);
+  assert.deepEqual(
+    [diagnostic.file, diagnostic.line, diagnostic.column, diagnostic.endLine, diagnostic.endColumn, diagnostic.codeFrame],
+    ["build", 1, 1, 1, 1, null]
+  );
+});
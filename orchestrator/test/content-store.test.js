@@ -0,0 +1,73 @@
+// content-store.test.js - Hash validation, blob storage and manifest resolution
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ContentStore } from "../content-store.js";
+
+const sha = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+function store(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "content-store-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return new ContentStore(dir);
+}
+
+test("only lowercase sha256 hex strings are hashes", () => {
+  assert.equal(ContentStore.isHash(sha("a")), true);
+  assert.equal(ContentStore.isHash(sha("a").toUpperCase()), false);
+  assert.equal(ContentStore.isHash(sha("a").slice(1)), false);
+  assert.equal(ContentStore.isHash(`../${sha("a").slice(3)}`), false);
+  assert.equal(ContentStore.isHash(null), false);
+});
+
+test("blobs are sharded by their first byte and invalid hashes never become paths", (t) => {
+  const contentStore = store(t);
+  const hash = sha("export default 1;");
+  assert.equal(contentStore.blobPath(hash), path.join(contentStore.rootDir, hash.slice(0, 2), hash));
+  assert.throws(() => contentStore.blobPath("../../etc/passwd"), /Invalid content hash/);
+  assert.equal(contentStore.has("../../etc/passwd"), false);
+});
+
+test("put stores a blob once and leaves no temp files", async (t) => {
+  const contentStore = store(t);
+  const content = "export const a = 'ä';\n";
+  const hash = sha(content);
+
+  assert.equal(await contentStore.put(hash, content), true);
+  assert.equal(await contentStore.put(hash, content), false);
+  assert.equal(contentStore.has(hash), true);
+  assert.equal(await contentStore.get(hash), content);
+  assert.equal(readFileSync(contentStore.blobPath(hash), "utf8"), content);
+  assert.deepEqual(readdirSync(path.dirname(contentStore.blobPath(hash))), [hash]);
+});
+
+test("missing lists each unknown hash of a manifest once", async (t) => {
+  const contentStore = store(t);
+  await contentStore.put(sha("a"), "a");
+  const manifest = { "a.ts": sha("a"), "b.ts": sha("b"), "copy-of-b.ts": sha("b") };
+  assert.deepEqual(contentStore.missing(manifest), [sha("b")]);
+  assert.deepEqual(contentStore.missing({}), []);
+});
+
+test("resolve turns a manifest into files, or throws with the missing hashes", async (t) => {
+  const contentStore = store(t);
+  await contentStore.put(sha("a"), "a");
+  await contentStore.put(sha("b"), "b");
+
+  assert.deepEqual(await contentStore.resolve({ "src/a.ts": sha("a"), "src/b.ts": sha("b"), "src/again.ts": sha("a") }), [
+    { path: "src/a.ts", content: "a" },
+    { path: "src/b.ts", content: "b" },
+    { path: "src/again.ts", content: "a" }
+  ]);
+
+  await assert.rejects(contentStore.resolve({ "src/a.ts": sha("a"), "src/c.ts": sha("c") }), (error) => {
+    assert.match(error.message, /1 blobs referenced by the manifest have not been uploaded/);
+    assert.deepEqual(error.missing, [sha("c")]);
+    return true;
+  });
+  assert.equal(existsSync(path.join(contentStore.rootDir, sha("c").slice(0, 2))), false);
+});
@@ -0,0 +1,169 @@
+// contract-rules.test.js - Contract security rules over ASTs from the bundled solc
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { contractRules } from "../contract-rules.js";
+
+const require = createRequire(import.meta.url);
+const solc = require("solc");
+const SOLC_VERSION = solc.version().split("+")[0];
+
+/**
+ * Compile sources with the bundled solc into the units validation.js passes to the registry
+ */
+function compileUnits(sources) {
+  const input = {
+    language: "Solidity",
+    sources: Object.fromEntries(Object.entries(sources).map(([file, content]) => [file, { content }])),
+    settings: { outputSelection: { "*": { "": ["ast"] } } }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const failures = (output.errors || []).filter((e) => e.severity === "error");
+  assert.deepEqual(failures.map((e) => e.formattedMessage), []);
+  return Object.entries(sources).map(([file, content]) => ({ path: file, ast: output.sources[file].ast, content, version: solc.version() }));
+}
+
+const contract = (body, pragma = SOLC_VERSION) => `// SPDX-License-Identifier: MIT\npragma solidity ${pragma};\n\ncontract Vault {\n${body}\n}\n`;
+const rulesOf = (diagnostics) => diagnostics.map((d) => `${d.rule} ${d.file}:${d.line}`);
+
+test("tx.origin comparisons are errors", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract([
+      "    address owner;",
+      "    function check() public view returns (bool) {",
+      "        return tx.origin == owner;",
+      "    }"
+    ].join("\n"))
+  });
+  const { errors } = contractRules.run(units);
+  assert.deepEqual(rulesOf(errors), ["tx-origin contracts/Vault.sol:7"]);
+  assert.deepEqual([errors[0].column, errors[0].endLine, errors[0].endColumn], [16, 7, 34]);
+  assert.equal(errors[0].category, "contract-analysis");
+});
+
+test("state written after an external call is reported as reentrancy unless guarded", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract([
+      "    mapping(address => uint256) balances;",
+      "    modifier nonReentrant() { _; }",
+      "    function withdraw() public {",
+      "        (bool ok, ) = msg.sender.call{value: balances[msg.sender]}(\"\");",
+      "        require(ok);",
+      "        balances[msg.sender] = 0;",
+      "    }",
+      "    function safeWithdraw() public {",
+      "        uint256 amount = balances[msg.sender];",
+      "        balances[msg.sender] = 0;",
+      "        (bool ok, ) = msg.sender.call{value: amount}(\"\");",
+      "        require(ok);",
+      "    }",
+      "    function guardedWithdraw() public nonReentrant {",
+      "        (bool ok, ) = msg.sender.call{value: balances[msg.sender]}(\"\");",
+      "        require(ok);",
+      "        balances[msg.sender] = 0;",
+      "    }"
+    ].join("\n"))
+  });
+  const { errors } = contractRules.run(units);
+  assert.deepEqual(rulesOf(errors), ["reentrancy contracts/Vault.sol:8"]);
+  assert.match(errors[0].message, /External call in withdraw\(\) before balances is updated/);
+});
+
+test("ignored low-level call results are errors", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract([
+      "    function pay(address payable to) public {",
+      "        to.send(1);",
+      "        (bool unused, ) = to.call(\"\");",
+      "        (bool ok, ) = to.call(\"\");",
+      "        require(ok);",
+      "    }"
+    ].join("\n"))
+  });
+  const { errors } = contractRules.run(units);
+  assert.deepEqual(rulesOf(errors), [
+    "unchecked-low-level-call contracts/Vault.sol:6",
+    "unchecked-low-level-call contracts/Vault.sol:7"
+  ]);
+  assert.match(errors[0].suggestion, /to\.call\{value: amount\}/);
+});
+
+test("privileged functions need an access check", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract([
+      "    address owner;",
+      "    uint256 fee;",
+      "    modifier onlyOwner() { require(msg.sender == owner); _; }",
+      "    function setFee(uint256 value) public { fee = value; }",
+      "    function updateFee(uint256 value) public onlyOwner { fee = value; }",
+      "    function changeOwner(address next) public { require(msg.sender == owner); owner = next; }",
+      "    function bump(uint256 value) external { fee = value; }",
+      "    function count() public pure returns (uint256) { return 1; }"
+    ].join("\n"))
+  });
+  const { warnings } = contractRules.run(units);
+  assert.deepEqual(rulesOf(warnings), [
+    "missing-access-control contracts/Vault.sol:8",
+    "missing-access-control contracts/Vault.sol:11"
+  ]);
+  // Reported on the function name
+  assert.deepEqual([warnings[0].column, warnings[0].endColumn], [14, 20]);
+});
+
+test("selfdestruct, delegatecall and floating pragmas are warnings", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract([
+      "    address owner;",
+      "    function close() public { require(msg.sender == owner); selfdestruct(payable(owner)); }",
+      "    function forward(address target) public { require(msg.sender == owner); (bool ok, ) = target.delegatecall(\"\"); require(ok); }"
+    ].join("\n"), "^0.8.20")
+  });
+  const { errors, warnings } = contractRules.run(units);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rulesOf(warnings).sort(), [
+    "delegatecall contracts/Vault.sol:7",
+    "floating-pragma contracts/Vault.sol:2",
+    "selfdestruct contracts/Vault.sol:6"
+  ]);
+  const pragma = warnings.find((w) => w.rule === "floating-pragma");
+  assert.match(pragma.message, /Floating pragma solidity \^0\.8\.20/);
+  assert.equal(pragma.suggestion, `Pin the version: pragma solidity ${SOLC_VERSION};`);
+});
+
+test("severities can be overridden, and unknown settings are ignored with a warning", () => {
+  const units = compileUnits({
+    "contracts/Vault.sol": contract("    function close() public { selfdestruct(payable(msg.sender)); }", "^0.8.20")
+  });
+  const { errors, warnings, info } = contractRules.run(units, {
+    selfdestruct: "error",
+    "floating-pragma": "off",
+    "no-such-rule": "warning",
+    delegatecall: "fatal"
+  });
+  assert.deepEqual(rulesOf(errors), ["selfdestruct contracts/Vault.sol:5"]);
+  assert.deepEqual(info, []);
+  assert.deepEqual(warnings.map((w) => [w.category, w.message]), [
+    ["contract-analysis-config", 'Ignoring contract rule setting no-such-rule: "warning"'],
+    ["contract-analysis-config", 'Ignoring contract rule setting delegatecall: "fatal"']
+  ]);
+});
+
+test("interfaces and libraries are not checked as contracts", () => {
+  const units = compileUnits({
+    "contracts/Payouts.sol": [
+      "// SPDX-License-Identifier: MIT",
+      `pragma solidity ${SOLC_VERSION};`,
+      "",
+      "interface IVault {",
+      "    function setFee(uint256 value) external;",
+      "}",
+      "",
+      "library Payouts {",
+      "    function withdraw(address payable to) public { to.transfer(1); }",
+      "}",
+      ""
+    ].join("\n")
+  });
+  assert.deepEqual(contractRules.run(units), { errors: [], warnings: [], info: [] });
+});
@@ -0,0 +1,176 @@
+// dependency-check.test.js - Undeclared imports against package.json, node_modules and a local registry
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+const published = { lodash: "4.17.21", "@scope/ui": "2.0.0", a: "1.0.0", b: "1.0.0", c: "1.0.0", d: "1.0.0", e: "1.0.0", f: "1.0.0" };
+
+let server;
+let requests = [];
+let inFlight = 0;
+let maxInFlight = 0;
+let DependencyChecker;
+let packageName;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const name = decodeURIComponent(req.url.slice(1).replace(/\/latest$/, ""));
+    requests.push(name);
+    if (name === "unreachable") return req.socket.destroy();
+
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      if (!published[name]) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      res.end(JSON.stringify({ name, version: published[name] }));
+    }, 20);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // The registry URL is read when the module loads
+  process.env.NPM_REGISTRY_URL = `http://127.0.0.1:${server.address().port}/`;
+  ({ DependencyChecker, packageName } = await import("../dependency-check.js"));
+});
+
+after(() => server.close());
+
+const manifest = (dependencies = {}) => ({ path: "package.json", content: JSON.stringify({ name: "app", dependencies }) });
+const source = (file, content) => ({ path: file, content });
+
+test("packageName strips subpaths and keeps scopes", () => {
+  assert.equal(packageName("lodash/fp"), "lodash");
+  assert.equal(packageName("@scope/ui/button"), "@scope/ui");
+  assert.equal(packageName("react"), "react");
+});
+
+test("findImports keeps bare imports and skips relative paths, aliases, builtins and URLs", () => {
+  const checker = new DependencyChecker();
+  const imports = checker.findImports([
+    source("tsconfig.json", '{ "compilerOptions": { "paths": { "~lib/*": ["./src/lib/*"] } } }'),
+    source("src/app.tsx", [
+      'import React from "react";',
+      'import { x } from "./x";',
+      'import { y } from "@/y";',
+      'import { z } from "~lib/z";',
+      'import fs from "node:fs";',
+      'import path from "path";',
+      'export { chunk } from "lodash/chunk";',
+      'const ui = await import("@scope/ui/button");',
+      'const legacy = require("left-pad");',
+      'import data from "https://example.com/data.js";'
+    ].join("\n")),
+    source("node_modules/dep/index.js", 'import "hidden";'),
+    source("README.md", 'import "not-code";')
+  ]);
+
+  assert.deepEqual(imports.map((i) => `${i.name} ${i.file}:${i.line}:${i.column}`), [
+    "react src/app.tsx:1:20",
+    "lodash src/app.tsx:7:24",
+    "@scope/ui src/app.tsx:8:26",
+    "left-pad src/app.tsx:9:25"
+  ]);
+  assert.equal(imports[1].specifier, "lodash/chunk");
+});
+
+test("findMissing resolves each import against its nearest package.json and node_modules", async (t) => {
+  const projectDir = mkdtempSync(path.join(os.tmpdir(), "dependency-check-"));
+  t.after(() => rmSync(projectDir, { recursive: true, force: true }));
+  mkdirSync(path.join(projectDir, "node_modules", "clsx"), { recursive: true });
+  writeFileSync(path.join(projectDir, "node_modules", "clsx", "package.json"), JSON.stringify({ version: "2.1.0" }));
+
+  const checker = new DependencyChecker();
+  const missing = await checker.findMissing([
+    manifest({ react: "^18.0.0" }),
+    source("packages/web/package.json", JSON.stringify({ name: "web", dependencies: { lodash: "^4.0.0" } })),
+    source("src/app.tsx", 'import React from "react";\nimport clsx from "clsx";\nimport _ from "lodash";\nimport { Button } from "@scope/ui";'),
+    source("src/other.tsx", 'import _ from "lodash";'),
+    source("packages/web/index.ts", 'import _ from "lodash";\nimport web from "web";\nimport ghost from "no-such-package";')
+  ], projectDir);
+
+  assert.deepEqual(missing.map(({ name, packageDir, version, installed, published: known, imports }) => ({
+    name, packageDir, version, installed, published: known, files: imports.map((i) => i.file)
+  })), [
+    { name: "clsx", packageDir: "", version: "^2.1.0", installed: true, published: true, files: ["src/app.tsx"] },
+    { name: "lodash", packageDir: "", version: "^4.17.21", installed: false, published: true, files: ["src/app.tsx", "src/other.tsx"] },
+    { name: "@scope/ui", packageDir: "", version: "^2.0.0", installed: false, published: true, files: ["src/app.tsx"] },
+    { name: "no-such-package", packageDir: "packages/web", version: null, installed: false, published: false, files: ["packages/web/index.ts"] }
+  ]);
+  // Installed packages are not looked up on the registry
+  assert.equal(requests.includes("clsx"), false);
+  assert.equal(requests.includes("@scope/ui"), true);
+});
+
+test("registry lookups run a few at a time and each package is looked up once", async () => {
+  requests = [];
+  maxInFlight = 0;
+  const checker = new DependencyChecker();
+  const files = [
+    manifest(),
+    source("web/package.json", JSON.stringify({ name: "web" })),
+    source("src/app.ts", ["a", "b", "c", "d", "e", "f"].map((name) => `import "${name}";`).join("\n")),
+    source("web/app.ts", 'import "a";')
+  ];
+  const missing = await checker.findMissing(files);
+
+  assert.equal(missing.length, 7);
+  assert.ok(missing.every((dependency) => dependency.version === "^1.0.0"));
+  assert.deepEqual(requests.sort(), ["a", "b", "c", "d", "e", "f"]);
+  assert.ok(maxInFlight > 1 && maxInFlight <= 4, `max in flight: ${maxInFlight}`);
+
+  // Versions are cached across validations
+  await checker.findMissing(files);
+  assert.equal(requests.length, 6);
+});
+
+test("toDiagnostics reports unknown packages and undeclared ones, transitive ones as warnings", () => {
+  const checker = new DependencyChecker();
+  const { errors, warnings } = checker.toDiagnostics([
+    { name: "lodash", packageDir: "", version: "^4.17.21", installed: false, published: true, imports: [{ specifier: "lodash/fp", file: "src/a.ts", line: 2, column: 19 }] },
+    { name: "clsx", packageDir: "web", version: "^2.1.0", installed: true, published: true, imports: [{ specifier: "clsx", file: "web/b.ts", line: 1, column: 18 }] },
+    { name: "ghost", packageDir: "", version: null, installed: false, published: false, imports: [{ specifier: "ghost", file: "src/a.ts", line: 3, column: 8 }, { specifier: "ghost", file: "src/c.ts", line: 1, column: 8 }] }
+  ]);
+
+  assert.deepEqual(errors.map((e) => [e.rule, e.file, e.line, e.column, e.endColumn]), [
+    ["undeclared-dependency", "src/a.ts", 2, 19, 28],
+    ["unknown-package", "src/a.ts", 3, 8, 13]
+  ]);
+  assert.equal(errors[0].suggestion, 'Add "lodash": "^4.17.21" to dependencies in package.json');
+  assert.deepEqual(errors[0].dependency, { name: "lodash", version: "^4.17.21", packageJson: "package.json" });
+  assert.match(errors[1].suggestion, /used in src\/a\.ts, src\/c\.ts/);
+  assert.deepEqual(warnings.map((w) => [w.rule, w.severity, w.dependency.packageJson]), [["undeclared-dependency", "warning", "web/package.json"]]);
+});
+
+test("addMissing adds known versions to each package.json in sorted order", () => {
+  const checker = new DependencyChecker();
+  const files = [manifest({ react: "^18.0.0" }), source("src/app.ts", "")];
+  const { files: patched, added } = checker.addMissing(files, [
+    { name: "zod", packageDir: "", version: "^3.0.0", published: true },
+    { name: "axios", packageDir: "", version: "^1.0.0", published: true },
+    { name: "ghost", packageDir: "", version: null, published: false }
+  ]);
+
+  assert.deepEqual(added.map((a) => a.name), ["zod", "axios"]);
+  const packageJson = patched.find((f) => f.path === "package.json");
+  assert.deepEqual(Object.keys(JSON.parse(packageJson.content).dependencies), ["axios", "react", "zod"]);
+  assert.equal(JSON.parse(files[0].content).dependencies.zod, undefined);
+  assert.equal(checker.addMissing(files, []).files, files);
+});
+
+// Last: an unreachable registry is remembered for the rest of the module's life here
+test("once the registry can't be reached, lookups are skipped and versions left unknown", async () => {
+  requests = [];
+  const checker = new DependencyChecker();
+  const missing = await checker.findMissing([manifest(), source("src/app.ts", 'import "unreachable";')]);
+  assert.deepEqual([missing[0].version, missing[0].published], [null, true]);
+
+  const later = await checker.findMissing([manifest(), source("src/app.ts", 'import "not-looked-up";')]);
+  assert.deepEqual([later[0].version, later[0].published], [null, true]);
+  assert.deepEqual(requests, ["unreachable"]);
+});
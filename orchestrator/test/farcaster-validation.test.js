@@ -0,0 +1,215 @@
+// farcaster-validation.test.js - Manifest schema, embed meta and sdk.actions.ready() checks
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { FarcasterValidator, imageSize } from "../farcaster-validation.js";
+
+const MANIFEST = "public/.well-known/farcaster.json";
+const payload = (domain) => Buffer.from(JSON.stringify({ domain })).toString("base64url");
+
+const manifest = (app = {}, accountAssociation = { header: "h", payload: payload("app.example.com"), signature: "s" }) => ({
+  path: MANIFEST,
+  content: JSON.stringify({
+    accountAssociation,
+    miniapp: {
+      version: "1",
+      name: "Demo",
+      homeUrl: "https://app.example.com",
+      iconUrl: "https://app.example.com/icon.svg",
+      splashBackgroundColor: "#f5f0ec",
+      primaryCategory: "games",
+      tags: ["demo"],
+      ...app
+    }
+  }, null, 2)
+});
+
+const embed = (value = { version: "1", imageUrl: "https://app.example.com/embed.png", button: { title: "Open", action: { type: "launch_miniapp", name: "Demo", url: "https://app.example.com" } } }, tag = "fc:miniapp") => ({
+  path: "src/app/layout.tsx",
+  content: [
+    `export const metadata = { other: { "${tag}": JSON.stringify(${JSON.stringify(value)}) } };`,
+    "export default function RootLayout({ children }) { return <html><body>{children}</body></html>; }"
+  ].join("\n")
+});
+
+const page = (directive = '"use client";') => ({
+  path: "src/app/page.tsx",
+  content: [
+    directive,
+    'import { useEffect } from "react";',
+    'import { sdk } from "@farcaster/miniapp-sdk";',
+    "export default function Page() { useEffect(() => { sdk.actions.ready(); }, []); return <main />; }"
+  ].join("\n")
+});
+
+const icon = (width = 1024, height = 1024) => ({ path: "public/icon.svg", content: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"></svg>` });
+
+const project = (overrides = {}) => Object.values({ manifest: manifest(), embed: embed(), page: page(), icon: icon(), ...overrides }).filter(Boolean);
+const rules = (diagnostics) => diagnostics.map((d) => d.rule);
+const validate = (files) => new FarcasterValidator().validate(files);
+
+test("a complete miniapp passes every check", () => {
+  assert.deepEqual(validate(project()), { errors: [], warnings: [], info: [] });
+});
+
+test("a missing manifest is a warning, one served by a route handler can't be checked", () => {
+  assert.deepEqual(rules(validate(project({ manifest: null })).warnings), ["manifest-missing"]);
+
+  const route = { path: "src/app/.well-known/farcaster.json/route.ts", content: "export function GET() {}" };
+  const { warnings, info } = validate(project({ manifest: route }));
+  assert.deepEqual([rules(warnings), rules(info)], [[], ["manifest-dynamic"]]);
+});
+
+test("invalid JSON is reported where the parser stopped", () => {
+  const { errors } = validate(project({ manifest: { path: MANIFEST, content: '{\n  "miniapp": {\n    "name": "Demo",,\n  }\n}' } }));
+  assert.deepEqual(rules(errors), ["manifest-json"]);
+  assert.equal(errors[0].line, 3);
+});
+
+test("required fields, lengths, colors, categories and tags are checked", () => {
+  const { errors, warnings } = validate(project({
+    manifest: manifest({
+      version: "2",
+      iconUrl: undefined,
+      name: "A name that is far longer than thirty-two characters",
+      splashBackgroundColor: "beige",
+      primaryCategory: "memes",
+      tags: ["Not Valid"],
+      screenshotUrls: ["https://cdn.example.com/1.png", "https://cdn.example.com/2.png", "https://cdn.example.com/3.png", "https://cdn.example.com/4.png"]
+    })
+  }));
+
+  assert.deepEqual(errors.map((e) => e.message), [
+    "The Farcaster manifest is missing the required field miniapp.iconUrl",
+    'miniapp.version must be "1"',
+    "miniapp.name is 52 characters, the limit is 32",
+    'miniapp.splashBackgroundColor must be a hex color like "#f5f0ec"'
+  ]);
+  assert.deepEqual(rules(warnings), ["manifest-invalid-field", "manifest-invalid-field", "manifest-invalid-field"]);
+  // Reported on the offending key
+  assert.equal(errors[2].line, 9);
+});
+
+test("a manifest without a miniapp or frame section is an error", () => {
+  const { errors } = validate(project({ manifest: { path: MANIFEST, content: '{ "accountAssociation": {} }' } }));
+  assert.deepEqual(errors.map((e) => e.message), ['The Farcaster manifest has no "miniapp" (or legacy "frame") section']);
+});
+
+test("URLs must be absolute https, and localhost can't be reached by clients", () => {
+  const { errors, warnings } = validate(project({
+    manifest: manifest({ homeUrl: "http://app.example.com", iconUrl: "/icon.svg", webhookUrl: "https://localhost/api/webhook" })
+  }));
+  assert.deepEqual(errors.map((e) => e.message), [
+    "miniapp.homeUrl must use https (http://app.example.com)",
+    'miniapp.iconUrl must be an absolute URL, got "/icon.svg"'
+  ]);
+  assert.deepEqual(warnings.map((w) => w.message), ["miniapp.webhookUrl points at localhost - Farcaster clients can't reach it"]);
+});
+
+test("accountAssociation must be signed for the homeUrl domain", () => {
+  const other = validate(project({ manifest: manifest({}, { header: "h", payload: payload("other.example.com"), signature: "s" }) }));
+  assert.deepEqual(rules(other.errors), ["manifest-home-url"]);
+  assert.match(other.errors[0].message, /signed for other\.example\.com, but homeUrl is on app\.example\.com/);
+
+  const garbled = validate(project({ manifest: manifest({}, { header: "h", payload: "not json", signature: "s" }) }));
+  assert.deepEqual(garbled.errors.map((e) => e.message), ["accountAssociation.payload is not base64url-encoded JSON"]);
+
+  const unsigned = validate(project({ manifest: manifest({}, null) }));
+  assert.deepEqual(rules(unsigned.warnings), ["manifest-account-association"]);
+});
+
+test("images on the app's domain must exist in public/ with the expected aspect ratio", () => {
+  assert.deepEqual(validate(project({ icon: icon(1200, 630) })).warnings.map((w) => w.message), [
+    "miniapp.iconUrl is 1200x630, expected a 1024x1024 image (aspect ratio 1.00:1)"
+  ]);
+  assert.deepEqual(rules(validate(project({ icon: null })).warnings), ["manifest-image"]);
+  // Images on other hosts are not looked up
+  assert.deepEqual(validate(project({ icon: null, manifest: manifest({ iconUrl: "https://cdn.example.com/icon.png" }) })).warnings, []);
+});
+
+test("embeds are checked for required keys, action types and their launch URL's origin", () => {
+  const { errors, warnings } = validate(project({
+    embed: embed({ version: "2", button: { title: "x".repeat(40), action: { type: "launch_frame", url: "https://elsewhere.example.com" } } })
+  }));
+  assert.deepEqual(errors.map((e) => e.message), [
+    'fc:miniapp embed: version must be "1"',
+    "fc:miniapp embed: imageUrl is required",
+    "fc:miniapp embed: button.title is 40 characters, the limit is 32",
+    'fc:miniapp embed: button.action.type must be "launch_miniapp" or "view_token"'
+  ]);
+  assert.equal(errors[0].file, "src/app/layout.tsx");
+  assert.deepEqual(rules(warnings), ["manifest-home-url"]);
+});
+
+test("a legacy fc:frame embed is accepted with a hint, and runtime values are skipped", () => {
+  const legacy = validate(project({
+    embed: embed({ version: "next", imageUrl: "https://app.example.com/embed.png", button: { title: "Open", action: { type: "launch_frame", url: "https://app.example.com" } } }, "fc:frame")
+  }));
+  assert.deepEqual([legacy.errors, legacy.warnings, rules(legacy.info)], [[], [], ["embed-legacy"]]);
+
+  const runtime = {
+    path: "src/app/layout.tsx",
+    content: 'export const metadata = { other: { "fc:miniapp": buildEmbed(process.env.URL) } };\nexport default function RootLayout({ children }) { return children; }'
+  };
+  assert.deepEqual(validate(project({ embed: runtime })), { errors: [], warnings: [], info: [] });
+});
+
+test("a <meta> tag embed is read from JSX", () => {
+  const meta = {
+    path: "src/app/layout.tsx",
+    content: 'export default function RootLayout({ children }) { return <html><head><meta name="fc:miniapp" content=\'{"version":"1","button":{"title":"Open"}}\' /></head><body>{children}</body></html>; }'
+  };
+  assert.deepEqual(validate(project({ embed: meta })).errors.map((e) => e.message), ["fc:miniapp embed: imageUrl is required"]);
+});
+
+test("a missing embed is a warning only when the root layout was checked", () => {
+  const layout = { path: "src/app/layout.tsx", content: "export default function RootLayout({ children }) { return children; }" };
+  assert.deepEqual(rules(validate(project({ embed: layout })).warnings), ["embed-missing"]);
+  assert.deepEqual(rules(validate(project({ embed: null })).info), ["embed-missing"]);
+});
+
+test("sdk.actions.ready() must be called, from a client module", () => {
+  const server = validate(project({ page: page("") }));
+  assert.deepEqual(rules(server.errors), ["sdk-ready-server"]);
+
+  const never = { path: "src/app/page.tsx", content: "export default function Page() { return <main />; }" };
+  assert.deepEqual(rules(validate(project({ page: never })).errors), ["sdk-ready-missing"]);
+
+  // Without the root layout or page, the call may be in a file that wasn't submitted
+  const partial = validate([manifest(), icon(), { path: "src/components/Button.tsx", content: "export const Button = () => null;" }]);
+  assert.deepEqual([rules(partial.errors), rules(partial.warnings)], [[], ["sdk-ready-missing"]]);
+});
+
+test("the boilerplate's manifest and sources count unless the project overrides them", (t) => {
+  const boilerplateDir = mkdtempSync(path.join(os.tmpdir(), "farcaster-boilerplate-"));
+  t.after(() => rmSync(boilerplateDir, { recursive: true, force: true }));
+  for (const file of project()) {
+    mkdirSync(path.join(boilerplateDir, path.dirname(file.path)), { recursive: true });
+    writeFileSync(path.join(boilerplateDir, file.path), file.content);
+  }
+
+  const validator = new FarcasterValidator({ boilerplateDir });
+  assert.deepEqual(validator.validate([{ path: "src/components/Button.tsx", content: "export const Button = () => null;" }]), { errors: [], warnings: [], info: [] });
+  assert.deepEqual(rules(validator.validate([page("")]).errors), ["sdk-ready-server"]);
+});
+
+test("imageSize reads PNG, GIF, JPEG and SVG headers", () => {
+  const png = Buffer.alloc(24);
+  png.writeUInt32BE(0x89504e47, 0);
+  png.writeUInt32BE(1200, 16);
+  png.writeUInt32BE(630, 20);
+  assert.deepEqual(imageSize(png), { width: 1200, height: 630 });
+
+  const gif = Buffer.from("GIF89a\x20\x03\x58\x02", "latin1");
+  assert.deepEqual(imageSize(gif), { width: 800, height: 600 });
+
+  // SOI, an APP0 segment, then SOF0 with height 200 and width 300
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0xc8, 0x01, 0x2c, 0x03, 0x00, 0x00]);
+  assert.deepEqual(imageSize(jpeg), { width: 300, height: 200 });
+
+  assert.deepEqual(imageSize(Buffer.from('<svg viewBox="0 0 1284 2778"></svg>')), { width: 1284, height: 2778 });
+  assert.equal(imageSize(Buffer.from("plain text")), null);
+});
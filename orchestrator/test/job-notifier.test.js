@@ -0,0 +1,100 @@
+// job-notifier.test.js - Signed job event deliveries to a local callback receiver
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { JobNotifier, signPayload } from "../job-notifier.js";
+
+let server;
+let url;
+let received = [];
+let answer = 200;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = answer;
+      res.end(answer === 200 ? "ok" : "nope");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => server.close());
+
+test("signPayload is HMAC-SHA256 over timestamp.body", () => {
+  const expected = crypto.createHmac("sha256", "s3cret").update('1700000000000.{"a":1}').digest("hex");
+  assert.equal(signPayload("s3cret", "1700000000000", '{"a":1}'), expected);
+  assert.notEqual(signPayload("other", "1700000000000", '{"a":1}'), expected);
+  assert.notEqual(signPayload("s3cret", "1700000000001", '{"a":1}'), expected);
+});
+
+test("deliver posts the event with a signature the receiver can verify", async () => {
+  received = [];
+  answer = 200;
+  const notifier = new JobNotifier({ urls: [url], secret: "s3cret" });
+  const payload = notifier.createEvent("completed", { projectId: "p1", deploymentId: "d1" });
+  await notifier.deliver(url, payload);
+
+  const [{ headers, body }] = received;
+  assert.deepEqual(JSON.parse(body), payload);
+  assert.equal(headers["content-type"], "application/json");
+  assert.equal(headers["x-orchestrator-event"], "completed");
+  assert.equal(headers["x-orchestrator-event-id"], payload.id);
+  assert.equal(headers["x-orchestrator-signature"], `sha256=${signPayload("s3cret", headers["x-orchestrator-timestamp"], body)}`);
+  assert.match(payload.id, /^evt_/);
+  assert.deepEqual(payload.data, { projectId: "p1", deploymentId: "d1" });
+});
+
+test("without a secret, events are sent unsigned", async () => {
+  received = [];
+  answer = 200;
+  const notifier = new JobNotifier({ urls: [url] });
+  await notifier.deliver(url, notifier.createEvent("started", {}));
+  assert.equal("x-orchestrator-signature" in received[0].headers, false);
+});
+
+test("a 4xx answer is a permanent error, a 5xx answer can be retried", async () => {
+  const notifier = new JobNotifier({ urls: [url], secret: "s3cret" });
+  const payload = notifier.createEvent("failed", {});
+
+  answer = 410;
+  await assert.rejects(notifier.deliver(url, payload), (error) => {
+    assert.match(error.message, /answered 410 nope/);
+    return error.permanent === true;
+  });
+  answer = 503;
+  await assert.rejects(notifier.deliver(url, payload), (error) => error.permanent === false);
+});
+
+test("with an outbox, notify queues one message per URL and the outbox delivers through deliver", async () => {
+  received = [];
+  answer = 200;
+  const queued = [];
+  const outbox = {
+    handler: null,
+    register(kind, handler) {
+      this.handler = handler;
+    },
+    async enqueue(kind, payload, options) {
+      queued.push({ kind, payload, options });
+    }
+  };
+  const notifier = new JobNotifier({ urls: [url, `${url}/second`], secret: "s3cret", outbox });
+
+  const payload = notifier.notify("stage_changed", { projectId: "p1", stage: "build" });
+  assert.deepEqual(queued.map((q) => [q.kind, q.payload.url, q.options.label]), [
+    ["job_event", url, "[p1]"],
+    ["job_event", `${url}/second`, "[p1]"]
+  ]);
+  assert.equal(queued[0].payload.event, payload);
+
+  await outbox.handler({ payload: queued[0].payload });
+  assert.deepEqual(JSON.parse(received[0].body), payload);
+  assert.equal(new JobNotifier().notify("started", {}), null);
+});
@@ -0,0 +1,130 @@
+// outbox.test.js - Delivery, backoff, dead-lettering, replay and reload of outbox messages
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Outbox } from "../outbox.js";
+
+function outbox(t, options) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+  const box = new Outbox(dir, options);
+  t.after(() => {
+    clearTimeout(box.timer);
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return box;
+}
+
+const stored = (box) => readdirSync(box.rootDir).filter((file) => file.endsWith(".json"));
+
+test("backoff doubles from 5s with ±20% jitter and is capped at an hour", () => {
+  for (let i = 0; i < 20; i++) {
+    const first = Outbox.backoff(1);
+    assert.ok(first >= 4000 && first <= 6000, `attempt 1: ${first}`);
+    const fourth = Outbox.backoff(4);
+    assert.ok(fourth >= 32000 && fourth <= 48000, `attempt 4: ${fourth}`);
+    assert.ok(Outbox.backoff(30) <= 60 * 60 * 1000 * 1.2);
+  }
+});
+
+test("a delivered message is removed from memory and disk", async (t) => {
+  const box = outbox(t);
+  const delivered = [];
+  box.register("ping", async (message) => delivered.push(message.payload));
+
+  await box.enqueue("ping", { n: 1 });
+  assert.deepEqual(delivered, [{ n: 1 }]);
+  assert.deepEqual(box.list(), []);
+  assert.deepEqual(stored(box), []);
+});
+
+test("a failed attempt is persisted as pending with its next retry time", async (t) => {
+  const box = outbox(t);
+  box.register("ping", async () => {
+    throw new Error("503 Service Unavailable");
+  });
+
+  const before = Date.now();
+  const message = await box.enqueue("ping", { n: 1 }, { label: "[p1]" });
+  assert.equal(message.status, "pending");
+  assert.equal(message.attempts, 1);
+  assert.equal(message.lastError, "503 Service Unavailable");
+  assert.ok(message.nextAttemptAt - before >= 4000);
+
+  const [file] = stored(box);
+  assert.deepEqual(JSON.parse(readFileSync(path.join(box.rootDir, file), "utf8")), message);
+  assert.notEqual(box.timer, null);
+});
+
+test("a message is dead after maxAttempts failures", async (t) => {
+  const box = outbox(t, { maxAttempts: 2 });
+  box.register("ping", async () => {
+    throw new Error("timeout");
+  });
+
+  const message = await box.enqueue("ping", {});
+  message.nextAttemptAt = 0;
+  await box.retryDue();
+
+  assert.equal(message.attempts, 2);
+  assert.equal(message.status, "dead");
+  assert.equal(message.nextAttemptAt, null);
+  assert.deepEqual(box.list("dead"), [message]);
+  assert.deepEqual(box.list("pending"), []);
+
+  // Dead messages are not retried
+  await box.retryDue();
+  assert.equal(message.attempts, 2);
+});
+
+test("a permanent error is dead right away", async (t) => {
+  const box = outbox(t);
+  box.register("ping", async () => {
+    const error = new Error("answered 404");
+    error.permanent = true;
+    throw error;
+  });
+
+  const message = await box.enqueue("ping", {});
+  assert.deepEqual([message.status, message.attempts, message.nextAttemptAt], ["dead", 1, null]);
+});
+
+test("replay retries dead messages and reports each result", async (t) => {
+  const box = outbox(t, { maxAttempts: 1 });
+  let fail = true;
+  box.register("ping", async () => {
+    if (fail) throw new Error("down");
+  });
+
+  const first = await box.enqueue("ping", { n: 1 });
+  const second = await box.enqueue("ping", { n: 2 });
+  assert.equal(box.list("dead").length, 2);
+
+  assert.deepEqual(await box.replay([first.id, "msg_unknown"]), [{ id: first.id, delivered: false, error: "down" }]);
+  fail = false;
+  assert.deepEqual(await box.replay(), [
+    { id: first.id, delivered: true, error: null },
+    { id: second.id, delivered: true, error: null }
+  ]);
+  assert.deepEqual(stored(box), []);
+});
+
+test("undelivered messages are reloaded from disk, skipping unreadable files", async (t) => {
+  const box = outbox(t);
+  box.register("ping", async () => {
+    throw new Error("down");
+  });
+  const message = await box.enqueue("ping", { n: 1 });
+  writeFileSync(path.join(box.rootDir, "broken.json"), "{");
+
+  const reloaded = new Outbox(box.rootDir);
+  t.after(() => clearTimeout(reloaded.timer));
+  await reloaded.load();
+  assert.deepEqual(reloaded.list(), [message]);
+
+  // Messages without a handler stay queued
+  assert.equal(await reloaded.attempt(reloaded.list()[0]), false);
+  assert.equal(existsSync(box.messagePath(message.id)), true);
+});
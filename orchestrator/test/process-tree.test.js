@@ -0,0 +1,62 @@
+// process-tree.test.js - Killing a process together with its descendants
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { processTable, killProcessTree } from "../process-tree.js";
+
+// Zombies count as gone: they are dead, just not reaped by their (new) parent yet
+function alive(pid) {
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, "utf8");
+    return stat.slice(stat.lastIndexOf(")") + 2, stat.lastIndexOf(")") + 3) !== "Z";
+  } catch {
+    return false;
+  }
+}
+
+// Signals are delivered asynchronously: give the killed processes a moment to go away
+async function survivors(pids) {
+  for (let i = 0; i < 50 && pids.some(alive); i++) await new Promise((resolve) => setTimeout(resolve, 20));
+  return pids.filter(alive);
+}
+
+// Start a shell running `count` background sleeps and wait until they exist
+async function shellWithChildren(t, script, count) {
+  const shell = spawn("sh", ["-c", script], { stdio: "ignore" });
+  const exited = new Promise((resolve) => shell.once("exit", resolve));
+  t.after(() => shell.kill("SIGKILL"));
+
+  for (let i = 0; i < 100; i++) {
+    const children = [...processTable()].filter(([, parent]) => parent === shell.pid).map(([pid]) => pid);
+    if (children.length >= count) return { shell, exited, children };
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`sh did not start ${count} children`);
+}
+
+test("processTable maps every pid to its parent", () => {
+  const table = processTable();
+  assert.equal(table.get(process.pid), process.ppid);
+});
+
+test("the process and all of its descendants are terminated", { skip: process.platform !== "linux" }, async (t) => {
+  const { shell, exited, children } = await shellWithChildren(t, "sleep 30 & sleep 30 & wait", 2);
+
+  await killProcessTree(shell.pid, 200);
+  await exited;
+  assert.equal(shell.signalCode, "SIGTERM");
+  assert.deepEqual(await survivors(children), []);
+});
+
+test("processes that ignore SIGTERM are killed after the grace period", { skip: process.platform !== "linux" }, async (t) => {
+  const { shell, exited, children } = await shellWithChildren(t, 'trap "" TERM; sleep 30 & wait', 1);
+
+  const started = Date.now();
+  await killProcessTree(shell.pid, 300);
+  assert.ok(Date.now() - started >= 290);
+  await exited;
+  assert.equal(shell.signalCode, "SIGKILL");
+  assert.deepEqual(await survivors(children), []);
+});
@@ -0,0 +1,117 @@
+// runtime-rules.test.js - Server Component detection and the runtime rules run through the registry
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildModuleGraph, runtimeRules } from "../runtime-rules.js";
+
+const rulesOf = (diagnostics) => diagnostics.map((d) => `${d.rule} ${d.file}:${d.line}`);
+
+test("buildModuleGraph marks modules reachable from app entries until a 'use client' boundary", () => {
+  const modules = buildModuleGraph([
+    { path: "src/app/page.tsx", content: "import Header from '@/components/Header';\nimport Button from './Button';\nexport default function Page() { return <Header />; }" },
+    { path: "src/app/Button.tsx", content: "'use client';\nimport { helper } from '../lib/helper';\nexport default function Button() { return null; }" },
+    { path: "src/components/Header.tsx", content: "import type { Props } from '../lib/types';\nexport default function Header() { return null; }" },
+    { path: "src/lib/helper.ts", content: "export const helper = 1;" },
+    { path: "src/lib/types.ts", content: "export type Props = {};" },
+    { path: "src/app/actions.ts", content: "'use server';\nexport async function save() {}" },
+    { path: "README.md", content: "# app" }
+  ]);
+
+  const server = [...modules.values()].filter((m) => m.isServer).map((m) => m.path).sort();
+  assert.deepEqual(server, ["src/app/page.tsx", "src/components/Header.tsx"]);
+  assert.equal(modules.get("src/app/Button.tsx").isClient, true);
+  assert.equal(modules.get("src/app/actions.ts").isServerAction, true);
+  assert.equal(modules.has("README.md"), false);
+  assert.deepEqual(modules.get("src/app/page.tsx").imports, ["src/components/Header.tsx", "src/app/Button.tsx"]);
+});
+
+test("hooks, event handlers and browser globals are errors in Server Components", () => {
+  const { errors, warnings } = runtimeRules.run([{
+    path: "src/app/page.tsx",
+    content: [
+      "import { useState } from 'react';",
+      "export default function Page() {",
+      "  const [count] = useState(0);",
+      "  const width = window.innerWidth;",
+      "  return <button onClick={() => null}>{count}{width}</button>;",
+      "}"
+    ].join("\n")
+  }]);
+
+  assert.deepEqual(rulesOf(errors), [
+    "client-only-hooks src/app/page.tsx:3",
+    "server-event-handlers src/app/page.tsx:5",
+    "window-in-server-component src/app/page.tsx:4"
+  ]);
+  assert.equal(warnings.length, 0);
+  assert.deepEqual(
+    [errors[0].column, errors[0].endLine, errors[0].endColumn, errors[0].category, errors[0].source],
+    [19, 3, 27, "runtime", "runtime-rules"]
+  );
+});
+
+test("client components, typeof guards and shadowed globals are not flagged", () => {
+  const { errors } = runtimeRules.run([
+    { path: "src/app/page.tsx", content: "'use client';\nimport { useState } from 'react';\nexport default function Page() { useState(0); return <div onClick={() => {}} />; }" },
+    {
+      path: "src/app/layout.tsx",
+      content: [
+        "export default function Layout({ children, document }) {",
+        "  const hasWindow = typeof window !== 'undefined';",
+        "  return <html lang=\"en\" onLoad=\"init()\">{children}{document}{hasWindow}</html>;",
+        "}"
+      ].join("\n")
+    }
+  ]);
+  assert.deepEqual(errors, []);
+});
+
+test("effects that register listeners need a cleanup, in every module", () => {
+  const { warnings } = runtimeRules.run([{
+    path: "src/components/Clock.tsx",
+    content: [
+      "'use client';",
+      "import { useEffect } from 'react';",
+      "export function Clock() {",
+      "  useEffect(() => { setInterval(() => {}, 1000); }, []);",
+      "  useEffect(() => { const id = setInterval(() => {}, 1000); return () => clearInterval(id); }, []);",
+      "  useEffect(() => { window.addEventListener('resize', onResize); }, []);",
+      "  useEffect(() => () => {}, []);",
+      "  return null;",
+      "}"
+    ].join("\n")
+  }]);
+
+  assert.deepEqual(rulesOf(warnings), [
+    "effect-listener-cleanup src/components/Clock.tsx:4",
+    "effect-listener-cleanup src/components/Clock.tsx:6"
+  ]);
+  assert.match(warnings[0].suggestion, /clearInterval/);
+  assert.match(warnings[1].message, /^addEventListener\(\) in an effect without a cleanup function/);
+});
+
+test("severities can be overridden or switched off per rule", () => {
+  const files = [{ path: "src/app/page.tsx", content: "export default function Page() { useRouter(); return <a onClick={go} />; }" }];
+  const { errors, warnings, info } = runtimeRules.run(files, { "client-only-hooks": "info", "server-event-handlers": "off" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(rulesOf(info), ["client-only-hooks src/app/page.tsx:1"]);
+  assert.equal(info[0].severity, "info");
+});
+
+test("unknown rules and severities are ignored with a runtime-config warning", () => {
+  const { warnings } = runtimeRules.run([], { "no-such-rule": "error", "client-only-hooks": "fatal" });
+  assert.deepEqual(warnings.map((w) => [w.category, w.message]), [
+    ["runtime-config", 'Ignoring runtime rule setting no-such-rule: "error"'],
+    ["runtime-config", 'Ignoring runtime rule setting client-only-hooks: "fatal"']
+  ]);
+});
+
+test("list describes every registered rule", () => {
+  assert.deepEqual(runtimeRules.list().map(({ id, appliesTo }) => [id, appliesTo]), [
+    ["client-only-hooks", "server"],
+    ["server-event-handlers", "server"],
+    ["window-in-server-component", "server"],
+    ["effect-listener-cleanup", "all"]
+  ]);
+});
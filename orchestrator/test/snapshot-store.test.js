@@ -0,0 +1,48 @@
+// snapshot-store.test.js - Deployment file snapshots used for rollback
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SnapshotStore } from "../snapshot-store.js";
+
+function store(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "snapshot-store-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return new SnapshotStore(path.join(dir, "snapshots"));
+}
+
+test("a saved snapshot loads back as a path -> content map", async (t) => {
+  const snapshots = store(t);
+  const files = await snapshots.save("dep_1", [{ path: "src/a.ts", content: "a" }, { path: "package.json", content: "{}" }]);
+  assert.deepEqual(files, { "src/a.ts": "a", "package.json": "{}" });
+  assert.deepEqual(await snapshots.load("dep_1"), files);
+  assert.equal(snapshots.has("dep_1"), true);
+  assert.deepEqual(readdirSync(snapshots.rootDir), ["dep_1.json"]);
+});
+
+test("a patch is layered on top of its base snapshot", async (t) => {
+  const snapshots = store(t);
+  const base = await snapshots.save("dep_1", [{ path: "src/a.ts", content: "a" }, { path: "src/b.ts", content: "b" }]);
+  await snapshots.save("dep_2", [{ path: "src/b.ts", content: "b2" }, { path: "src/c.ts", content: "c" }], base);
+
+  assert.deepEqual(await snapshots.load("dep_2"), { "src/a.ts": "a", "src/b.ts": "b2", "src/c.ts": "c" });
+  assert.deepEqual(await snapshots.load("dep_1"), base);
+});
+
+test("unknown and removed snapshots load as null", async (t) => {
+  const snapshots = store(t);
+  assert.equal(await snapshots.load("dep_missing"), null);
+
+  await snapshots.save("dep_1", [{ path: "a", content: "a" }]);
+  await snapshots.remove("dep_1");
+  await snapshots.remove("dep_1");
+  assert.equal(snapshots.has("dep_1"), false);
+  assert.equal(await snapshots.load("dep_1"), null);
+});
+
+test("deployment ids can't point outside the snapshot dir", (t) => {
+  const snapshots = store(t);
+  assert.equal(snapshots.snapshotPath("../../etc/passwd"), path.join(snapshots.rootDir, "passwd.json"));
+});
@@ -0,0 +1,131 @@
+// solidity-compiler.test.js - Release list and compiler downloads from a local binaries server, solc error mapping
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+const build = "module.exports = 'soljson';";
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const releaseList = {
+  builds: [
+    { path: "soljson-v0.8.1+commit.df193b15.js", version: "0.8.1", sha256: `0x${sha256(build)}` },
+    { path: "soljson-v0.8.2+commit.661d1103.js", version: "0.8.2", sha256: `0x${sha256("something else")}` }
+  ],
+  releases: {
+    "0.8.1": "soljson-v0.8.1+commit.df193b15.js",
+    "0.8.2": "soljson-v0.8.2+commit.661d1103.js",
+    "0.8.3": "soljson-v0.8.3+commit.8d00100c.js"
+  }
+};
+
+let server;
+let listBody = JSON.stringify(releaseList);
+let SolidityCompiler;
+let parseReleaseList;
+let sourceRange;
+let mapSolcErrors;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/list.json") return res.end(listBody);
+    if (req.url.startsWith("/soljson-")) return res.end(build);
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // The binaries URL is read when the module loads
+  process.env.SOLC_BINARIES_URL = `http://127.0.0.1:${server.address().port}`;
+  ({ SolidityCompiler, parseReleaseList, sourceRange, mapSolcErrors } = await import("../solidity-compiler.js"));
+});
+
+after(() => server.close());
+
+function compiler(t) {
+  const cacheDir = mkdtempSync(path.join(os.tmpdir(), "solc-cache-"));
+  t.after(() => rmSync(cacheDir, { recursive: true, force: true }));
+  return new SolidityCompiler({ cacheDir });
+}
+
+test("parseReleaseList pairs every release with the sha256 of its build", () => {
+  assert.deepEqual(parseReleaseList(JSON.stringify(releaseList))["0.8.1"], {
+    file: "soljson-v0.8.1+commit.df193b15.js",
+    sha256: sha256(build)
+  });
+  assert.equal(parseReleaseList(JSON.stringify(releaseList))["0.8.3"].sha256, null);
+  assert.throws(() => parseReleaseList('{"builds": ['), SyntaxError);
+  assert.throws(() => parseReleaseList("{}"), /no releases/);
+});
+
+test("a build that matches its sha256 is cached", async (t) => {
+  const solc = compiler(t);
+  const releases = await solc.releases();
+  const target = await solc.download(releases["0.8.1"]);
+  assert.equal(target, path.join(solc.cacheDir, "soljson-v0.8.1+commit.df193b15.js"));
+  assert.equal(existsSync(target), true);
+});
+
+test("a build that does not match its sha256, or has none, is rejected and never cached", async (t) => {
+  const solc = compiler(t);
+  const releases = await solc.releases();
+  await assert.rejects(solc.download(releases["0.8.2"]), /does not match its sha256/);
+  await assert.rejects(solc.download(releases["0.8.3"]), /no sha256/);
+  assert.deepEqual(readdirSync(solc.cacheDir), ["list.json"]);
+});
+
+test("resolveCompiler falls back to the bundled solc when the build fails verification", async (t) => {
+  const solc = compiler(t);
+  const resolved = await solc.resolveCompiler(["=0.8.2"]);
+  assert.notEqual(resolved.version, "0.8.2");
+  assert.match(resolved.note, /No solc build matching =0\.8\.2 is available/);
+});
+
+test("a release list that can't be parsed is not cached", async (t) => {
+  const solc = compiler(t);
+  listBody = '{"builds": [';
+  t.after(() => { listBody = JSON.stringify(releaseList); });
+  assert.equal(await solc.releases(), null);
+  assert.equal(existsSync(path.join(solc.cacheDir, "list.json")), false);
+});
+
+test("a corrupt cached release list is ignored and removed", async (t) => {
+  const solc = compiler(t);
+  const listPath = path.join(solc.cacheDir, "list.json");
+  writeFileSync(listPath, '{"releases": {"0.8.1": "soljson');
+  assert.equal(await solc.releases(), null);
+  assert.equal(existsSync(listPath), false);
+  // Fetched again next time
+  assert.equal((await solc.releases())["0.8.1"].file, "soljson-v0.8.1+commit.df193b15.js");
+});
+
+test("sourceRange converts solc byte offsets to 1-based character positions", () => {
+  const content = "// héllo\ncontract A {}\n";
+  const start = Buffer.byteLength("// héllo\n");
+  assert.deepEqual(sourceRange(content, start, start + "contract".length), { line: 2, column: 1, endLine: 2, endColumn: 9 });
+});
+
+test("mapSolcErrors maps solc errors to diagnostics", () => {
+  const content = "pragma solidity ^0.8.0;\ncontract A { uint x = true; }\n";
+  const start = content.indexOf("true");
+  const mapped = mapSolcErrors([
+    {
+      severity: "error",
+      type: "TypeError",
+      message: "Type bool is not implicitly convertible to expected type uint256.",
+      formattedMessage: "TypeError: Type bool is not implicitly convertible",
+      sourceLocation: { file: "contracts/A.sol", start, end: start + 4 }
+    },
+    { severity: "warning", type: "Warning", message: "SPDX license identifier not provided", sourceLocation: { file: "contracts/A.sol", start: -1, end: -1 } }
+  ], (file) => (file === "contracts/A.sol" ? content : null), ["contracts/A.sol"]);
+
+  assert.equal(mapped.errors.length, 1);
+  assert.deepEqual(
+    [mapped.errors[0].file, mapped.errors[0].line, mapped.errors[0].column, mapped.errors[0].endColumn, mapped.errors[0].category, mapped.errors[0].rule],
+    ["contracts/A.sol", 2, 23, 27, "solidity", "TypeError"]
+  );
+  assert.equal(mapped.warnings.length, 1);
+  assert.equal(mapped.warnings[0].line, 1);
+});
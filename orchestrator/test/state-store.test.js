@@ -0,0 +1,83 @@
+// state-store.test.js - Journal replay, truncated entries and compaction
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { StateStore } from "../state-store.js";
+
+function stateDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "state-store-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const journalLines = (dir) => readFileSync(path.join(dir, "journal.jsonl"), "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+test("a fresh store loads empty and creates its directory", async (t) => {
+  const dir = path.join(stateDir(t), "nested");
+  const { jobs, previews } = await new StateStore(dir).load();
+  assert.equal(jobs.size, 0);
+  assert.equal(previews.size, 0);
+  assert.deepEqual(journalLines(dir), []);
+});
+
+test("the last entry for each id wins on replay, and deletions remove it", async (t) => {
+  const dir = stateDir(t);
+  const store = new StateStore(dir);
+  await store.load();
+
+  store.recordJob("d1", { status: "building" });
+  store.recordJob("d1", { status: "completed" });
+  store.recordJob("d2", { status: "building" });
+  store.removeJob("d2");
+  store.recordPreview("p1", { dir: "/previews/p1", status: "running", port: 3001, proc: {}, logs: [], lastHit: 5 });
+  store.recordPreview("p2", { dir: "/previews/p2", status: "running" });
+  store.removePreview("p2");
+  await store.flush();
+
+  const { jobs, previews } = await new StateStore(dir).load();
+  assert.deepEqual([...jobs], [["d1", { status: "completed" }]]);
+  // Only the durable fields survive: the process, port and logs belonged to the old process
+  assert.deepEqual([...previews], [["p1", { dir: "/previews/p1", status: "running", lastHit: 5 }]]);
+});
+
+test("unreadable lines, like a truncated last append, are skipped", async (t) => {
+  const dir = stateDir(t);
+  writeFileSync(path.join(dir, "journal.jsonl"), [
+    JSON.stringify({ type: "job", id: "d1", value: { status: "completed" } }),
+    JSON.stringify({ type: "unknown", id: "x", value: {} }),
+    JSON.stringify({ type: "job", value: { status: "no id" } }),
+    "",
+    '{"type":"job","id":"d2","val'
+  ].join("\n"));
+
+  const { jobs, previews } = await new StateStore(dir).load();
+  assert.deepEqual([...jobs.keys()], ["d1"]);
+  assert.equal(previews.size, 0);
+});
+
+test("loading compacts the journal to one entry per live job and preview", async (t) => {
+  const dir = stateDir(t);
+  const store = new StateStore(dir);
+  await store.load();
+  for (let i = 0; i < 5; i++) store.recordJob("d1", { status: `step ${i}` });
+  store.recordPreview("p1", { dir: "/previews/p1" });
+  await store.flush();
+  assert.equal(journalLines(dir).length, 6);
+
+  await new StateStore(dir).load();
+  assert.deepEqual(journalLines(dir), [
+    { type: "job", id: "d1", value: { status: "step 4" } },
+    { type: "preview", id: "p1", value: { dir: "/previews/p1" } }
+  ]);
+});
+
+test("the returned maps are copies of the store's state", async (t) => {
+  const dir = stateDir(t);
+  const store = new StateStore(dir);
+  const { jobs } = await store.load();
+  jobs.set("d1", { status: "completed" });
+  assert.equal(store.jobs.has("d1"), false);
+});
@@ -0,0 +1,69 @@
+// validation-cache.test.js - File set hashes and the LRU of stage results
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { ValidationCache, hashFiles, hashBoilerplate } from "../validation-cache.js";
+
+test("hashFiles ignores file order but not paths or contents", () => {
+  const files = [{ path: "a.ts", content: "a" }, { path: "b.ts", content: "b" }];
+  assert.equal(hashFiles(files), hashFiles([...files].reverse()));
+  assert.notEqual(hashFiles(files), hashFiles([{ path: "a.ts", content: "a" }, { path: "c.ts", content: "b" }]));
+  assert.notEqual(hashFiles(files), hashFiles([{ path: "a.ts", content: "a" }, { path: "b.ts", content: "b " }]));
+  assert.equal(hashFiles([{ path: "a.ts" }]), hashFiles([{ path: "a.ts", content: "" }]));
+});
+
+test("hashBoilerplate changes with the listed config files only", async (t) => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "validation-cache-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(path.join(dir, "package.json"), '{"dependencies":{}}');
+
+  const before = await hashBoilerplate(dir, ["package.json", "tsconfig.json"]);
+  writeFileSync(path.join(dir, "README.md"), "docs");
+  assert.equal(await hashBoilerplate(dir, ["package.json", "tsconfig.json"]), before);
+
+  writeFileSync(path.join(dir, "tsconfig.json"), "{}");
+  assert.notEqual(await hashBoilerplate(dir, ["package.json", "tsconfig.json"]), before);
+});
+
+test("results are returned as copies and counted as hits and misses", () => {
+  const cache = new ValidationCache();
+  const key = cache.key("files", "boilerplate", "typescript");
+  assert.equal(key, cache.key("files", "boilerplate", "typescript"));
+  assert.notEqual(key, cache.key("files", "boilerplate", "build"));
+
+  assert.equal(cache.get(key), null);
+  const result = { errors: [{ message: "x" }], warnings: [] };
+  cache.set(key, result);
+  result.errors.push({ message: "added later" });
+
+  const cached = cache.get(key);
+  assert.deepEqual(cached, { errors: [{ message: "x" }], warnings: [] });
+  cached.errors.length = 0;
+  assert.equal(cache.get(key).errors.length, 1);
+  assert.deepEqual(cache.stats(), { entries: 1, hits: 2, misses: 1 });
+});
+
+test("the least recently used entry is evicted first", () => {
+  const cache = new ValidationCache({ maxEntries: 2 });
+  cache.set("a", { n: 1 });
+  cache.set("b", { n: 2 });
+  cache.get("a");
+  cache.set("c", { n: 3 });
+
+  assert.deepEqual([cache.get("a"), cache.get("b"), cache.get("c")], [{ n: 1 }, null, { n: 3 }]);
+});
+
+test("entries expire after the TTL", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  const cache = new ValidationCache({ ttlMs: 1000 });
+  cache.set("a", { n: 1 });
+
+  t.mock.timers.tick(1000);
+  assert.deepEqual(cache.get("a"), { n: 1 });
+  t.mock.timers.tick(1);
+  assert.equal(cache.get("a"), null);
+  assert.equal(cache.stats().entries, 0);
+});
@@ -0,0 +1,81 @@
+// validation-deadline.test.js - Stage deadlines: timeouts, stages that throw, and the processes they leave behind
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import os from "node:os";
+import { RailwayCompilationValidator } from "../validation.js";
+
+const validator = new RailwayCompilationValidator(os.tmpdir(), os.tmpdir(), os.tmpdir(), async () => {});
+const stage = { name: "build", label: "Build" };
+
+// Tracked child processes that never finish on their own
+const hangingRun = (spawned) => (cmd, args, { logs }) => {
+  const child = spawn(cmd, args);
+  spawned.push(child);
+  logs.track(child);
+  return new Promise(() => {});
+};
+
+const exited = (child) => child.exitCode !== null || child.signalCode !== null
+  ? Promise.resolve()
+  : new Promise((resolve) => child.once("exit", resolve));
+
+test("a stage that finishes in time returns its own result", async () => {
+  const result = await validator.runWithDeadline("p", stage, 1000, async () => ({ errors: [], warnings: [{ message: "w" }] }), async () => {});
+  assert.deepEqual(result, { errors: [], warnings: [{ message: "w" }] });
+});
+
+test("a stage past its deadline is stopped and reports a timeout", async () => {
+  const spawned = [];
+  let signal;
+  const result = await validator.runWithDeadline("p", stage, 200, async ({ runCommand: run, signal: stageSignal }) => {
+    signal = stageSignal;
+    return run("sleep", ["30"]);
+  }, hangingRun(spawned));
+
+  assert.equal(result.timedOut, true);
+  assert.deepEqual([result.errors[0].category, result.errors[0].rule, result.errors[0].stage], ["validation-timeout", "timeout", "build"]);
+  assert.equal(signal.aborted, true);
+  await exited(spawned[0]);
+  assert.notEqual(spawned[0].signalCode, null);
+});
+
+test("a stage that throws kills its processes and reports a stage error", async () => {
+  const spawned = [];
+  const result = await validator.runWithDeadline("p", stage, 10000, async ({ runCommand: run }) => {
+    run("sleep", ["30"]);
+    throw new Error("boom");
+  }, hangingRun(spawned));
+
+  assert.equal(result.failed, true);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(
+    [result.errors[0].category, result.errors[0].rule, result.errors[0].stage, result.errors[0].message],
+    ["validation-error", "stage-error", "build", "Build failed: boom"]
+  );
+  await exited(spawned[0]);
+  assert.notEqual(spawned[0].signalCode, null);
+});
+
+test("processes are also tracked on the caller's logs, and a cancelled caller starts no new ones", async () => {
+  const tracked = [];
+  const cancel = { logs: { cancelled: false, track: (child) => tracked.push(child) } };
+  const seen = [];
+  const runCommand = (cmd, args, { logs }) => {
+    seen.push(logs.cancelled);
+    const child = spawn(cmd, args);
+    logs.track(child);
+    return exited(child);
+  };
+
+  await validator.runWithDeadline("p", stage, 1000, async ({ runCommand: run }) => {
+    await run("true", []);
+    cancel.logs.cancelled = true;
+    await run("true", []);
+    return { errors: [], warnings: [] };
+  }, runCommand, cancel);
+
+  assert.equal(tracked.length, 2);
+  assert.deepEqual(seen, [false, true]);
+});
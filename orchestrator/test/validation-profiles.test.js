@@ -0,0 +1,106 @@
+// validation-profiles.test.js - Profile resolution: extends chains, app type overrides, aliases and defaults
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationProfiles, mergeValidationConfig } from "../validation-profiles.js";
+
+const profiles = new ValidationProfiles({
+  defaults: { farcaster: "base", web3: "strict" },
+  aliases: { old: "strict" },
+  profiles: {
+    base: {
+      description: "Base profile",
+      enableTypeScript: true,
+      runtimeRules: { "client-only-hooks": "warning", "effect-listener-cleanup": "off" },
+      stageTimeouts: { typescript: 1000 }
+    },
+    strict: {
+      extends: "base",
+      enableBuild: true,
+      runtimeRules: { "client-only-hooks": "error" },
+      appTypes: {
+        web3: { enableSolidity: true, stageTimeouts: { solidity: 5000 } }
+      }
+    }
+  }
+});
+
+test("mergeValidationConfig merges map settings key by key and replaces the rest", () => {
+  const merged = mergeValidationConfig(
+    { enableBuild: true, runtimeRules: { a: "error", b: "warning" } },
+    { enableBuild: false, runtimeRules: { b: "off" } }
+  );
+  assert.deepEqual(merged, { enableBuild: false, runtimeRules: { a: "error", b: "off" } });
+  assert.deepEqual(mergeValidationConfig({ enableBuild: true }, null), { enableBuild: true });
+});
+
+test("extends applies the base profile first, merging its map settings", () => {
+  const { name, config } = profiles.resolve("strict", "farcaster");
+  assert.equal(name, "strict");
+  assert.deepEqual(config, {
+    enableTypeScript: true,
+    enableBuild: true,
+    runtimeRules: { "client-only-hooks": "error", "effect-listener-cleanup": "off" },
+    stageTimeouts: { typescript: 1000 }
+  });
+});
+
+test("appTypes overrides are layered on top of the profile for that app type only", () => {
+  const web3 = profiles.resolve("strict", "web3").config;
+  assert.equal(web3.enableSolidity, true);
+  assert.deepEqual(web3.stageTimeouts, { typescript: 1000, solidity: 5000 });
+  assert.equal(profiles.resolve("strict", "farcaster").config.enableSolidity, undefined);
+});
+
+test("description, extends and appTypes are not part of the resolved config", () => {
+  const { config } = profiles.resolve("strict", "web3");
+  for (const key of ["description", "extends", "appTypes"]) assert.equal(key in config, false);
+});
+
+test("aliases resolve to their profile; unknown names resolve to null", () => {
+  assert.equal(profiles.has("old"), true);
+  assert.equal(profiles.resolve("old", "farcaster").name, "strict");
+  assert.equal(profiles.has("missing"), false);
+  assert.equal(profiles.has(true), false);
+  assert.equal(profiles.resolve("missing", "farcaster"), null);
+  assert.deepEqual(profiles.names(), ["base", "strict", "old"]);
+});
+
+test("defaultFor picks the app type's default and falls back to farcaster's", () => {
+  assert.equal(profiles.defaultFor("web3"), "strict");
+  assert.equal(profiles.defaultFor("farcaster"), "base");
+  assert.equal(profiles.defaultFor("other"), "base");
+});
+
+test("invalid configs are rejected", () => {
+  assert.throws(() => new ValidationProfiles({ profiles: { a: { extends: "b" } } }), /extends unknown profile b/);
+  assert.throws(() => new ValidationProfiles({ profiles: { a: {} }, defaults: { web3: "b" } }), /Default validation profile for web3 is unknown: b/);
+
+  const cycle = new ValidationProfiles({ profiles: { a: { extends: "b" }, b: { extends: "a" } } });
+  assert.throws(() => cycle.resolve("a", "farcaster"), /extends itself/);
+});
+
+test("the shipped profiles keep the stage sets of the old defaults", () => {
+  const shipped = ValidationProfiles.load();
+  assert.equal(shipped.defaultFor("farcaster"), "standard");
+  assert.equal(shipped.defaultFor("web3"), "standard");
+
+  assert.deepEqual(shipped.resolve("fast", "farcaster").config, {
+    enableTypeScript: true,
+    enableRuntimeChecks: true
+  });
+  assert.deepEqual(shipped.resolve("standard", "farcaster").config, {
+    enableTypeScript: true,
+    enableSolidity: true,
+    enableBuild: true,
+    enableRuntimeChecks: true
+  });
+
+  assert.deepEqual(shipped.resolve("full", "farcaster"), shipped.resolve("standard", "farcaster"));
+
+  const release = shipped.resolve("release", "farcaster");
+  assert.equal(release.config.enableBuild, true);
+  assert.equal(release.config.enableDependencyCheck, true);
+  assert.equal(release.config.enableFarcaster, true);
+  assert.equal(shipped.resolve("release", "web3").config.enableFarcaster, false);
+});
@@ -0,0 +1,103 @@
+// validation-report.test.js - SARIF and JUnit renderings of a validateProject result
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diagnosticRuleId, formatValidationReport, toJUnit, toSarif } from "../validation-report.js";
+
+const result = {
+  success: false,
+  compilationTime: 1234,
+  files: [{ filename: "src/app/page.tsx" }, { filename: "src/lib/util.ts" }],
+  errors: [
+    {
+      file: "/tmp/validation-1/src/app/page.tsx",
+      line: 4,
+      column: 7,
+      endLine: 4,
+      endColumn: 8,
+      message: "Type 'number' is not assignable to type 'string'.",
+      category: "typescript",
+      code: 2322
+    },
+    { file: "build", line: 1, message: "Build failed", category: "build" }
+  ],
+  warnings: [
+    {
+      file: "src/app/page.tsx",
+      line: 9,
+      message: "Effect without cleanup & <listener>",
+      suggestion: "Return a cleanup function",
+      category: "runtime",
+      rule: "effect-listener-cleanup"
+    }
+  ],
+  info: []
+};
+
+test("diagnosticRuleId prefers TS codes, Solidity error types and rules over the category", () => {
+  assert.equal(diagnosticRuleId({ category: "typescript", code: 2322 }), "TS2322");
+  assert.equal(diagnosticRuleId({ category: "typescript-config", code: 5023 }), "TS5023");
+  assert.equal(diagnosticRuleId({ category: "solidity", rule: "TypeError" }), "solidity/TypeError");
+  assert.equal(diagnosticRuleId({ category: "solidity" }), "solidity/CompileError");
+  assert.equal(diagnosticRuleId({ category: "eslint", rule: "react-hooks/exhaustive-deps" }), "react-hooks/exhaustive-deps");
+  assert.equal(diagnosticRuleId({ category: "build" }), "build");
+  assert.equal(diagnosticRuleId({}), "validation");
+});
+
+test("toSarif emits one run with deduplicated rules and located results", () => {
+  const sarif = toSarif(result);
+  assert.equal(sarif.version, "2.1.0");
+  assert.equal(sarif.runs.length, 1);
+
+  const [run] = sarif.runs;
+  assert.deepEqual(run.tool.driver.rules.map((rule) => rule.id), ["TS2322", "build", "effect-listener-cleanup"]);
+  assert.deepEqual(run.invocations, [{ executionSuccessful: false }]);
+  assert.deepEqual(run.results.map((r) => [r.ruleId, r.ruleIndex, r.level]), [
+    ["TS2322", 0, "error"],
+    ["build", 1, "error"],
+    ["effect-listener-cleanup", 2, "warning"]
+  ]);
+
+  assert.deepEqual(run.results[0].locations, [{
+    physicalLocation: {
+      artifactLocation: { uri: "src/app/page.tsx" },
+      region: { startLine: 4, startColumn: 7, endLine: 4, endColumn: 8 }
+    }
+  }]);
+  assert.equal(run.results[1].locations, undefined);
+  assert.deepEqual(run.results[1].properties, { file: "build" });
+  assert.equal(run.results[2].message.text, "Effect without cleanup & <listener>\nSuggestion: Return a cleanup function");
+});
+
+test("toSarif maps info diagnostics to notes", () => {
+  const sarif = toSarif({ success: true, files: [], errors: [], warnings: [], info: [{ file: "validation", message: "Cached", category: "cache" }] });
+  assert.equal(sarif.runs[0].results[0].level, "note");
+  assert.deepEqual(sarif.runs[0].invocations, [{ executionSuccessful: true }]);
+});
+
+test("toJUnit writes a testsuite per file, with errors as failures", () => {
+  const xml = toJUnit(result, { name: "project-1" });
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="project-1" tests="4" failures="2" errors="0" time="1\.234">/);
+  assert.match(xml, /<testsuite name="src\/app\/page\.tsx" tests="2" failures="1" errors="0" skipped="0">/);
+  assert.match(xml, /<testcase name="src\/app\/page\.tsx:4:7 TS2322" classname="src\/app\/page\.tsx" time="0"><failure message="Type &apos;number&apos; is not assignable to type &apos;string&apos;\." type="TS2322">/);
+  assert.match(xml, /<system-out>src\/app\/page\.tsx:9:1 warning Effect without cleanup &amp; &lt;listener&gt;\nSuggestion: Return a cleanup function<\/system-out>/);
+  assert.match(xml, /<testsuite name="build" tests="1" failures="1"/);
+});
+
+test("toJUnit gives files without diagnostics a passing testcase", () => {
+  const xml = toJUnit(result);
+  assert.match(xml, /<testsuites name="validation"/);
+  assert.match(xml, /<testsuite name="src\/lib\/util\.ts" tests="1" failures="0" errors="0" skipped="0">\n {4}<testcase name="src\/lib\/util\.ts" classname="src\/lib\/util\.ts" time="0"\/>/);
+});
+
+test("toJUnit strips control characters that XML 1.0 cannot carry", () => {
+  const xml = toJUnit({ files: [], errors: [{ file: "build", message: "bad\u001b[31m output\u0000" }] });
+  assert.match(xml, /message="bad\[31m output"/);
+});
+
+test("formatValidationReport picks the content type of the format", () => {
+  assert.equal(formatValidationReport(result, "sarif").contentType, "application/sarif+json");
+  assert.deepEqual(JSON.parse(formatValidationReport(result, "sarif").body), toSarif(result));
+  assert.deepEqual(formatValidationReport(result, "junit", { name: "x" }), { contentType: "application/xml", body: toJUnit(result, { name: "x" }) });
+  assert.deepEqual(formatValidationReport(result, "json"), { contentType: "application/json", body: JSON.stringify(result) });
+});
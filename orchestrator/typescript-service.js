@@ -0,0 +1,506 @@
+// typescript-service.js - TypeScript Compiler API checks with incremental state, and the per-project workers that run them
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { Worker } from "node:worker_threads";
+import * as ts from "typescript";
+
+// Incremental state per projectId. Inside a worker (typescript-worker.js) this holds
+// the worker's one project; the pool decides how long it stays warm
+const incrementalStates = new Map(); // projectId -> { configKey, builder, sourceFiles }
+
+// Quick fixes /validate/fix may apply without review: they only add imports, fix
+// spelling or fill in missing members. Everything else is attached as a suggestion.
+const SAFE_CODE_FIXES = new Set([
+  'import',
+  'spelling',
+  'fixMissingMember',
+  'fixMissingProperties',
+  'fixMissingAttributes'
+]);
+
+// Quick fixes are looked up for at most this many errors per validation
+const MAX_QUICK_FIX_DIAGNOSTICS = 50;
+
+const QUICK_FIX_FORMAT_SETTINGS = {
+  ...ts.getDefaultFormatCodeSettings('\n'),
+  indentSize: 2,
+  tabSize: 2,
+  convertTabsToSpaces: true
+};
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * TypeScript Compiler Service
+ * Uses TypeScript Compiler API for structured diagnostics and validation
+ */
+export class TypeScriptCompilerService {
+  constructor() {
+    this.compilerOptions = {
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.ESNext,
+      moduleResolution: ts.ModuleResolutionKind.Bundler,
+      allowSyntheticDefaultImports: true,
+      esModuleInterop: true,
+      allowJs: true,
+      skipLibCheck: true,
+      strict: true,
+      forceConsistentCasingInFileNames: true,
+      noEmit: true,
+      jsx: ts.JsxEmit.ReactJSX,
+      resolveJsonModule: true,
+      isolatedModules: true,
+      incremental: true,
+      baseUrl: ".", // ✅ Ensure baseUrl is set for path mapping
+      plugins: [
+        { name: "next" }
+      ],
+      paths: {
+        "@/*": ["./src/*"],
+        "@/components/*": ["./src/components/*"],
+        "@/lib/*": ["./src/lib/*"],
+        "@/app/*": ["./src/app/*"]
+      }
+    };
+  }
+
+  /**
+   * Validate TypeScript files using Compiler API
+   *
+   * Every validation runs in a fresh temp dir, so the program is built against a
+   * stable per-project virtual root that is mapped onto the current temp dir.
+   * That lets the semantic-diagnostics builder keep parsed source files and the
+   * diagnostics of unaffected files between calls.
+   */
+  async validateTypeScriptFiles(projectId, tempDir) {
+    try {
+      console.log(`[${projectId}] 🔍 Validating TypeScript using Compiler API...`);
+      const virtualRoot = path.join(path.dirname(tempDir), `.ts-${projectId}`);
+      
+      // Load tsconfig.json if it exists
+      const tsconfigPath = path.join(tempDir, 'tsconfig.json');
+      let compilerOptions = { ...this.compilerOptions };
+      let tsconfigContent = '';
+
+      if (existsSync(tsconfigPath)) {
+        try {
+          tsconfigContent = await fs.readFile(tsconfigPath, 'utf8');
+          const tsconfigJson = JSON.parse(tsconfigContent);
+
+          // ✅ Ensure baseUrl is set in the tsconfig.json file itself
+          if (!tsconfigJson.compilerOptions) {
+            tsconfigJson.compilerOptions = {};
+          }
+          if (!tsconfigJson.compilerOptions.baseUrl) {
+            console.log(`[${projectId}] 🔧 Adding missing baseUrl to tsconfig.json`);
+            tsconfigJson.compilerOptions.baseUrl = ".";
+            // Write the corrected tsconfig back to disk
+            await fs.writeFile(tsconfigPath, JSON.stringify(tsconfigJson, null, 2), 'utf8');
+          }
+
+          const configFile = ts.parseJsonConfigFileContent(
+            tsconfigJson,
+            ts.sys,
+            virtualRoot
+          );
+          compilerOptions = {
+            ...this.compilerOptions,
+            ...configFile.options,
+            baseUrl: configFile.options.baseUrl || virtualRoot, // ✅ Fallback to the project root as absolute path
+            paths: {
+              ...this.compilerOptions.paths,
+              ...configFile.options.paths
+            }
+          };
+
+          console.log(`[${projectId}] 📋 TypeScript config loaded: baseUrl="${compilerOptions.baseUrl}"`);
+        } catch (error) {
+          console.warn(`[${projectId}] ⚠️ Failed to parse tsconfig.json, using defaults:`, error.message);
+        }
+      }
+
+      // Create program with all TypeScript files, reusing the project's previous state when the config is unchanged
+      const files = (await this.findTypeScriptFiles(tempDir)).map((file) => path.join(virtualRoot, path.relative(tempDir, file)));
+      const packageJsonPath = path.join(tempDir, 'package.json');
+      const packageJson = existsSync(packageJsonPath) ? await fs.readFile(packageJsonPath, 'utf8') : '';
+      const state = this.getIncrementalState(projectId, hashText(JSON.stringify(compilerOptions) + tsconfigContent + packageJson));
+      const host = this.createVirtualHost(state, compilerOptions, virtualRoot, tempDir);
+      Object.assign(state, { host, compilerOptions, fileNames: files, virtualRoot }); // read by the quick-fix language service
+
+      const program = ts.createSemanticDiagnosticsBuilderProgram(files, compilerOptions, host, state.builder);
+      state.builder = program;
+      const live = new Set(program.getProgram().getSourceFiles().map((sourceFile) => sourceFile.fileName));
+      for (const fileName of state.sourceFiles.keys()) {
+        if (!live.has(fileName)) state.sourceFiles.delete(fileName);
+      }
+      
+      // Get diagnostics (the builder only re-checks files affected by a change)
+      const diagnostics = [
+        ...program.getSemanticDiagnostics(),
+        ...program.getSyntacticDiagnostics(),
+        ...program.getDeclarationDiagnostics(),
+        ...program.getConfigFileParsingDiagnostics()
+      ];
+      console.log(`[${projectId}] ♻️ TypeScript sources: ${host.stats.reused} reused, ${host.stats.parsed} parsed`);
+
+      // Convert diagnostics to structured format
+      const errors = [];
+      const warnings = [];
+      const fixable = [];
+      
+      for (const diagnostic of diagnostics) {
+        const result = this.formatDiagnostic(diagnostic, virtualRoot);
+        if (result) {
+          if (diagnostic.category === ts.DiagnosticCategory.Error) {
+            errors.push(result);
+            if (diagnostic.file && diagnostic.start !== undefined) fixable.push([diagnostic, result]);
+          } else if (diagnostic.category === ts.DiagnosticCategory.Warning) {
+            warnings.push(result);
+          }
+        }
+      }
+
+      if (fixable.length > 0) {
+        this.attachCodeFixes(projectId, state, fixable);
+      }
+
+      return { errors, warnings };
+      
+    } catch (error) {
+      console.error(`[${projectId}] ❌ TypeScript Compiler API error:`, error.message);
+      incrementalStates.delete(projectId); // don't reuse state from a run that blew up
+      return {
+        errors: [{
+          file: 'typescript-compiler',
+          line: 1,
+          column: 1,
+          message: `TypeScript Compiler API error: ${error.message}`,
+          severity: 'error',
+          category: 'typescript-compiler'
+        }],
+        warnings: []
+      };
+    }
+  }
+
+  /**
+   * Get (or start) the incremental state for a project; a changed config or package.json starts over
+   */
+  getIncrementalState(projectId, configKey) {
+    let state = incrementalStates.get(projectId);
+    if (!state || state.configKey !== configKey) {
+      state = { configKey, builder: undefined, sourceFiles: new Map() }; // fileName -> { version, sourceFile }
+      incrementalStates.set(projectId, state);
+    }
+    return state;
+  }
+
+  /**
+   * Language service over the project's virtual root, kept with the incremental
+   * state so unchanged files are not re-parsed on the next quick-fix lookup
+   */
+  getLanguageService(state) {
+    if (!state.languageService) {
+      const serviceHost = {
+        getScriptFileNames: () => state.fileNames,
+        getScriptVersion: (fileName) => state.sourceFiles.get(fileName)?.version ?? hashText(state.host.readFile(fileName) ?? ''),
+        getScriptSnapshot: (fileName) => {
+          const text = state.host.readFile(fileName);
+          return text === undefined ? undefined : ts.ScriptSnapshot.fromString(text);
+        },
+        getCompilationSettings: () => state.compilerOptions,
+        getCurrentDirectory: () => state.virtualRoot,
+        getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+        fileExists: (fileName) => state.host.fileExists(fileName),
+        readFile: (fileName) => state.host.readFile(fileName),
+        directoryExists: (dirName) => state.host.directoryExists(dirName),
+        getDirectories: (dirName) => state.host.getDirectories(dirName),
+        realpath: (fileName) => state.host.realpath(fileName)
+      };
+      state.languageService = ts.createLanguageService(serviceHost, ts.createDocumentRegistry());
+    }
+    return state.languageService;
+  }
+
+  /**
+   * Ask the language service for quick fixes and attach them to the errors as `fixes`
+   */
+  attachCodeFixes(projectId, state, fixable) {
+    const startTime = Date.now();
+    const supported = new Set(ts.getSupportedCodeFixes());
+    const service = this.getLanguageService(state);
+    let fixed = 0;
+
+    for (const [diagnostic, result] of fixable.slice(0, MAX_QUICK_FIX_DIAGNOSTICS)) {
+      if (!supported.has(String(diagnostic.code))) continue;
+      try {
+        const actions = service.getCodeFixesAtPosition(
+          diagnostic.file.fileName,
+          diagnostic.start,
+          diagnostic.start + (diagnostic.length || 0),
+          [diagnostic.code],
+          QUICK_FIX_FORMAT_SETTINGS,
+          { quotePreference: 'auto' }
+        );
+        const fixes = actions.map((action) => this.formatCodeFix(action, service, state.virtualRoot));
+        if (fixes.length > 0) {
+          result.fixes = fixes;
+          fixed++;
+        }
+      } catch (error) {
+        console.warn(`[${projectId}] ⚠️ Quick fix lookup failed for TS${diagnostic.code}:`, error.message);
+      }
+    }
+
+    console.log(`[${projectId}] 🩹 Quick fixes found for ${fixed}/${fixable.length} errors in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Convert a CodeFixAction to project-relative line/column edits. A fix is
+   * `safe` when it is a known-harmless kind and only edits existing project files.
+   */
+  formatCodeFix(action, service, virtualRoot) {
+    const program = service.getProgram();
+    let safe = SAFE_CODE_FIXES.has(action.fixName) && !action.commands?.length;
+
+    const changes = action.changes.map((change) => {
+      const file = path.relative(virtualRoot, change.fileName);
+      const sourceFile = change.isNewFile ? null : program?.getSourceFile(change.fileName);
+      if (!sourceFile || file.startsWith('..') || file.split(path.sep).includes('node_modules')) {
+        safe = false;
+      }
+
+      const toPosition = (offset) => {
+        if (!sourceFile) return { line: 1, column: 1 };
+        const { line, character } = sourceFile.getLineAndCharacterOfPosition(offset);
+        return { line: line + 1, column: character + 1 };
+      };
+
+      return {
+        file,
+        edits: change.textChanges.map(({ span, newText }) => {
+          const start = toPosition(span.start);
+          const end = toPosition(span.start + span.length);
+          return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column, newText };
+        })
+      };
+    });
+
+    return { fixName: action.fixName, description: action.description, safe, changes };
+  }
+
+  /**
+   * Compiler host that serves `virtualRoot` from the current temp dir and
+   * hands back the cached SourceFile for every file whose content is unchanged
+   */
+  createVirtualHost(state, compilerOptions, virtualRoot, tempDir) {
+    const host = ts.createCompilerHost(compilerOptions);
+    const toReal = (fileName) => (fileName.startsWith(virtualRoot) ? tempDir + fileName.slice(virtualRoot.length) : fileName);
+    const toVirtual = (fileName) => (fileName.startsWith(tempDir) ? virtualRoot + fileName.slice(tempDir.length) : fileName);
+    const stats = { reused: 0, parsed: 0 };
+
+    host.stats = stats;
+    host.getCurrentDirectory = () => virtualRoot;
+    host.fileExists = (fileName) => ts.sys.fileExists(toReal(fileName));
+    host.directoryExists = (dirName) => ts.sys.directoryExists(toReal(dirName));
+    host.readFile = (fileName) => ts.sys.readFile(toReal(fileName));
+    host.getDirectories = (dirName) => ts.sys.getDirectories(toReal(dirName));
+    host.realpath = (fileName) => toVirtual(ts.sys.realpath ? ts.sys.realpath(toReal(fileName)) : toReal(fileName));
+    host.getSourceFile = (fileName, languageVersionOrOptions, onError) => {
+      const text = ts.sys.readFile(toReal(fileName));
+      if (text === undefined) {
+        onError?.(`File not found: ${fileName}`);
+        return undefined;
+      }
+
+      const version = hashText(text);
+      const cached = state.sourceFiles.get(fileName);
+      if (cached && cached.version === version) {
+        stats.reused++;
+        return cached.sourceFile;
+      }
+
+      stats.parsed++;
+      const sourceFile = ts.createSourceFile(fileName, text, languageVersionOrOptions);
+      sourceFile.version = version; // the builder compares versions to find affected files
+      state.sourceFiles.set(fileName, { version, sourceFile });
+      return sourceFile;
+    };
+
+    return host;
+  }
+
+  /**
+   * Find all TypeScript files in the project
+   */
+  async findTypeScriptFiles(rootDir) {
+    const files = [];
+    const extensions = ['.ts', '.tsx', '.js', '.jsx'];
+    
+    const scanDir = async (dir) => {
+      try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry.name);
+          
+          if (entry.isDirectory()) {
+            // Skip node_modules and other common directories
+            if (!['node_modules', '.next', 'dist', 'build'].includes(entry.name)) {
+              await scanDir(fullPath);
+            }
+          } else if (entry.isFile()) {
+            const ext = path.extname(entry.name);
+            if (extensions.includes(ext)) {
+              files.push(fullPath);
+            }
+          }
+        }
+      } catch (error) {
+        // Skip directories that can't be read
+        console.warn(`Skipping directory ${dir}:`, error.message);
+      }
+    };
+    
+    await scanDir(rootDir);
+    return files;
+  }
+
+  /**
+   * Format TypeScript diagnostic to structured format
+   */
+  formatDiagnostic(diagnostic, projectRoot) {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+    
+    if (diagnostic.file) {
+      const filePath = diagnostic.file.fileName;
+      const relativePath = path.relative(projectRoot, filePath);
+      
+      const start = diagnostic.start;
+      let line = 1;
+      let column = 1;
+      let endLine;
+      let endColumn;
+      
+      if (start !== undefined) {
+        const sourceFile = diagnostic.file;
+        const pos = sourceFile.getLineAndCharacterOfPosition(start);
+        line = pos.line + 1;
+        column = pos.character + 1;
+
+        const end = sourceFile.getLineAndCharacterOfPosition(start + (diagnostic.length || 0));
+        endLine = end.line + 1;
+        endColumn = end.character + 1;
+      }
+      
+      return {
+        file: relativePath,
+        line: line,
+        column: column,
+        endLine,
+        endColumn,
+        message: message,
+        severity: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+        category: 'typescript',
+        code: diagnostic.code,
+        source: 'typescript-compiler-api'
+      };
+    } else {
+      // Global diagnostic (e.g., config file issues)
+      return {
+        file: 'tsconfig.json',
+        line: 1,
+        column: 1,
+        message: message,
+        severity: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+        category: 'typescript-config',
+        code: diagnostic.code,
+        source: 'typescript-compiler-api'
+      };
+    }
+  }
+}
+
+/**
+ * TypeScript Worker Pool
+ * The compiler API is synchronous, so checks run in a worker thread per project:
+ * the main thread stays free for a stage deadline to fire, and aborting a check
+ * terminates its worker (dropping that project's warm state). Each worker holds its
+ * own program in memory, so at most `maxWorkers` idle ones are kept, for `idleMs`.
+ */
+export class TypeScriptWorkerPool {
+  constructor({ maxWorkers = 2, idleMs = 10 * 60 * 1000 } = {}) {
+    this.maxWorkers = maxWorkers;
+    this.idleMs = idleMs;
+    this.workers = new Map(); // projectId -> { projectId, worker, pending, lastUsed }
+    this.nextId = 0;
+  }
+
+  /**
+   * Type-check a project's temp dir: { errors, warnings }. Aborting `signal` terminates the worker.
+   */
+  check(projectId, tempDir, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error("TypeScript check aborted"));
+      const entry = this.acquire(projectId);
+      const id = ++this.nextId;
+      const onAbort = () => this.stop(entry, "TypeScript check aborted");
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        entry.pending.delete(id);
+        if (entry.pending.size === 0) entry.worker.unref();
+        fn(value);
+      };
+
+      entry.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+      entry.worker.ref(); // a pending check keeps the process alive, an idle worker doesn't
+      signal?.addEventListener("abort", onAbort, { once: true });
+      entry.worker.postMessage({ id, projectId, tempDir });
+    });
+  }
+
+  acquire(projectId) {
+    const now = Date.now();
+    for (const entry of this.workers.values()) {
+      if (entry.pending.size === 0 && now - entry.lastUsed > this.idleMs) this.stop(entry, "idle");
+    }
+
+    let entry = this.workers.get(projectId);
+    if (!entry) {
+      const worker = new Worker(new URL("./typescript-worker.js", import.meta.url));
+      worker.unref();
+      entry = { projectId, worker, pending: new Map() };
+      worker.on("message", ({ id, result, error }) => {
+        const request = entry.pending.get(id);
+        if (error) request?.reject(new Error(error));
+        else request?.resolve(result);
+      });
+      worker.once("error", (error) => this.stop(entry, `TypeScript worker failed: ${error.message}`));
+      worker.once("exit", (code) => this.stop(entry, `TypeScript worker exited with code ${code}`));
+    }
+    entry.lastUsed = now;
+
+    // Re-insert so the Map stays in least-recently-used order, then retire the oldest idle workers
+    this.workers.delete(projectId);
+    this.workers.set(projectId, entry);
+    for (const other of this.workers.values()) {
+      if (this.workers.size <= this.maxWorkers) break;
+      if (other !== entry && other.pending.size === 0) this.stop(other, "evicted");
+    }
+    return entry;
+  }
+
+  /**
+   * Terminate a project's worker; checks still waiting on it are rejected with `reason`
+   */
+  stop(entry, reason) {
+    if (this.workers.get(entry.projectId) === entry) this.workers.delete(entry.projectId);
+    for (const { reject } of [...entry.pending.values()]) reject(new Error(reason));
+    entry.worker.terminate();
+  }
+}
@@ -0,0 +1,19 @@
+// typescript-worker.js - Runs one project's TypeScript checks off the main thread, keeping its incremental program warm between them
+
+import { parentPort } from "node:worker_threads";
+import { TypeScriptCompilerService } from "./typescript-service.js";
+
+const service = new TypeScriptCompilerService();
+
+// One check at a time: they share the project's incremental state
+let queue = Promise.resolve();
+
+parentPort.on("message", ({ id, projectId, tempDir }) => {
+  queue = queue.then(async () => {
+    try {
+      parentPort.postMessage({ id, result: await service.validateTypeScriptFiles(projectId, tempDir) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+});
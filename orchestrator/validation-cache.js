@@ -0,0 +1,80 @@
+// validation-cache.js - Per-stage validation result cache keyed by content hashes
+
+import { promises as fs } from "node:fs";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+function sha(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Stable hash of a file set: sha256 over the sorted path -> content-hash list
+ */
+export function hashFiles(filesArray) {
+  const manifest = filesArray
+    .map((f) => [f.path, sha(f.content ?? "")])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return sha(JSON.stringify(manifest));
+}
+
+/**
+ * Hash of the boilerplate files a validation copies into its temp project.
+ * A boilerplate update (new deps, tsconfig change) therefore invalidates the cache.
+ */
+export async function hashBoilerplate(boilerplateDir, configFiles) {
+  const parts = [];
+  for (const file of configFiles) {
+    const filePath = path.join(boilerplateDir, file);
+    if (existsSync(filePath)) {
+      parts.push([file, sha(await fs.readFile(filePath))]);
+    }
+  }
+  return sha(JSON.stringify(parts));
+}
+
+/**
+ * Validation Cache
+ * In-memory LRU of stage results ({ errors, warnings, info }) with a TTL.
+ */
+export class ValidationCache {
+  constructor({ maxEntries = 200, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { result, storedAt }
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  key(...parts) {
+    return sha(JSON.stringify(parts));
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || Date.now() - entry.storedAt > this.ttlMs) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    // Re-insert to keep least-recently-used order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return structuredClone(entry.result);
+  }
+
+  set(key, result) {
+    this.entries.delete(key);
+    this.entries.set(key, { result: structuredClone(result), storedAt: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  stats() {
+    return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
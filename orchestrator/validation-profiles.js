@@ -0,0 +1,100 @@
+// validation-profiles.js - Named validation profiles (quick, standard, release) loaded from a JSON config file
+
+import { readFileSync } from "node:fs";
+
+export const DEFAULT_PROFILES_FILE = new URL("./validation-profiles.json", import.meta.url);
+
+// validationConfig flag -> the stage it turns on
+const STAGE_FLAGS = {
+  enableTypeScript: "typescript",
+  enableSolidity: "solidity",
+  enableContractAnalysis: "contracts",
+  enableESLint: "eslint",
+  enableBuild: "build",
+  enableRuntimeChecks: "runtime",
+  enableFarcaster: "farcaster",
+  enableDependencyCheck: "dependencies"
+};
+
+// Settings whose value is a map, merged key by key instead of replaced
+const MAP_SETTINGS = ["runtimeRules", "contractRules", "stageTimeouts", "bundleBudgets"];
+const CONFIG_KEYS = new Set([...Object.keys(STAGE_FLAGS), ...MAP_SETTINGS, "skipCache", "autoAddDependencies"]);
+const PROFILE_KEYS = new Set([...CONFIG_KEYS, "description", "extends", "appTypes"]);
+
+/**
+ * Layer validationConfig overrides on top of a base config
+ */
+export function mergeValidationConfig(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = MAP_SETTINGS.includes(key) && value && typeof value === "object"
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+function pickConfig(settings = {}) {
+  return Object.fromEntries(Object.entries(settings).filter(([key]) => CONFIG_KEYS.has(key)));
+}
+
+/**
+ * Validation Profiles
+ * A profile is a named validationConfig: stage flags plus rule, timeout and
+ * dependency settings. `extends` builds on another profile, and `appTypes`
+ * holds overrides for the farcaster or web3 boilerplate. `defaults` names the
+ * profile each app type gets when a request doesn't pick one; `aliases` keep
+ * older names working (the deploy gate's "fast"/"full").
+ */
+export class ValidationProfiles {
+  constructor({ profiles = {}, defaults = {}, aliases = {} } = {}) {
+    this.profiles = profiles;
+    this.defaults = defaults;
+    this.aliases = aliases;
+
+    for (const [name, profile] of Object.entries(profiles)) {
+      const unknown = Object.keys(profile).filter((key) => !PROFILE_KEYS.has(key));
+      if (unknown.length > 0) {
+        console.warn(`[validation-profiles] ⚠️ Profile ${name} has unknown settings: ${unknown.join(", ")}`);
+      }
+      if (profile.extends && !profiles[profile.extends]) {
+        throw new Error(`Validation profile ${name} extends unknown profile ${profile.extends}`);
+      }
+    }
+    for (const [appType, name] of Object.entries(defaults)) {
+      if (!this.has(name)) throw new Error(`Default validation profile for ${appType} is unknown: ${name}`);
+    }
+  }
+
+  static load(file = DEFAULT_PROFILES_FILE) {
+    return new ValidationProfiles(JSON.parse(readFileSync(file, "utf8")));
+  }
+
+  has(name) {
+    return typeof name === "string" && Object.hasOwn(this.profiles, this.aliases[name] || name);
+  }
+
+  names() {
+    return [...Object.keys(this.profiles), ...Object.keys(this.aliases)];
+  }
+
+  defaultFor(appType) {
+    return this.defaults[appType] || this.defaults.farcaster || Object.keys(this.profiles)[0];
+  }
+
+  /**
+   * The validationConfig of a profile for an app type: { name, config }, or null for unknown profiles.
+   * `extends` chains are applied base first, then each profile's own settings and app type overrides.
+   */
+  resolve(name, appType, seen = new Set()) {
+    const canonical = this.aliases[name] || name;
+    const profile = this.has(canonical) ? this.profiles[canonical] : null;
+    if (!profile) return null;
+    if (seen.has(canonical)) throw new Error(`Validation profile ${canonical} extends itself`);
+    seen.add(canonical);
+
+    const base = profile.extends ? this.resolve(profile.extends, appType, seen).config : {};
+    const own = mergeValidationConfig(base, pickConfig(profile));
+    return { name: canonical, config: mergeValidationConfig(own, pickConfig(profile.appTypes?.[appType])) };
+  }
+}
@@ -0,0 +1,170 @@
+// validation-report.js - Converts validateProject results into SARIF 2.1.0 and JUnit XML reports
+
+import { resolveProjectPath } from "./code-frame.js";
+
+export const VALIDATION_REPORT_FORMATS = ["json", "sarif", "junit"];
+
+const TOOL_NAME = "preview-host-validation";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const SARIF_LEVELS = { error: "error", warning: "warning", info: "note" };
+
+/**
+ * Stable rule ID for a diagnostic: TS diagnostic codes (TS2322), ESLint
+ * ruleIds (react-hooks/exhaustive-deps), Solidity error types
+ * (solidity/TypeError), falling back to the diagnostic category.
+ */
+export function diagnosticRuleId(diagnostic) {
+  if (diagnostic.category?.startsWith("typescript") && diagnostic.code) {
+    return `TS${diagnostic.code}`;
+  }
+  if (diagnostic.category === "solidity") {
+    return `solidity/${diagnostic.rule || "CompileError"}`;
+  }
+  if (diagnostic.rule) return diagnostic.rule;
+  return diagnostic.category || "validation";
+}
+
+/**
+ * Every diagnostic of a result, tagged with the severity bucket it came from
+ */
+function collectDiagnostics(result) {
+  return [
+    ...(result.errors || []).map((d) => ({ ...d, level: "error" })),
+    ...(result.warnings || []).map((d) => ({ ...d, level: "warning" })),
+    ...(result.info || []).map((d) => ({ ...d, level: "info" }))
+  ];
+}
+
+function messageText(diagnostic) {
+  return diagnostic.suggestion ? `${diagnostic.message}\nSuggestion: ${diagnostic.suggestion}` : diagnostic.message;
+}
+
+/**
+ * SARIF 2.1.0 log with a single run; rules are collected from the diagnostics
+ */
+export function toSarif(result) {
+  const projectPaths = new Set((result.files || []).map((f) => f.filename));
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = collectDiagnostics(result).map((diagnostic) => {
+    const ruleId = diagnosticRuleId(diagnostic);
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        shortDescription: { text: ruleId },
+        properties: { category: diagnostic.category || "validation" }
+      });
+    }
+
+    const entry = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: SARIF_LEVELS[diagnostic.level],
+      message: { text: messageText(diagnostic) }
+    };
+
+    const uri = resolveProjectPath(diagnostic.file, projectPaths);
+    if (uri) {
+      const region = { startLine: Math.max(1, diagnostic.line || 1) };
+      if (diagnostic.column) region.startColumn = diagnostic.column;
+      if (diagnostic.endLine) region.endLine = diagnostic.endLine;
+      if (diagnostic.endColumn) region.endColumn = diagnostic.endColumn;
+      entry.locations = [{ physicalLocation: { artifactLocation: { uri }, region } }];
+    } else if (diagnostic.file) {
+      entry.properties = { file: diagnostic.file };
+    }
+    return entry;
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: { driver: { name: TOOL_NAME, rules } },
+        invocations: [{ executionSuccessful: Boolean(result.success) }],
+        results
+      }
+    ]
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    // Control characters are not allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * JUnit XML with one testsuite per file and one testcase per diagnostic.
+ * Errors are failures; warnings and info pass and carry their text in
+ * system-out. Files without diagnostics get a single passing testcase.
+ */
+export function toJUnit(result, { name = "validation" } = {}) {
+  const suites = new Map(); // file -> diagnostics
+  for (const f of result.files || []) suites.set(f.filename, []);
+
+  const projectPaths = new Set(suites.keys());
+  for (const diagnostic of collectDiagnostics(result)) {
+    const file = resolveProjectPath(diagnostic.file, projectPaths) || diagnostic.file || "validation";
+    if (!suites.has(file)) suites.set(file, []);
+    suites.get(file).push(diagnostic);
+  }
+
+  let totalTests = 0;
+  let totalFailures = 0;
+  const suiteXml = [];
+
+  for (const [file, diagnostics] of suites) {
+    const failures = diagnostics.filter((d) => d.level === "error").length;
+    const cases = diagnostics.length === 0
+      ? [`    <testcase name="${escapeXml(file)}" classname="${escapeXml(file)}" time="0"/>`]
+      : diagnostics.map((d) => {
+        const location = `${file}:${d.line || 1}:${d.column || 1}`;
+        const caseName = `${escapeXml(location)} ${escapeXml(diagnosticRuleId(d))}`;
+        const text = escapeXml(`${location} ${d.level} ${messageText(d)}`);
+        const body = d.level === "error"
+          ? `<failure message="${escapeXml(d.message)}" type="${escapeXml(diagnosticRuleId(d))}">${text}</failure>`
+          : `<system-out>${text}</system-out>`;
+        return `    <testcase name="${caseName}" classname="${escapeXml(file)}" time="0">${body}</testcase>`;
+      });
+
+    totalTests += cases.length;
+    totalFailures += failures;
+    suiteXml.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`,
+      ...cases,
+      "  </testsuite>"
+    );
+  }
+
+  const time = ((result.compilationTime || 0) / 1000).toFixed(3);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${totalTests}" failures="${totalFailures}" errors="0" time="${time}">`,
+    ...suiteXml,
+    "</testsuites>",
+    ""
+  ].join("\n");
+}
+
+/**
+ * Render a validation result in the requested format: { contentType, body }
+ */
+export function formatValidationReport(result, format, options = {}) {
+  switch (format) {
+    case "sarif":
+      return { contentType: "application/sarif+json", body: JSON.stringify(toSarif(result), null, 2) };
+    case "junit":
+      return { contentType: "application/xml", body: toJUnit(result, options) };
+    default:
+      return { contentType: "application/json", body: JSON.stringify(result) };
+  }
+}
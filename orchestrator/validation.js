@@ -1,220 +1,105 @@
 // validation.js - Railway compilation validation module
 
 import { promises as fs } from "node:fs";
-import { existsSync } from "node:fs";
+import { existsSync, readFileSync } from "node:fs";
 import path from "node:path";
-import * as ts from "typescript";
+import { ValidationCache, hashFiles, hashBoilerplate } from "./validation-cache.js";
+import { addSourceContext, offsetAt, positionAt } from "./code-frame.js";
+import { runtimeRules } from "./runtime-rules.js";
+import { FarcasterValidator } from "./farcaster-validation.js";
+import { DependencyChecker } from "./dependency-check.js";
+import { contractRules } from "./contract-rules.js";
+import { checkBundleBudgets, readBundleReport } from "./bundle-report.js";
+import { killProcessTree } from "./process-tree.js";
+import { SolidityCompiler, findHardhatConfig, hardhatSettings, mapSolcErrors, pragmaRanges } from "./solidity-compiler.js";
+import { TypeScriptWorkerPool } from "./typescript-service.js";
 
-/**
- * TypeScript Compiler Service
- * Uses TypeScript Compiler API for structured diagnostics and validation
- */
-class TypeScriptCompilerService {
-  constructor() {
-    this.compilerOptions = {
-      target: ts.ScriptTarget.ES2020,
-      module: ts.ModuleKind.ESNext,
-      moduleResolution: ts.ModuleResolutionKind.Bundler,
-      allowSyntheticDefaultImports: true,
-      esModuleInterop: true,
-      allowJs: true,
-      skipLibCheck: true,
-      strict: true,
-      forceConsistentCasingInFileNames: true,
-      noEmit: true,
-      jsx: ts.JsxEmit.ReactJSX,
-      resolveJsonModule: true,
-      isolatedModules: true,
-      incremental: true,
-      baseUrl: ".", // ✅ Ensure baseUrl is set for path mapping
-      plugins: [
-        { name: "next" }
-      ],
-      paths: {
-        "@/*": ["./src/*"],
-        "@/components/*": ["./src/components/*"],
-        "@/lib/*": ["./src/lib/*"],
-        "@/app/*": ["./src/app/*"]
-      }
-    };
-  }
+// TypeScript checks run in a warm worker per project, shared by every validator instance
+// (an AI fix loop re-validates the same project dozens of times per session)
+const typescriptWorkers = new TypeScriptWorkerPool({
+  maxWorkers: Number(process.env.VALIDATION_TS_CACHE_SIZE || 2),
+  idleMs: Number(process.env.VALIDATION_TS_CACHE_TTL_MS || 10 * 60 * 1000)
+});
 
-  /**
-   * Validate TypeScript files using Compiler API
-   */
-  async validateTypeScriptFiles(projectId, tempDir) {
-    try {
-      console.log(`[${projectId}] 🔍 Validating TypeScript using Compiler API...`);
-      
-      // Load tsconfig.json if it exists
-      const tsconfigPath = path.join(tempDir, 'tsconfig.json');
-      let compilerOptions = { ...this.compilerOptions };
-
-      if (existsSync(tsconfigPath)) {
-        try {
-          const tsconfigContent = await fs.readFile(tsconfigPath, 'utf8');
-          const tsconfigJson = JSON.parse(tsconfigContent);
-
-          // ✅ Ensure baseUrl is set in the tsconfig.json file itself
-          if (!tsconfigJson.compilerOptions) {
-            tsconfigJson.compilerOptions = {};
-          }
-          if (!tsconfigJson.compilerOptions.baseUrl) {
-            console.log(`[${projectId}] 🔧 Adding missing baseUrl to tsconfig.json`);
-            tsconfigJson.compilerOptions.baseUrl = ".";
-            // Write the corrected tsconfig back to disk
-            await fs.writeFile(tsconfigPath, JSON.stringify(tsconfigJson, null, 2), 'utf8');
-          }
+// Stage results keyed by files + boilerplate version + stage, shared by every validator instance
+const validationCache = new ValidationCache({
+  maxEntries: Number(process.env.VALIDATION_CACHE_SIZE || 200),
+  ttlMs: Number(process.env.VALIDATION_CACHE_TTL_MS || 60 * 60 * 1000)
+});
 
-          const configFile = ts.parseJsonConfigFileContent(
-            tsconfigJson,
-            ts.sys,
-            path.dirname(tsconfigPath)
-          );
-          compilerOptions = {
-            ...this.compilerOptions,
-            ...configFile.options,
-            baseUrl: configFile.options.baseUrl || tempDir, // ✅ Fallback to tempDir as absolute path
-            paths: {
-              ...this.compilerOptions.paths,
-              ...configFile.options.paths
-            }
-          };
+// Stage results carrying one of these categories come from a crash, not from the code - never cache them
+const UNCACHEABLE_CATEGORIES = new Set([
+  'typescript-compiler',
+  'typescript-validation',
+  'validation-error',
+  'validation-timeout',
+  'solidity-compiler'
+]);
 
-          console.log(`[${projectId}] 📋 TypeScript config loaded: baseUrl="${compilerOptions.baseUrl}"`);
-        } catch (error) {
-          console.warn(`[${projectId}] ⚠️ Failed to parse tsconfig.json, using defaults:`, error.message);
-        }
-      }
+// Deadline per stage, overridable per request with validationConfig.stageTimeouts;
+// "install" covers creating the temp project and its npm install
+const DEFAULT_STAGE_TIMEOUTS_MS = {
+  install: 5 * 60 * 1000,
+  typescript: 2 * 60 * 1000,
+  solidity: 2 * 60 * 1000,
+  contracts: 2 * 60 * 1000,
+  eslint: 2 * 60 * 1000,
+  build: 5 * 60 * 1000,
+  runtime: 30 * 1000,
+  farcaster: 30 * 1000,
+  dependencies: 60 * 1000
+};
 
-      // Create program with all TypeScript files
-      const files = await this.findTypeScriptFiles(tempDir);
-      const program = ts.createProgram(files, compilerOptions);
-      
-      // Get diagnostics
-      const diagnostics = [
-        ...program.getSemanticDiagnostics(),
-        ...program.getSyntacticDiagnostics(),
-        ...program.getDeclarationDiagnostics(),
-        ...program.getConfigFileParsingDiagnostics()
-      ];
-
-      // Convert diagnostics to structured format
-      const errors = [];
-      const warnings = [];
-      
-      for (const diagnostic of diagnostics) {
-        const result = this.formatDiagnostic(diagnostic, tempDir);
-        if (result) {
-          if (diagnostic.category === ts.DiagnosticCategory.Error) {
-            errors.push(result);
-          } else if (diagnostic.category === ts.DiagnosticCategory.Warning) {
-            warnings.push(result);
-          }
-        }
-      }
+// solc's "Source file requires different compiler version" error
+const SOLC_VERSION_PRAGMA_ERROR = '5333';
 
-      return { errors, warnings };
-      
-    } catch (error) {
-      console.error(`[${projectId}] ❌ TypeScript Compiler API error:`, error.message);
-      return {
-        errors: [{
-          file: 'typescript-compiler',
-          line: 1,
-          column: 1,
-          message: `TypeScript Compiler API error: ${error.message}`,
-          severity: 'error',
-          category: 'typescript-compiler'
-        }],
-        warnings: []
-      };
-    }
-  }
+// Essential config files copied from the boilerplate into every validation project
+// NOTE: hardhat.config.js/ts are NOT included here because they should stay in contracts/ directory
+// Including them in the root causes Next.js build failures
+const BOILERPLATE_CONFIG_FILES = [
+  'package.json',
+  'tsconfig.json',
+  'next.config.ts',
+  'next.config.js',
+  'tailwind.config.js',
+  'tailwind.config.ts',
+  'eslint.config.mjs',
+  'eslint.config.js',
+  '.eslintrc.json',
+  '.eslintrc.js'
+];
 
-  /**
-   * Find all TypeScript files in the project
-   */
-  async findTypeScriptFiles(rootDir) {
-    const files = [];
-    const extensions = ['.ts', '.tsx', '.js', '.jsx'];
-    
-    const scanDir = async (dir) => {
-      try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry.name);
-          
-          if (entry.isDirectory()) {
-            // Skip node_modules and other common directories
-            if (!['node_modules', '.next', 'dist', 'build'].includes(entry.name)) {
-              await scanDir(fullPath);
-            }
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories that can't be read
-        console.warn(`Skipping directory ${dir}:`, error.message);
-      }
-    };
-    
-    await scanDir(rootDir);
-    return files;
-  }
+// Dependency sections compared against the boilerplate to decide whether the warm install can be reused
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
 
-  /**
-   * Format TypeScript diagnostic to structured format
-   */
-  formatDiagnostic(diagnostic, projectRoot) {
-    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
-    
-    if (diagnostic.file) {
-      const filePath = diagnostic.file.fileName;
-      const relativePath = path.relative(projectRoot, filePath);
-      
-      const start = diagnostic.start;
-      let line = 1;
-      let column = 1;
-      
-      if (start !== undefined) {
-        const sourceFile = diagnostic.file;
-        const pos = sourceFile.getLineAndCharacterOfPosition(start);
-        line = pos.line + 1;
-        column = pos.character + 1;
-      }
-      
-      return {
-        file: relativePath,
-        line: line,
-        column: column,
-        message: message,
-        severity: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
-        category: 'typescript',
-        code: diagnostic.code,
-        source: 'typescript-compiler-api'
-      };
-    } else {
-      // Global diagnostic (e.g., config file issues)
-      return {
-        file: 'tsconfig.json',
-        line: 1,
-        column: 1,
-        message: message,
-        severity: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
-        category: 'typescript-config',
-        code: diagnostic.code,
-        source: 'typescript-compiler-api'
-      };
-    }
+// Warm installs currently being created, keyed by their directory (concurrent validations wait for the same install)
+const warmInstalls = new Map();
+
+// Validation temp projects linked to a warm install (tempDir -> warmDir), and the warm installs
+// of older boilerplate versions that are deleted once the last project using them is cleaned up
+const warmLinks = new Map();
+const retiredWarmDirs = new Set();
+
+function warmDirInUse(warmDir) {
+  return [...warmLinks.values()].includes(warmDir);
+}
+
+async function unlinkWarmInstall(tempDir) {
+  const warmDir = warmLinks.get(tempDir);
+  if (!warmDir) return;
+  warmLinks.delete(tempDir);
+  if (retiredWarmDirs.has(warmDir) && !warmDirInUse(warmDir)) {
+    retiredWarmDirs.delete(warmDir);
+    await fs.rm(warmDir, { recursive: true, force: true });
   }
 }
 
+// next build output decoration
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+const BUILD_FRAME_LINE = /^\s*>?\s*\d+\s*[|│]/;
+// Summary lines that wrap the real errors
+const BUILD_ERROR_HEADERS = /^(Failed to compile\.?|> Build failed because of webpack errors|> Build error occurred|Error: Turbopack build failed with \d+ errors?:)$/;
+
 /**
  * Railway Compilation Validator
  * Provides full compilation validation using Railway's complete environment
@@ -225,13 +110,15 @@ export class RailwayCompilationValidator {
     this.boilerplateDir = boilerplateDir;
     this.previewsRoot = previewsRoot;
     this.npmInstall = npmInstallFn;
-    this.tsCompiler = new TypeScriptCompilerService();
   }
 
   /**
-   * Main validation method - orchestrates all validation steps
+   * Main validation method - orchestrates all validation steps. `cancel` ties the
+   * validation to its caller (a deployment's log ring): processes are tracked in
+   * `cancel.logs` so cancelling can kill them, and once `cancel.signal` aborts the
+   * running stage's in-process work stops and no further stage starts.
    */
-  async validateProject(projectId, filesArray, validationConfig, runCommand) {
+  async validateProject(projectId, filesArray, validationConfig, runCommand, cancel = {}) {
     const startTime = Date.now();
     console.log(`[${projectId}] 🔧 Starting full compilation validation...`);
     
@@ -239,76 +126,114 @@ export class RailwayCompilationValidator {
     const tempDir = path.join(this.previewsRoot, `${projectId}-validation-${Date.now()}`);
     
     try {
-      // 1. Create temp project structure
-      await this.createTempProjectForValidation(tempDir, filesArray, runCommand);
-      console.log(`[${projectId}] 📁 Created temporary project structure`);
-      
-      // 2. Run validations sequentially to ensure proper dependency resolution
-      // ✅ Sequential execution ensures npm install completes before validation
-      const results = [];
-      const validationTypes = [];
+      // 0. Declare imported packages that package.json is missing, so the install below picks them up
+      let addedDependencies = [];
+      if (validationConfig.autoAddDependencies) {
+        ({ files: filesArray, added: addedDependencies } = await this.addMissingDependencies(projectId, filesArray));
+      }
 
-      // Add timeout to prevent hanging validations (5 minutes max)
-      const VALIDATION_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
-      const validationStartTime = Date.now();
+      // 1. Look up cached stage results (same files + same boilerplate = same diagnostics)
+      const useCache = validationConfig.skipCache !== true;
+      const filesHash = hashFiles(filesArray);
+      const boilerplateHash = await hashBoilerplate(this.boilerplateDir, BOILERPLATE_CONFIG_FILES);
 
-      if (validationConfig.enableTypeScript) {
-        validationTypes.push('TypeScript');
-      }
-      if (validationConfig.enableSolidity) {
-        validationTypes.push('Solidity');
-      }
-      if (validationConfig.enableESLint) {
-        validationTypes.push('ESLint');
-      }
-      if (validationConfig.enableBuild) {
-        validationTypes.push('Build');
-      }
-      if (validationConfig.enableRuntimeChecks) {
-        validationTypes.push('Runtime Checks');
+      // Stages get a runCommand whose processes are killed and an AbortSignal that fires when their deadline passes
+      const stages = [
+        { name: 'typescript', label: 'TypeScript', enabled: validationConfig.enableTypeScript, needsProject: true,
+          run: ({ signal }) => this.validateTypeScript(projectId, tempDir, signal) },
+        { name: 'solidity', label: 'Solidity', enabled: validationConfig.enableSolidity, needsProject: true,
+          run: ({ signal }) => this.validateSolidity(projectId, filesArray, tempDir, signal) },
+        { name: 'contracts', label: 'Contract Analysis', enabled: validationConfig.enableContractAnalysis, needsProject: true,
+          options: validationConfig.contractRules,
+          run: ({ signal }) => this.validateContractAnalysis(projectId, filesArray, tempDir, validationConfig.contractRules, signal) },
+        { name: 'eslint', label: 'ESLint', enabled: validationConfig.enableESLint, needsProject: true,
+          run: ({ runCommand }) => this.validateESLint(projectId, tempDir, runCommand) },
+        { name: 'build', label: 'Build', enabled: validationConfig.enableBuild, needsProject: true,
+          options: validationConfig.bundleBudgets,
+          run: ({ runCommand }) => this.validateBuild(projectId, tempDir, runCommand, filesArray, validationConfig.bundleBudgets) },
+        { name: 'runtime', label: 'Runtime Checks', enabled: validationConfig.enableRuntimeChecks, needsProject: false,
+          options: validationConfig.runtimeRules, run: () => this.validateRuntimeChecks(projectId, filesArray, validationConfig.runtimeRules) },
+        { name: 'farcaster', label: 'Farcaster', enabled: validationConfig.enableFarcaster, needsProject: false,
+          run: () => this.validateFarcaster(projectId, filesArray) },
+        { name: 'dependencies', label: 'Dependencies', enabled: validationConfig.enableDependencyCheck, needsProject: true,
+          run: () => this.validateDependencies(projectId, filesArray, tempDir) }
+      ].filter((stage) => stage.enabled);
+
+      for (const stage of stages) {
+        stage.cacheKey = validationCache.key(filesHash, boilerplateHash, stage.name, stage.options ?? null);
+        stage.cached = useCache ? validationCache.get(stage.cacheKey) : null;
       }
 
-      console.log(`[${projectId}] 🔍 Running ${validationTypes.length} validation checks sequentially: ${validationTypes.join(', ')}`);
+      const timeouts = { ...DEFAULT_STAGE_TIMEOUTS_MS, ...validationConfig.stageTimeouts };
+      const results = [];
+      const stageReports = [];
 
-      // ✅ Run each validation sequentially with individual timeout checks
-      if (validationConfig.enableTypeScript) {
-        if (Date.now() - validationStartTime > VALIDATION_TIMEOUT_MS) {
-          throw new Error(`Validation timeout after ${VALIDATION_TIMEOUT_MS}ms`);
-        }
-        console.log(`[${projectId}] Running TypeScript validation...`);
-        results.push(await this.validateTypeScript(projectId, tempDir, runCommand));
-      }
+      // 2. Create temp project structure (skipped when every stage that needs it is cached)
+      let projectReady = true;
+      if (stages.some((stage) => stage.needsProject && !stage.cached)) {
+        const installStartTime = Date.now();
+        const install = await this.runWithDeadline(projectId, { name: 'install', label: 'Project setup' }, timeouts.install,
+          async ({ runCommand: installRunCommand, logs }) => {
+            await this.createTempProjectForValidation(tempDir, filesArray, installRunCommand, logs);
+            console.log(`[${projectId}] 📁 Created temporary project structure`);
+            return { errors: [], warnings: [] };
+          }, runCommand, cancel);
 
-      if (validationConfig.enableSolidity) {
-        if (Date.now() - validationStartTime > VALIDATION_TIMEOUT_MS) {
-          throw new Error(`Validation timeout after ${VALIDATION_TIMEOUT_MS}ms`);
+        // A hung or failed install only takes down the stages that need the project
+        if (install.timedOut || install.failed) {
+          projectReady = false;
+          results.push(install);
+          stageReports.push({
+            stage: 'install',
+            cached: false,
+            duration: Date.now() - installStartTime,
+            errors: 1,
+            warnings: 0,
+            ...(install.timedOut ? { timedOut: true } : { failed: true })
+          });
         }
-        console.log(`[${projectId}] Running Solidity validation...`);
-        results.push(await this.validateSolidity(projectId, tempDir, runCommand));
+      } else if (stages.length > 0) {
+        console.log(`[${projectId}] ⚡ All project stages cached, skipping temp project and npm install`);
       }
+      
+      // 3. Run validations sequentially to ensure proper dependency resolution
+      // ✅ Sequential execution ensures npm install completes before validation
+      console.log(`[${projectId}] 🔍 Running ${stages.length} validation checks sequentially: ${stages.map((stage) => stage.label).join(', ')}`);
 
-      if (validationConfig.enableESLint) {
-        if (Date.now() - validationStartTime > VALIDATION_TIMEOUT_MS) {
-          throw new Error(`Validation timeout after ${VALIDATION_TIMEOUT_MS}ms`);
+      // ✅ Run each validation sequentially, each under its own deadline
+      for (const stage of stages) {
+        if (cancel.signal?.aborted) {
+          console.log(`[${projectId}] 🛑 Validation cancelled, skipping ${stage.label} and the remaining stages`);
+          break;
         }
-        console.log(`[${projectId}] Running ESLint validation...`);
-        results.push(await this.validateESLint(projectId, tempDir, runCommand));
-      }
+        const stageStartTime = Date.now();
+        let result = stage.cached;
 
-      if (validationConfig.enableBuild) {
-        if (Date.now() - validationStartTime > VALIDATION_TIMEOUT_MS) {
-          throw new Error(`Validation timeout after ${VALIDATION_TIMEOUT_MS}ms`);
-        }
-        console.log(`[${projectId}] Running Build validation...`);
-        results.push(await this.validateBuild(projectId, tempDir, runCommand));
-      }
+        if (result) {
+          console.log(`[${projectId}] ⚡ ${stage.label} validation cached`);
+        } else if (stage.needsProject && !projectReady) {
+          console.log(`[${projectId}] ⏭️ Skipping ${stage.label} validation, the project setup did not finish`);
+          stageReports.push({ stage: stage.name, cached: false, duration: 0, errors: 0, warnings: 0, skipped: true });
+          continue;
+        } else {
+          console.log(`[${projectId}] Running ${stage.label} validation...`);
+          result = await this.runWithDeadline(projectId, stage, timeouts[stage.name], stage.run, runCommand, cancel);
 
-      if (validationConfig.enableRuntimeChecks) {
-        if (Date.now() - validationStartTime > VALIDATION_TIMEOUT_MS) {
-          throw new Error(`Validation timeout after ${VALIDATION_TIMEOUT_MS}ms`);
+          // A cancelled stage's output is whatever its killed processes left behind
+          const crashed = [...(result.errors || []), ...(result.warnings || [])].some((e) => UNCACHEABLE_CATEGORIES.has(e.category));
+          if (!crashed && !cancel.signal?.aborted) validationCache.set(stage.cacheKey, result);
         }
-        console.log(`[${projectId}] Running Runtime Checks validation...`);
-        results.push(await this.validateRuntimeChecks(projectId, filesArray));
+
+        results.push(result);
+        stageReports.push({
+          stage: stage.name,
+          cached: Boolean(stage.cached),
+          duration: Date.now() - stageStartTime,
+          errors: (result.errors || []).length,
+          warnings: (result.warnings || []).length,
+          ...(result.timedOut && { timedOut: true }),
+          ...(result.failed && { failed: true })
+        });
       }
       
       // 4. Combine results
@@ -321,6 +246,20 @@ export class RailwayCompilationValidator {
         allWarnings.push(...(result.warnings || []));
         allInfo.push(...(result.info || []));
       }
+      for (const dependency of addedDependencies) {
+        allInfo.push({
+          file: dependency.packageJson,
+          line: 1,
+          message: `Added "${dependency.name}": "${dependency.version}" to ${dependency.packageJson} dependencies`,
+          severity: 'info',
+          category: 'dependencies',
+          rule: 'dependency-added',
+          source: 'dependency-check'
+        });
+      }
+
+      // End positions and code frames from the submitted sources (after caching, so cached results get them too)
+      addSourceContext([...allErrors, ...allWarnings, ...allInfo], filesArray);
       
       const hasErrors = allErrors.length > 0;
       const compilationTime = Date.now() - startTime;
@@ -341,35 +280,16 @@ export class RailwayCompilationValidator {
         info: allInfo,
         files: filesArray.map(f => ({ filename: f.path, content: f.content })),
         compilationTime,
-        validationSummary
+        validationSummary,
+        stages: stageReports,
+        addedDependencies,
+        bundleReport: results.find((result) => result.bundleReport)?.bundleReport ?? null
       };
       
     } catch (error) {
       const compilationTime = Date.now() - startTime;
       console.error(`[${projectId}] ❌ Validation failed after ${compilationTime}ms:`, error.message);
       
-      // Handle timeout specifically
-      if (error.message.includes('timeout')) {
-        return {
-          success: false,
-          errors: [{
-            file: 'validation-timeout',
-            line: 1,
-            column: 1,
-            message: `Validation timed out after ${VALIDATION_TIMEOUT_MS}ms. This may indicate slow compilation or hanging processes.`,
-            severity: 'error',
-            category: 'validation-timeout',
-            source: 'validation-system'
-          }],
-          warnings: [],
-          info: [],
-          files: filesArray.map(f => ({ filename: f.path, content: f.content })),
-          compilationTime,
-          validationSummary: 'Validation timed out'
-        };
-      }
-      
-      // Handle other validation errors
       return {
         success: false,
         errors: [{
@@ -392,6 +312,7 @@ export class RailwayCompilationValidator {
       // 6. Cleanup temp directory
       try {
         await fs.rm(tempDir, { recursive: true, force: true });
+        await unlinkWarmInstall(tempDir);
         console.log(`[${projectId}] 🧹 Cleaned up temporary directory`);
       } catch (cleanupError) {
         console.warn(`[${projectId}] ⚠️ Failed to cleanup temp directory:`, cleanupError.message);
@@ -399,30 +320,187 @@ export class RailwayCompilationValidator {
     }
   }
 
+  /**
+   * Run one stage's work under its deadline. The work gets a runCommand whose
+   * child processes are tracked, their logs and an AbortSignal. When the
+   * deadline passes, the process trees are killed, the signal aborts in-process
+   * work (solc workers) and a `timeout` diagnostic is returned in place of the
+   * stage's result, so the remaining stages still run. Work that throws is
+   * stopped the same way and reported as a `stage-error` diagnostic.
+   */
+  async runWithDeadline(projectId, stage, timeoutMs, work, runCommand, cancel = {}) {
+    const controller = new AbortController();
+    const signal = cancel.signal ? AbortSignal.any([controller.signal, cancel.signal]) : controller.signal;
+    const children = new Set();
+    let timedOut = false;
+    const logs = {
+      // no new processes (e.g. npm install's retry) once the deadline has passed or the caller cancelled
+      get cancelled() {
+        return timedOut || Boolean(cancel.logs?.cancelled);
+      },
+      track: (child) => {
+        children.add(child);
+        child.once('exit', () => children.delete(child));
+        cancel.logs?.track?.(child);
+      },
+      push: () => {} // run() already echoes output to the server log
+    };
+    const trackedRunCommand = (cmd, args, options = {}) => runCommand(cmd, args, { ...options, logs });
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    try {
+      const result = await Promise.race([work({ runCommand: trackedRunCommand, signal, logs }), deadline]);
+      if (result) return result;
+    } catch (error) {
+      // A stage that throws reports it as its own error; the other stages still run
+      console.error(`[${projectId}] ❌ ${stage.label} failed, stopping ${children.size} processes:`, error.message);
+      controller.abort();
+      await Promise.all([...children].map((child) => killProcessTree(child.pid)));
+      return {
+        failed: true,
+        errors: [{
+          file: 'validation-error',
+          line: 1,
+          column: 1,
+          message: `${stage.label} failed: ${error.message}`,
+          severity: 'error',
+          category: 'validation-error',
+          rule: 'stage-error',
+          stage: stage.name,
+          source: 'validation-system'
+        }],
+        warnings: []
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    console.warn(`[${projectId}] ⏱️ ${stage.label} timed out after ${timeoutMs}ms, stopping ${children.size} processes`);
+    timedOut = true;
+    controller.abort();
+    await Promise.all([...children].map((child) => killProcessTree(child.pid)));
+
+    return {
+      timedOut: true,
+      errors: [{
+        file: 'validation-timeout',
+        line: 1,
+        column: 1,
+        message: `${stage.label} timed out after ${timeoutMs}ms and was stopped`,
+        severity: 'error',
+        category: 'validation-timeout',
+        rule: 'timeout',
+        stage: stage.name,
+        source: 'validation-system',
+        suggestion: `Raise validationConfig.stageTimeouts.${stage.name} if the project legitimately needs longer`
+      }],
+      warnings: []
+    };
+  }
+
+  /**
+   * Apply the TypeScript compiler's safe quick fixes (missing imports, spelling,
+   * missing members) and re-validate, up to `maxPasses` times since one fix can
+   * unlock the next. Returns the patched files, the fixes applied and the
+   * TypeScript result for the final files.
+   */
+  async applyQuickFixes(projectId, filesArray, runCommand, { maxPasses = 5 } = {}) {
+    let files = filesArray.map((f) => ({ path: f.path, content: f.content }));
+    const applied = [];
+
+    for (let pass = 1; ; pass++) {
+      const result = await this.validateProject(projectId, files, { enableTypeScript: true }, runCommand);
+      const { edits, fixes } = pass > maxPasses ? { edits: new Map(), fixes: [] } : this.selectSafeFixes(result.errors, files);
+
+      if (fixes.length === 0) {
+        const original = new Map(filesArray.map((f) => [f.path, f.content]));
+        const changedFiles = files.filter((f) => original.get(f.path) !== f.content).map((f) => f.path);
+        console.log(`[${projectId}] 🩹 Applied ${applied.length} quick fixes to ${changedFiles.length} files, ${result.errors.length} errors left`);
+        return { files, changedFiles, applied, result };
+      }
+
+      files = files.map((file) => {
+        const fileEdits = edits.get(file.path);
+        if (!fileEdits) return file;
+        // Apply back to front so earlier offsets stay valid
+        let content = file.content;
+        for (const edit of fileEdits.sort((a, b) => b.start - a.start)) {
+          content = content.slice(0, edit.start) + edit.newText + content.slice(edit.end);
+        }
+        return { path: file.path, content };
+      });
+      applied.push(...fixes);
+      console.log(`[${projectId}] 🩹 Quick fix pass ${pass}: applied ${fixes.length} fixes`);
+    }
+  }
+
+  /**
+   * First safe fix of every error whose edits don't overlap an already chosen
+   * edit (the rest are picked up by the next pass). Identical edits, e.g. the
+   * same missing import for two usages, are applied once.
+   */
+  selectSafeFixes(errors, files) {
+    const sources = new Map(files.map((f) => [f.path, f.content]));
+    const edits = new Map(); // file -> [{ start, end, newText }]
+    const fixes = [];
+
+    for (const error of errors) {
+      const fix = error.fixes?.find((candidate) => candidate.safe);
+      if (!fix) continue;
+
+      const planned = [];
+      for (const change of fix.changes) {
+        const content = sources.get(change.file);
+        if (content == null) continue;
+        for (const edit of change.edits) {
+          planned.push({
+            file: change.file,
+            start: offsetAt(content, edit.line, edit.column),
+            end: offsetAt(content, edit.endLine, edit.endColumn),
+            newText: edit.newText
+          });
+        }
+      }
+
+      const chosen = (edit) => edits.get(edit.file) || [];
+      const fresh = planned.filter((edit) => !chosen(edit).some((other) =>
+        other.start === edit.start && other.end === edit.end && other.newText === edit.newText));
+      // Intersecting ranges conflict, and so do two edits at the same offset: two
+      // missing imports from one module are merged by the compiler on the next pass
+      const conflicts = fresh.some((edit) => chosen(edit).some((other) =>
+        (edit.start < other.end && other.start < edit.end) || edit.start === other.start));
+      if (planned.length === 0 || conflicts) continue;
+
+      for (const edit of fresh) {
+        if (!edits.has(edit.file)) edits.set(edit.file, []);
+        edits.get(edit.file).push(edit);
+      }
+      fixes.push({
+        file: error.file,
+        line: error.line,
+        column: error.column,
+        code: error.code,
+        message: error.message,
+        fixName: fix.fixName,
+        description: fix.description
+      });
+    }
+
+    return { edits, fixes };
+  }
+
   /**
    * Create temporary project structure for validation
    */
-  async createTempProjectForValidation(tempDir, filesArray, runCommand) {
+  async createTempProjectForValidation(tempDir, filesArray, runCommand, logs = []) {
     // Create temp directory
     await fs.mkdir(tempDir, { recursive: true });
     
     // Copy essential config files from boilerplate
-    // NOTE: hardhat.config.js/ts are NOT included here because they should stay in contracts/ directory
-    // Including them in the root causes Next.js build failures
-    const configFiles = [
-      'package.json',
-      'tsconfig.json',
-      'next.config.ts',
-      'next.config.js',
-      'tailwind.config.js',
-      'tailwind.config.ts',
-      'eslint.config.mjs',
-      'eslint.config.js',
-      '.eslintrc.json',
-      '.eslintrc.js'
-    ];
-    
-    for (const configFile of configFiles) {
+    for (const configFile of BOILERPLATE_CONFIG_FILES) {
       const sourcePath = path.join(this.boilerplateDir, configFile);
       if (existsSync(sourcePath)) {
         const destPath = path.join(tempDir, configFile);
@@ -448,16 +526,23 @@ export class RailwayCompilationValidator {
       await fs.writeFile(filePath, file.content, 'utf8');
     }
     
-    // Install dependencies for validation using robust npmInstall function
-    console.log(`Installing dependencies for validation...`);
     try {
-      // Use the same robust npmInstall function as deploy endpoint
-      const logs = [];
-      await this.npmInstall(tempDir, {
-        id: "validation",
-        storeDir: path.join(process.cwd(), '.npm-store'),
-        logs
-      });
+      const changedDeps = await this.findChangedDependencies(filesArray);
+      if (changedDeps.length === 0) {
+        // Link the shared, pre-installed boilerplate dependencies instead of installing
+        const warmNodeModules = await this.ensureWarmInstall(tempDir, logs);
+        await fs.symlink(warmNodeModules, path.join(tempDir, 'node_modules'), 'dir');
+        console.log(`Linked warm node_modules for validation (${warmNodeModules})`);
+      } else {
+        // Install dependencies for validation using robust npmInstall function
+        console.log(`package.json adds or changes ${changedDeps.join(', ')} - installing dependencies for validation...`);
+        // Use the same robust npmInstall function as deploy endpoint
+        await this.npmInstall(tempDir, {
+          id: "validation",
+          storeDir: path.join(process.cwd(), '.npm-store'),
+          logs
+        });
+      }
 
       // ✅ Verify node_modules directory exists and is populated
       const nodeModulesPath = path.join(tempDir, 'node_modules');
@@ -494,15 +579,105 @@ export class RailwayCompilationValidator {
   }
 
   /**
-   * TypeScript compilation validation using TypeScript Compiler API
+   * Dependencies the submitted package.json adds or pins differently from the boilerplate's
+   */
+  async findChangedDependencies(filesArray) {
+    const submitted = filesArray.find((f) => f.path === 'package.json');
+    if (!submitted) return [];
+
+    const boilerplatePackagePath = path.join(this.boilerplateDir, 'package.json');
+    let submittedPackage;
+    let boilerplatePackage = {};
+    try {
+      submittedPackage = JSON.parse(submitted.content);
+      if (existsSync(boilerplatePackagePath)) {
+        boilerplatePackage = JSON.parse(await fs.readFile(boilerplatePackagePath, 'utf8'));
+      }
+    } catch {
+      return ['package.json (unparseable)']; // let npm report the broken manifest
+    }
+
+    const known = {};
+    for (const field of DEPENDENCY_FIELDS) {
+      Object.assign(known, boilerplatePackage[field] || {});
+    }
+
+    const changed = [];
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, version] of Object.entries(submittedPackage[field] || {})) {
+        if (known[name] !== version) changed.push(`${name}@${version}`);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Install the boilerplate's dependencies once into `<previewsRoot>/.validation-deps/<boilerplate>-<hash>`
+   * and return its node_modules. A changed boilerplate package.json/lockfile gets a fresh install.
+   * Its npm process is tracked by the `logs` of the validation that starts it, so that
+   * validation's install deadline kills it (validations waiting on the same install then fail too).
+   * `tempDir` is recorded as a user of the install until its validation is cleaned up.
+   */
+  async ensureWarmInstall(tempDir, logs = []) {
+    const manifestFiles = ['package.json', 'package-lock.json'];
+    const boilerplateName = path.basename(this.boilerplateDir);
+    const depsRoot = path.join(this.previewsRoot, '.validation-deps');
+    const hash = (await hashBoilerplate(this.boilerplateDir, manifestFiles)).slice(0, 16);
+    const warmDir = path.join(depsRoot, `${boilerplateName}-${hash}`);
+    const nodeModules = path.join(warmDir, 'node_modules');
+
+    // A finished install leaves a marker, so a crash mid-install is retried instead of reused
+    if (existsSync(path.join(warmDir, '.installed'))) {
+      warmLinks.set(tempDir, warmDir);
+      return nodeModules;
+    }
+
+    if (!warmInstalls.has(warmDir)) {
+      const install = (async () => {
+        console.log(`Creating warm validation install for ${boilerplateName} in ${warmDir}...`);
+        const startTime = Date.now();
+        await fs.rm(warmDir, { recursive: true, force: true });
+        await fs.mkdir(warmDir, { recursive: true });
+        for (const file of manifestFiles) {
+          const sourcePath = path.join(this.boilerplateDir, file);
+          if (existsSync(sourcePath)) await fs.copyFile(sourcePath, path.join(warmDir, file));
+        }
+
+        await this.npmInstall(warmDir, {
+          id: "validation-deps",
+          storeDir: path.join(process.cwd(), '.npm-store'),
+          logs
+        });
+        await fs.writeFile(path.join(warmDir, '.installed'), new Date().toISOString(), 'utf8');
+        console.log(`Warm validation install ready in ${Date.now() - startTime}ms`);
+
+        // Drop installs of older versions of this boilerplate; one a running validation links to goes when it is done
+        for (const entry of await fs.readdir(depsRoot)) {
+          const oldDir = path.join(depsRoot, entry);
+          if (!entry.startsWith(`${boilerplateName}-`) || oldDir === warmDir) continue;
+          if (warmDirInUse(oldDir)) retiredWarmDirs.add(oldDir);
+          else await fs.rm(oldDir, { recursive: true, force: true });
+        }
+      })().finally(() => warmInstalls.delete(warmDir));
+      warmInstalls.set(warmDir, install);
+    }
+
+    await warmInstalls.get(warmDir);
+    warmLinks.set(tempDir, warmDir);
+    return nodeModules;
+  }
+
+  /**
+   * TypeScript compilation validation using TypeScript Compiler API, in the
+   * project's TypeScript worker (aborting `signal` terminates it)
    */
-  async validateTypeScript(projectId, tempDir, runCommand) {
+  async validateTypeScript(projectId, tempDir, signal) {
     const startTime = Date.now();
     try {
       console.log(`[${projectId}] 🔍 TypeScript validation started...`);
       
       // Use TypeScript Compiler API for structured diagnostics
-      const result = await this.tsCompiler.validateTypeScriptFiles(projectId, tempDir);
+      const result = await typescriptWorkers.check(projectId, tempDir, { signal });
       
       const duration = Date.now() - startTime;
       console.log(`[${projectId}] ✅ TypeScript validation completed in ${duration}ms:`);
@@ -529,73 +704,154 @@ export class RailwayCompilationValidator {
   }
 
   /**
-   * Solidity compilation validation
+   * Compile the submitted .sol files once per temp project; the Solidity and
+   * contract analysis stages share the result: { solFiles, sources, output, resolved, version, note }
    */
-  async validateSolidity(projectId, tempDir, runCommand) {
-    const startTime = Date.now();
-    const contractsDir = path.join(tempDir, 'contracts');
-    if (!existsSync(contractsDir)) {
-      console.log(`[${projectId}] 📁 No contracts directory found, skipping Solidity validation`);
-      return { errors: [], warnings: [] };
+  compileContracts(projectId, filesArray, tempDir, signal) {
+    if (this.contractBuild?.tempDir !== tempDir) {
+      this.contractBuild = { tempDir, promise: this.runSolc(projectId, filesArray, tempDir, signal) };
     }
+    return this.contractBuild.promise;
+  }
+
+  async runSolc(projectId, filesArray, tempDir, signal) {
+    const solFiles = filesArray.filter((f) => f.path.endsWith('.sol') && !f.path.includes('node_modules/'));
+    const sources = Object.fromEntries(solFiles.map((f) => [f.path, { content: f.content ?? '' }]));
+    if (solFiles.length === 0) return { solFiles, sources, output: {}, resolved: {} };
+
+    const settings = hardhatSettings(findHardhatConfig(filesArray, this.boilerplateDir));
+    const compiler = new SolidityCompiler({ cacheDir: path.join(this.previewsRoot, '.solc') });
+
+    // Library imports (@openzeppelin/...) resolve like Hardhat: the contracts package first, then the app's
+    const includeDirs = [
+      path.join(tempDir, 'contracts', 'node_modules'),
+      path.join(tempDir, 'node_modules'),
+      path.join(this.boilerplateDir, 'contracts', 'node_modules'),
+      path.join(this.boilerplateDir, 'node_modules'),
+      path.join(this.projectRoot, 'node_modules')
+    ].filter((dir) => existsSync(dir));
+
+    const input = {
+      language: 'Solidity',
+      sources,
+      settings: {
+        ...(settings.viaIR && { viaIR: true }),
+        ...(settings.optimizer && { optimizer: settings.optimizer }),
+        // Bytecode for the project's contracts, so code generation errors (stack too deep) surface too,
+        // and their ASTs for the contract analysis stage
+        outputSelection: Object.fromEntries(solFiles.map((f) => [f.path, { '': ['ast'], '*': ['evm.bytecode.object'] }]))
+      }
+    };
+
+    const { version, soljsonPath, note } = await compiler.resolveCompiler(pragmaRanges(sources), settings.version);
+    console.log(`[${projectId}] Compiling ${solFiles.length} Solidity files with solc ${version}`);
+    const { output, resolved } = await compiler.compile(soljsonPath, input, includeDirs, { signal });
+    return { solFiles, sources, output, resolved, version, note };
+  }
 
-    // Check if contract deployment is enabled
-    const enableContractDeployment = process.env.ENABLE_CONTRACT_DEPLOYMENT === "true";
-    if (!enableContractDeployment) {
-      console.log(`[${projectId}] 🔧 Contract deployment disabled, skipping Solidity validation`);
+  /**
+   * Solidity validation: solc standard-JSON compilation of every submitted .sol file
+   */
+  async validateSolidity(projectId, filesArray, tempDir, signal) {
+    const startTime = Date.now();
+    if (!filesArray.some((f) => f.path.endsWith('.sol') && !f.path.includes('node_modules/'))) {
+      console.log(`[${projectId}] 📁 No Solidity sources found, skipping Solidity validation`);
       return { errors: [], warnings: [] };
     }
 
     console.log(`[${projectId}] 🔍 Solidity validation started...`);
 
     try {
-      // Install dependencies in contracts directory first (same as index.js)
-      const packageJsonPath = path.join(contractsDir, 'package.json');
-      if (existsSync(packageJsonPath)) {
-        console.log(`[${projectId}] Installing contract dependencies...`);
-        try {
-          await runCommand("npm", ["install"], { id: projectId, cwd: contractsDir });
-          console.log(`[${projectId}] Contract dependencies installed successfully`);
-        } catch (installError) {
-          console.warn(`[${projectId}] Failed to install contract dependencies:`, installError.message);
-          // Continue with validation even if npm install fails
-        }
-      } else {
-        console.log(`[${projectId}] No package.json found in contracts directory, skipping dependency installation`);
-      }
+      const { solFiles, sources, output, resolved, note } = await this.compileContracts(projectId, filesArray, tempDir, signal);
 
-      const { stdout, stderr } = await runCommand(
-        "npx",
-        ["hardhat", "compile", "--force"],
-        { id: projectId, cwd: contractsDir } // Run from contracts directory
-      );
+      const readSource = (file) => sources[file]?.content ?? (resolved[file] ? readFileSync(resolved[file], 'utf8') : null);
+      const result = mapSolcErrors(output.errors, readSource, Object.keys(sources));
+      if (note) {
+        // The fallback compiler doesn't match the pragma - report that once instead of solc's version error
+        const pragmaErrors = result.errors.filter((e) => e.code === SOLC_VERSION_PRAGMA_ERROR);
+        result.errors = result.errors.filter((e) => e.code !== SOLC_VERSION_PRAGMA_ERROR);
+        result.warnings.push({
+          file: pragmaErrors[0]?.file || solFiles[0].path,
+          line: pragmaErrors[0]?.line || 1,
+          column: pragmaErrors[0]?.column || 1,
+          message: note,
+          severity: 'warning',
+          category: 'solidity-compiler',
+          rule: 'compiler-version',
+          source: 'solc'
+        });
+      }
 
-      const output = `${stdout}\n${stderr}`;
-      const result = this.parseSolidityErrors(output);
-      
       const duration = Date.now() - startTime;
       console.log(`[${projectId}] ✅ Solidity validation completed in ${duration}ms:`);
       console.log(`[${projectId}]   ❌ Errors: ${result.errors.length}`);
       console.log(`[${projectId}]   ⚠️  Warnings: ${result.warnings.length}`);
-      
-      return result;
 
+      return result;
     } catch (error) {
       const duration = Date.now() - startTime;
-      console.log(`[${projectId}] ⚠️ Solidity validation failed after ${duration}ms`);
-      // Use error.output which contains both stdout and stderr, fallback to individual streams
-      const output = error.output || `${error.stdout || ''}\n${error.stderr || ''}` || error.message || String(error);
-      console.log(`[${projectId}] 🔍 Debug - Error output:`, JSON.stringify(output));
-      
-      const result = this.parseSolidityErrors(output);
-      console.log(`[${projectId}] ✅ Solidity validation completed in ${duration}ms:`);
-      console.log(`[${projectId}]   ❌ Errors: ${result.errors.length}`);
-      console.log(`[${projectId}]   ⚠️  Warnings: ${result.warnings.length}`);
-      
-      return result;
+      console.error(`[${projectId}] ❌ Solidity compiler failed after ${duration}ms:`, error.message);
+      return {
+        errors: [{
+          file: 'contracts',
+          line: 1,
+          column: 1,
+          message: `Solidity compiler failed: ${error.message}`,
+          severity: 'error',
+          category: 'solidity-compiler',
+          source: 'solc'
+        }],
+        warnings: []
+      };
     }
   }
 
+  /**
+   * Contract analysis: security rules from the contract rule registry over the
+   * solc AST of the submitted contracts (validationConfig.contractRules overrides severities)
+   */
+  async validateContractAnalysis(projectId, filesArray, tempDir, ruleOverrides = {}, signal) {
+    const startTime = Date.now();
+    if (!filesArray.some((f) => f.path.endsWith('.sol') && !f.path.includes('node_modules/'))) {
+      return { errors: [], warnings: [] };
+    }
+
+    console.log(`[${projectId}] 🔍 Contract analysis started...`);
+
+    let build;
+    try {
+      build = await this.compileContracts(projectId, filesArray, tempDir, signal);
+    } catch (error) {
+      console.warn(`[${projectId}] ⚠️ Contract analysis skipped, compilation failed:`, error.message);
+      return {
+        errors: [],
+        warnings: [{
+          file: 'contracts',
+          line: 1,
+          column: 1,
+          message: `Contract analysis skipped: ${error.message}`,
+          severity: 'warning',
+          category: 'solidity-compiler',
+          source: 'solc'
+        }]
+      };
+    }
+
+    // Only files solc produced an AST for - compile errors are the Solidity stage's to report
+    const units = build.solFiles
+      .filter((f) => build.output.sources?.[f.path]?.ast)
+      .map((f) => ({ path: f.path, ast: build.output.sources[f.path].ast, content: f.content ?? '', version: build.version }));
+    const { errors, warnings, info } = contractRules.run(units, ruleOverrides);
+
+    const duration = Date.now() - startTime;
+    console.log(`[${projectId}] ✅ Contract analysis completed in ${duration}ms:`);
+    console.log(`[${projectId}]   ❌ Errors: ${errors.length}`);
+    console.log(`[${projectId}]   ⚠️  Warnings: ${warnings.length}`);
+    console.log(`[${projectId}]   ℹ️  Info: ${info.length}`);
+
+    return { errors, warnings, info };
+  }
+
   /**
    * ESLint validation using globally available ESLint
    */
@@ -686,9 +942,11 @@ export class RailwayCompilationValidator {
   }
 
   /**
-   * Next.js build validation using globally available Next.js
+   * Next.js build validation using globally available Next.js. A successful
+   * build's manifests become a per-route First Load JS report, checked against
+   * the bundle budgets (validationConfig.bundleBudgets over the defaults)
    */
-  async validateBuild(projectId, tempDir, runCommand) {
+  async validateBuild(projectId, tempDir, runCommand, filesArray = [], bundleBudgets = {}) {
     const startTime = Date.now();
     try {
       console.log(`[${projectId}] 🔍 Next.js build validation started...`);
@@ -711,15 +969,19 @@ export class RailwayCompilationValidator {
         cwd: tempDir 
       });
       
+      const { bundleReport, errors, warnings } = await this.checkBundleSize(projectId, tempDir, filesArray, bundleBudgets);
+
       const duration = Date.now() - startTime;
       console.log(`[${projectId}] ✅ Next.js build validation completed in ${duration}ms:`);
-      console.log(`[${projectId}]   ❌ Errors: 0`);
-      console.log(`[${projectId}]   ⚠️  Warnings: 0`);
-      return { errors: [], warnings: [] };
+      console.log(`[${projectId}]   ❌ Errors: ${errors.length}`);
+      console.log(`[${projectId}]   ⚠️  Warnings: ${warnings.length}`);
+      return { errors, warnings, bundleReport };
     } catch (error) {
       const duration = Date.now() - startTime;
       console.log(`[${projectId}] ⚠️ Next.js build validation found errors after ${duration}ms`);
-      const result = this.parseBuildErrors(error.message || error.toString());
+      // Parse the real build output; the error message itself is just "next exited 1"
+      const output = error.output || [error.stdout, error.stderr].filter(Boolean).join('\n') || error.message || String(error);
+      const result = this.parseBuildErrors(output, tempDir);
       console.log(`[${projectId}] ✅ Next.js build validation completed in ${duration}ms:`);
       console.log(`[${projectId}]   ❌ Errors: ${result.errors.length}`);
       console.log(`[${projectId}]   ⚠️  Warnings: ${result.warnings.length}`);
@@ -728,25 +990,33 @@ export class RailwayCompilationValidator {
   }
 
   /**
-   * Runtime checks validation
+   * Per-route sizes from the build's .next manifests, checked against the bundle budgets
+   */
+  async checkBundleSize(projectId, tempDir, filesArray, bundleBudgets) {
+    let bundleReport = null;
+    try {
+      bundleReport = await readBundleReport(path.join(tempDir, '.next'));
+    } catch (error) {
+      console.warn(`[${projectId}] ⚠️ Could not read the build manifests:`, error.message);
+    }
+    if (!bundleReport) return { bundleReport, errors: [], warnings: [] };
+
+    const { errors, warnings } = checkBundleBudgets(bundleReport, bundleBudgets, filesArray.map((f) => f.path));
+    const largest = bundleReport.routes.reduce((max, route) => (route.firstLoadJs > (max?.firstLoadJs ?? -1) ? route : max), null);
+    console.log(`[${projectId}] 📦 ${bundleReport.routes.length} routes, shared JS ${(bundleReport.shared.size / 1000).toFixed(1)} kB` +
+      (largest ? `, largest First Load JS ${largest.route} ${(largest.firstLoadJs / 1000).toFixed(1)} kB` : ''));
+    return { bundleReport, errors, warnings };
+  }
+
+  /**
+   * Runtime checks validation: AST rules from the runtime rule registry,
+   * with per-request severity overrides (validationConfig.runtimeRules)
    */
-  async validateRuntimeChecks(projectId, filesArray) {
+  async validateRuntimeChecks(projectId, filesArray, ruleOverrides = {}) {
     const startTime = Date.now();
     console.log(`[${projectId}] 🔍 Runtime checks validation started...`);
     
-    const errors = [];
-    const warnings = [];
-    const info = [];
-    
-    // Check for common runtime issues
-    for (const file of filesArray) {
-      if (file.path.endsWith('.tsx') || file.path.endsWith('.ts')) {
-        const runtimeIssues = this.checkRuntimeIssues(file.content, file.path);
-        errors.push(...runtimeIssues.errors);
-        warnings.push(...runtimeIssues.warnings);
-        info.push(...runtimeIssues.info);
-      }
-    }
+    const { errors, warnings, info } = runtimeRules.run(filesArray, ruleOverrides);
     
     const duration = Date.now() - startTime;
     console.log(`[${projectId}] ✅ Runtime checks validation completed in ${duration}ms:`);
@@ -757,123 +1027,57 @@ export class RailwayCompilationValidator {
     return { errors, warnings, info };
   }
 
+
   /**
-   * Check for runtime issues in code
+   * Farcaster miniapp validation: manifest, embed meta and sdk.actions.ready()
    */
-  checkRuntimeIssues(content, filename) {
-    const errors = [];
-    const warnings = [];
-    const info = [];
-    
-    // Check for missing 'use client' directive in React components
-    if ((filename.endsWith('.tsx') || filename.endsWith('.jsx')) && 
-        (content.includes('useState') || content.includes('useEffect') || content.includes('onClick')) &&
-        !content.startsWith("'use client';") && !content.startsWith('"use client";')) {
-      errors.push({
-        file: filename,
-        line: 1,
-        message: "Missing 'use client' directive for React component with hooks",
-        severity: 'error',
-        category: 'react',
-        suggestion: "Add 'use client'; at the top of the file"
-      });
-    }
-    
-    // Check for unescaped entities in JSX
-    const unescapedQuotes = content.match(/['"`]([^'"`]*['"`][^'"`]*['"`][^'"`]*)['"`]/g);
-    if (unescapedQuotes && filename.endsWith('.tsx')) {
-      warnings.push({
-        file: filename,
-        line: 1,
-        message: "Potential unescaped quotes in JSX string",
-        severity: 'warning',
-        category: 'react',
-        suggestion: "Use &apos; for apostrophes and &quot; for quotes in JSX"
-      });
-    }
-    
+  async validateFarcaster(projectId, filesArray) {
+    const startTime = Date.now();
+    console.log(`[${projectId}] 🔍 Farcaster validation started...`);
+
+    const { errors, warnings, info } = new FarcasterValidator({ boilerplateDir: this.boilerplateDir }).validate(filesArray);
+
+    const duration = Date.now() - startTime;
+    console.log(`[${projectId}] ✅ Farcaster validation completed in ${duration}ms:`);
+    console.log(`[${projectId}]   ❌ Errors: ${errors.length}`);
+    console.log(`[${projectId}]   ⚠️  Warnings: ${warnings.length}`);
+    console.log(`[${projectId}]   ℹ️  Info: ${info.length}`);
+
     return { errors, warnings, info };
   }
 
-
   /**
-   * Parse Solidity (Hardhat) compiler output
+   * Dependency validation: bare imports of packages the nearest package.json
+   * doesn't declare, checked against the temp project's node_modules
    */
-  parseSolidityErrors(errorOutput) {
-    console.log(`🔍 Debug - Parsing Solidity output:`, JSON.stringify(errorOutput));
-    
-    const errors = [];
-    const warnings = [];
-    
-    if (!errorOutput || errorOutput.trim() === '') {
-      console.log(`🔍 Debug - Empty output received`);
-      return { errors, warnings };
-    }
-    
-    // Enhanced regex for modern Solidity error format: "ErrorType: message\n  --> file:line:col:"
-    const modernRegex = /(TypeError|ParserError|SyntaxError|DeclarationError|CompileError|InternalCompilerError|Warning|Info):\s*(.+?)\s*\n\s*-->\s*(.+?):(\d+):(\d+):/gs;
-
-    let match;
-    while ((match = modernRegex.exec(errorOutput)) !== null) {
-      const [, level, message, file, line, column] = match;
-      const entry = {
-        file: path.relative(process.cwd(), file.trim()),
-        line: parseInt(line, 10),
-        column: parseInt(column, 10),
-        message: message.trim(),
-        severity: level === 'Warning' || level === 'Info' ? 'warning' : 'error',
-        category: 'solidity',
-        source: 'hardhat-compiler'
-      };
-      (level === 'Warning' || level === 'Info' ? warnings : errors).push(entry);
-    }
+  async validateDependencies(projectId, filesArray, projectDir) {
+    const startTime = Date.now();
+    console.log(`[${projectId}] 🔍 Dependency validation started...`);
 
-    // Enhanced regex for legacy format: "file:line:col: ErrorType: message"
-    const legacyRegex = /(.+?):(\d+):(\d+):\s*(TypeError|ParserError|SyntaxError|DeclarationError|CompileError|InternalCompilerError|Warning|Info):\s*(.+)/g;
-    while ((match = legacyRegex.exec(errorOutput)) !== null) {
-      const [, file, line, column, level, message] = match;
-      const entry = {
-        file: path.relative(process.cwd(), file.trim()),
-        line: parseInt(line, 10),
-        column: parseInt(column, 10),
-        message: message.trim(),
-        severity: level === 'Warning' || level === 'Info' ? 'warning' : 'error',
-        category: 'solidity',
-        source: 'hardhat-compiler'
-      };
-      (level === 'Warning' || level === 'Info' ? warnings : errors).push(entry);
-    }
+    const checker = new DependencyChecker({ boilerplateDir: this.boilerplateDir });
+    const { errors, warnings } = checker.toDiagnostics(await checker.findMissing(filesArray, projectDir));
 
-    // Handle Hardhat-specific errors (HH600, etc.)
-    const hardhatErrorRegex = /Error HH\d+:\s*(.+)/g;
-    while ((match = hardhatErrorRegex.exec(errorOutput)) !== null) {
-      const [, message] = match;
-      errors.push({
-        file: 'hardhat',
-        line: 1,
-        column: 1,
-        message: message.trim(),
-        severity: 'error',
-        category: 'solidity',
-        source: 'hardhat'
-      });
-    }
+    const duration = Date.now() - startTime;
+    console.log(`[${projectId}] ✅ Dependency validation completed in ${duration}ms:`);
+    console.log(`[${projectId}]   ❌ Errors: ${errors.length}`);
+    console.log(`[${projectId}]   ⚠️  Warnings: ${warnings.length}`);
 
-    // Fallback for any remaining compilation errors
-    if (!errors.length && !warnings.length && (errorOutput.includes('Error') || errorOutput.includes('failed') || errorOutput.includes('compilation'))) {
-      errors.push({
-        file: 'solidity',
-        line: 1,
-        column: 1,
-        message: errorOutput.trim(),
-        severity: 'error',
-        category: 'solidity',
-        source: 'hardhat'
-      });
-    }
+    return { errors, warnings, info: [] };
+  }
 
-    console.log(`🔍 Final result:`, { errors: errors.length, warnings: warnings.length });
-    return { errors, warnings };
+  /**
+   * Add undeclared packages to package.json before the temp project is installed.
+   * Versions come from the npm registry; packages it doesn't know are left for
+   * the dependency stage to report.
+   */
+  async addMissingDependencies(projectId, filesArray) {
+    const checker = new DependencyChecker({ boilerplateDir: this.boilerplateDir });
+    const missing = await checker.findMissing(filesArray);
+    const { files, added } = checker.addMissing(filesArray, missing);
+    if (added.length > 0) {
+      console.log(`[${projectId}] ➕ Added undeclared dependencies: ${added.map((d) => `${d.name}@${d.version}`).join(', ')}`);
+    }
+    return { files, added };
   }
 
   /**
@@ -954,27 +1158,176 @@ export class RailwayCompilationValidator {
   }
 
   /**
-   * Parse build errors
+   * Parse `next build` output into located diagnostics: webpack type errors
+   * (`./path:line:col` + "Type error: ..."), module-not-found, SWC syntax
+   * errors (located through their code frame), Turbopack errors and prerender
+   * errors (mapped to the page of the failing route). Falls back to the
+   * unlocated error lines when nothing structured is found.
    */
-  parseBuildErrors(errorOutput) {
+  parseBuildErrors(errorOutput, projectDir = null) {
     const errors = [];
-    const lines = errorOutput.split('\n');
-    
-    for (const line of lines) {
-      if (line.includes('Error:') || line.includes('Failed to compile')) {
-        errors.push({
-          file: 'build',
+    const seen = new Set();
+    const lines = errorOutput.replace(ANSI_PATTERN, '').split('\n').map((line) => line.replace(/\r$/, ''));
+
+    const add = (entry) => {
+      const key = `${entry.file}:${entry.line}:${entry.column}:${entry.message}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      errors.push({ column: 1, severity: 'error', category: 'build', source: 'next-build', ...entry });
+    };
+    const toProjectPath = (file) => {
+      const trimmed = file.trim();
+      return (projectDir && path.isAbsolute(trimmed) ? path.relative(projectDir, trimmed) : trimmed).replace(/^\.\//, '');
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      // Error occurred prerendering page "/about". Read more: https://nextjs.org/docs/messages/prerender-error
+      const prerender = line.match(/Error occurred prerendering page "([^"]+)"/);
+      if (prerender) {
+        const route = prerender[1];
+        const cause = lines.slice(i + 1).map((l) => l.trim()).find((l) => l && !l.startsWith('at ')) || 'unknown error';
+        add({
+          file: this.findRouteSource(projectDir, route) || 'build',
           line: 1,
-          message: line.trim(),
-          severity: 'error',
-          category: 'build'
+          message: `Prerendering ${route} failed: ${cause}`,
+          rule: 'prerender-error',
+          route,
+          suggestion: cause.includes('is not defined')
+            ? "Browser-only APIs can't run during prerendering - move them into a useEffect in a 'use client' component"
+            : "Make sure the page renders on the server without browser-only APIs, or opt it out of prerendering with export const dynamic = 'force-dynamic'"
         });
+        continue;
+      }
+
+      // "./src/app/page.tsx:12:7" (type errors, Turbopack) or "./src/app/page.tsx" followed by the message
+      const location = line.match(/^\.\/(\S+?)(?::(\d+):(\d+))?$/);
+      if (!location) continue;
+
+      const messageLines = [];
+      let j = i + 1;
+      for (; j < lines.length; j++) {
+        const next = lines[j];
+        if (!next.trim() || BUILD_FRAME_LINE.test(next) || /^\s*(,-|╭─)\[/.test(next) || /^\.\/\S+$/.test(next.trim())) break;
+        if (/^Import trace for requested module/.test(next.trim())) break;
+        messageLines.push(next.trim());
+      }
+      if (messageLines.length === 0) continue;
+
+      const file = toProjectPath(location[1]);
+      let lineNumber = location[2] ? parseInt(location[2], 10) : null;
+      let column = location[3] ? parseInt(location[3], 10) : 1;
+      let endColumn;
+      let message = messageLines.join('\n');
+      let rule = 'webpack-error';
+
+      if (/^Type error:/.test(message)) {
+        rule = 'type-error';
+        message = message.replace(/^Type error:\s*/, '');
+      } else if (/^Module not found:/.test(message)) {
+        rule = 'module-not-found';
+        message = message.replace(/^Module not found:\s*/, '');
+      } else if (/^(Error:\s*)?\s*[x×]\s/.test(message) || /Syntax error|Parsing ecmascript source code failed/i.test(message)) {
+        rule = 'syntax-error';
+        message = message.replace(/^Error:\s*/, '').replace(/^[x×]\s+/, '');
+        const frame = this.readSwcFrame(lines, j);
+        if (frame) ({ line: lineNumber, column, endColumn } = frame);
+      }
+
+      if (!lineNumber && rule === 'module-not-found') {
+        const specifier = message.match(/Can't resolve '([^']+)'/)?.[1];
+        const found = specifier && this.findInProjectFile(projectDir, file, `'${specifier}'`, `"${specifier}"`);
+        if (found) ({ line: lineNumber, column } = found);
       }
+
+      add({
+        file,
+        line: lineNumber || 1,
+        column,
+        ...(endColumn && { endLine: lineNumber, endColumn }),
+        message,
+        rule,
+        ...(rule === 'module-not-found' && {
+          suggestion: 'Fix the import path, or add the package to package.json if it is a dependency'
+        })
+      });
+      i = j - 1;
     }
-    
+
+    // Nothing recognizable: keep the error lines so the failure still says something
+    if (errors.length === 0) {
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (/Error:|Failed to compile|Build error occurred/.test(trimmed) && !BUILD_ERROR_HEADERS.test(trimmed)) {
+          add({ file: 'build', line: 1, message: trimmed, rule: 'build-error' });
+        }
+      }
+    }
+    if (errors.length === 0) {
+      const tail = lines.filter((line) => line.trim()).slice(-20).join('\n');
+      add({ file: 'build', line: 1, message: `Build failed: ${tail || 'no output'}`, rule: 'build-error' });
+    }
+
     return { errors, warnings: [] };
   }
 
+  /**
+   * Error position from an SWC code frame:
+   *
+   *    ,-[/app/src/app/page.tsx:1:1]
+   *  2 |   return <div>hi</div>; foo bar
+   *    :                         ^|^
+   */
+  readSwcFrame(lines, start) {
+    let lastNumbered = null;
+    for (let i = start; i < Math.min(lines.length, start + 30); i++) {
+      const numbered = lines[i].match(/^\s*(\d+)\s[|│]/);
+      if (numbered) {
+        lastNumbered = parseInt(numbered[1], 10);
+        continue;
+      }
+      const caretIndex = lines[i].indexOf('^');
+      const gutterIndex = lines[i].search(/[:·]/);
+      if (lastNumbered && gutterIndex !== -1 && /^\s*[:·]\s*\^/.test(lines[i])) {
+        const column = caretIndex - (gutterIndex + 2) + 1;
+        // Labelled spans put a "|" under their middle ("^|^")
+        const carets = lines[i].slice(caretIndex).match(/^\^[\^|]*/)[0].replace(/\|+$/, '').length;
+        return { line: lastNumbered, column: Math.max(1, column), endColumn: Math.max(1, column) + carets };
+      }
+      if (/^\s*(`----|╰─)/.test(lines[i])) break;
+    }
+    return null;
+  }
+
+  /**
+   * Source file of an app or pages route ("/about" -> "src/app/about/page.tsx")
+   */
+  findRouteSource(projectDir, route) {
+    if (!projectDir) return null;
+    const routePath = route === '/' ? '' : route.replace(/\/$/, '');
+    const candidates = [];
+    for (const ext of ['tsx', 'jsx', 'ts', 'js']) {
+      candidates.push(`src/app${routePath}/page.${ext}`, `app${routePath}/page.${ext}`);
+      candidates.push(`src/pages${routePath || '/index'}.${ext}`, `pages${routePath || '/index'}.${ext}`);
+    }
+    return candidates.find((candidate) => existsSync(path.join(projectDir, candidate))) || null;
+  }
+
+  /**
+   * Line and column of the first of `needles` in a project file
+   */
+  findInProjectFile(projectDir, file, ...needles) {
+    const filePath = projectDir && path.join(projectDir, file);
+    if (!filePath || !existsSync(filePath)) return null;
+    const content = readFileSync(filePath, 'utf8');
+    for (const needle of needles) {
+      const index = content.indexOf(needle);
+      if (index !== -1) return positionAt(content, index + 1); // the specifier, not its quote
+    }
+    return null;
+  }
+
   /**
    * Generate validation summary
    */